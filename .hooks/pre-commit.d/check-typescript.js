@@ -60,8 +60,8 @@ function extractJsExports(code) {
 /**
  * Extract exports from index.d.ts
  *
- * Finds all "export function", "export const", "export interface",
- * and "export type" declarations.
+ * Finds all "export function", "export const", "export class",
+ * "export interface" and "export type" declarations.
  *
  * @param {string} code - The TypeScript definition source
  * @returns {string[]} Array of export names
@@ -69,8 +69,8 @@ function extractJsExports(code) {
 function extractDtsExports(code) {
   const exports = [];
 
-  // Match export function, const, interface, type declarations
-  const exportRegex = /export\s+(?:function|const|interface|type)\s+(\w+)/g;
+  // Match export function, const, class, interface, type declarations
+  const exportRegex = /export\s+(?:function|const|class|interface|type)\s+(\w+)/g;
   let match;
 
   while ((match = exportRegex.exec(code)) !== null) {
@@ -41,7 +41,7 @@ function findPrecedingJSDoc(comments, funcStart, code) {
     const between = code.substring(comment.end, funcStart).trim();
 
     // Allow: empty, 'export', 'async', 'export async', 'export default', etc.
-    const allowedBetween = /^(export\s+)?(default\s+)?(async\s+)?(function\s+)?$/;
+    const allowedBetween = /^(export\s+)?(default\s+)?(async(\s+|$))?(function\s+)?$/;
 
     if (between === "" || allowedBetween.test(between) || between.match(/^(const|let|var)\s+\w+\s*=\s*(async\s*)?$/)) {
       return { found: true, comment };
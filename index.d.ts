@@ -2,13 +2,93 @@ export interface PluginConfig {
   check: (key: string | number, value: any) => boolean;
   encode: (path: string[], key: string | number, value: any, context: object) => any;
   decode: (value: any, path: string[], context: object) => any;
-  onSend?: (path: string[], key: string | number, value: any, context: object) => { replace: any; cleanup?: () => void };
+  onSend?: (path: string[], key: string | number, value: any, context: object) =>
+    { replace?: any; cleanup?: () => void } | Promise<{ replace?: any; cleanup?: () => void }>;
   onReceive?: (path: string[], key: string | number, value: any, context: object) => Promise<any>;
 }
 
-export function stringify(obj: any): string;
-export function parse(encoded: string): any;
-export function encode(obj: any): object;
-export function decode(data: object): any;
+export type ErrorClass = new (...args: any[]) => Error;
+
+export interface ClassOptions<T = any> {
+  name?: string;
+  toJSON?: (instance: T) => any;
+  fromJSON?: (data: any) => T;
+}
+
+export type BuiltInTag = "D" | "R" | "E" | "U" | "M" | "S" | "P" | "I" | "B" | "N" | "H" | "Y" | "C" | "F" | "T" | "W" | "O";
+
+export interface EncodeOptions {
+  keepUndefined?: boolean;
+  symbolKeys?: boolean;
+  fidelity?: boolean;
+  dateOffset?: boolean;
+}
+
+export interface DecodeOptions {
+  maxDepth?: number;
+  maxKeys?: number;
+  maxCollectionSize?: number;
+  maxPointers?: number;
+  maxStringLength?: number;
+  allowTags?: string[];
+  onUnknownTag?: "keep" | "strip" | "throw";
+  regexp?: RegExpOptions;
+  symbolKeys?: boolean | { wellKnown: string[] };
+}
+
+export interface RegExpOptions {
+  maxLength?: number;
+  safe?: boolean;
+  inert?: boolean;
+}
+
+export type Limit = "maxDepth" | "maxKeys" | "maxCollectionSize" | "maxPointers" | "maxStringLength";
+
+export class LimitError extends RangeError {
+  limit: Limit;
+  max: number;
+  path: (string | number)[];
+}
+
+export class TagError extends TypeError {
+  tag: string;
+  path: (string | number)[];
+}
+
+export class RegExpError extends TypeError {
+  reason: "maxLength" | "nested quantifier" | "backreference";
+  path: (string | number)[];
+}
+
+export function stringify(obj: any, options?: EncodeOptions): string;
+export function parse(encoded: string, options?: DecodeOptions): any;
+export function encode(obj: any, options?: EncodeOptions): any;
+export function decode(data: any, options?: DecodeOptions): any;
+export function stringifyAsync(obj: any, context?: object, options?: EncodeOptions): Promise<{ data: string; cleanup: () => void }>;
+export function parseAsync(encoded: string, context?: object, options?: DecodeOptions): Promise<any>;
 export function custom(tag: string, config: PluginConfig): void;
 export function clearPlugins(): void;
+export function registerError(name: string, ErrorClass: ErrorClass): void;
+export function registerClass<T>(Class: new (...args: any[]) => T, options?: ClassOptions<T>): void;
+
+export interface JSSOptions {
+  plugins?: { [tag: string]: PluginConfig };
+  builtIns?: boolean | BuiltInTag[];
+  errors?: { [name: string]: ErrorClass };
+  temporal?: object;
+}
+
+export interface JSS {
+  stringify(obj: any, options?: EncodeOptions): string;
+  parse(encoded: string, options?: DecodeOptions): any;
+  encode(obj: any, options?: EncodeOptions): any;
+  decode(data: any, options?: DecodeOptions): any;
+  stringifyAsync(obj: any, context?: object, options?: EncodeOptions): Promise<{ data: string; cleanup: () => void }>;
+  parseAsync(encoded: string, context?: object, options?: DecodeOptions): Promise<any>;
+  custom(tag: string, config: PluginConfig): void;
+  clearPlugins(): void;
+  registerError(name: string, ErrorClass: ErrorClass): void;
+  registerClass<T>(Class: new (...args: any[]) => T, options?: ClassOptions<T>): void;
+}
+
+export function createJSS(options?: JSSOptions): JSS;
@@ -9,13 +9,20 @@
  *
  * | Type           | Tag | Description                           |
  * |----------------|-----|---------------------------------------|
- * | Date           | `D` | Serialized as timestamp               |
+ * | Date           | `D` | Timestamp, or ISO string with offset  |
  * | RegExp         | `R` | Serialized as string pattern          |
- * | Error          | `E` | Preserves name, message, and stack    |
+ * | Error          | `E` | Name, message, stack, cause, fields   |
  * | undefined      | `U` | Explicitly represents undefined       |
  * | Map            | `M` | Converted to/from object entries      |
  * | Set            | `S` | Converted to/from array               |
  * | Circular Refs  | `P` | Preserved via path pointers           |
+ * | BigInt         | `B` | Serialized as decimal string          |
+ * | NaN, ±Inf, -0  | `N` | Serialized as string                  |
+ * | Binary         | `I` | [kind, base64], keeps the class       |
+ * | Class instance | `C` | [name, data] of a registered class    |
+ * | Temporal       | `T` | [kind, isoString]                     |
+ * | URL, Headers   | `W` | [kind, string or entry list]          |
+ * | Boxed values   | `O` | [kind, primitive]                     |
  *
  * ## Wire Format
  *
@@ -51,6 +58,14 @@
  * - `parse(str)` - Parse JSS string back to object (high-level)
  * - `encode(obj)` - Convert object to JSS-encoded plain object
  * - `decode(obj)` - Convert JSS-encoded object back to original
+ * - `stringifyAsync(obj, ctx)` - Stringify, running plugin `onSend` hooks
+ * - `parseAsync(str, ctx)` - Parse, awaiting plugin `onReceive` hooks
+ * - `registerError(name, ErrorClass)` - Decode errors of that name as ErrorClass
+ * - `registerClass(Class, options)` - Encode and rebuild instances of Class
+ * - `createJSS(options)` - Create an instance with its own plugin registry
+ * - `LimitError` - Thrown when parsed input goes over a resource limit
+ * - `TagError` - Thrown for a rejected tag when parsing with `onUnknownTag: 'throw'`
+ * - `RegExpError` - Thrown for a RegExp rejected by the `regexp` parse options
  *
  * ## Circular Reference Handling
  *
@@ -120,9 +135,10 @@
  * // Original types restored
  */
 
-const { encode, stringify } = require("./utils/encode");
-const { decode, parse } = require("./utils/decode");
-const { register: custom, clearPlugins } = require("./utils/plugins");
+const { createEncoder } = require("./utils/encode");
+const { createDecoder } = require("./utils/decode");
+const { createRegistry, defaultRegistry } = require("./utils/plugins");
+const { LimitError, TagError, RegExpError } = require("./utils/errors");
 
 /**
  * Parse a JSS-encoded string back into an object with restored types
@@ -133,12 +149,31 @@ const { register: custom, clearPlugins } = require("./utils/plugins");
  *
  * @function parse
  * @param {string} encoded - JSS-encoded JSON string
+ * @param {Object=} options - Options for untrusted input: resource limits
+ *        (`maxDepth`, `maxKeys`, `maxCollectionSize`, `maxPointers`,
+ *        `maxStringLength`), `allowTags`, `onUnknownTag` ('keep', 'strip'
+ *        or 'throw') and `regexp` (`{ maxLength, safe, inert }`)
  * @returns {any} Decoded object with original types restored
  * @throws {SyntaxError} If the string is not valid JSON
+ * @throws {LimitError} If the payload goes over a limit
+ * @throws {TagError} If a tag is rejected and `onUnknownTag` is 'throw'
+ * @throws {RegExpError} If a RegExp is rejected by the `regexp` options
  *
  * @example
  * const obj = jss.parse('{"date<!D>":1704067200000}')
  * console.log(obj.date instanceof Date)  // true
+ *
+ * @example
+ * // Reject abusive messages from clients
+ * const msg = jss.parse(data, { maxDepth: 32, maxKeys: 1000, maxStringLength: 65536 })
+ *
+ * @example
+ * // Accept only a safe subset of types
+ * const msg = jss.parse(data, { allowTags: ['D', 'M', 'S'], onUnknownTag: 'throw' })
+ *
+ * @example
+ * // Never compile patterns that could backtrack catastrophically
+ * const msg = jss.parse(data, { regexp: { maxLength: 256, safe: true } })
  */
 
 /**
@@ -150,6 +185,11 @@ const { register: custom, clearPlugins } = require("./utils/plugins");
  *
  * @function stringify
  * @param {any} obj - Object to serialize
+ * @param {Object=} options - Encode options: `keepUndefined` writes object
+ *        properties holding undefined as `key<!U>` instead of dropping them,
+ *        `symbolKeys` writes symbol-keyed properties, `fidelity` keeps
+ *        null prototypes and frozen, sealed or non-extensible state, and
+ *        `dateOffset` writes Dates as ISO strings with the local UTC offset
  * @returns {string} JSS-encoded JSON string
  *
  * @example
@@ -167,8 +207,10 @@ const { register: custom, clearPlugins } = require("./utils/plugins");
  * representations. Useful for inspection or custom serialization.
  *
  * @function encode
- * @param {any} obj - Object to encode
- * @returns {Object} Plain object with tagged keys for extended types
+ * @param {any} obj - Value to encode
+ * @param {Object=} options - Encode options, as for `stringify`
+ * @returns {any} JSON-compatible value with tagged keys for extended types;
+ *          a root that needs a tag is wrapped as `{ "<!TAG>": value }`
  *
  * @example
  * const encoded = jss.encode({ date: new Date() })
@@ -182,14 +224,56 @@ const { register: custom, clearPlugins } = require("./utils/plugins");
  * representations. Useful when working with already-parsed data.
  *
  * @function decode
- * @param {Object} data - JSS-encoded plain object
+ * @param {any} data - JSS-encoded value, as returned by `encode`
+ * @param {Object=} options - Limits and tag filtering, as for `parse`
  * @returns {any} Object with original types restored
+ * @throws {LimitError} If the data goes over a limit
+ * @throws {TagError} If a tag is rejected and `onUnknownTag` is 'throw'
  *
  * @example
  * const decoded = jss.decode({ "date<!D>": 1704067200000 })
  * console.log(decoded.date instanceof Date)  // true
  */
 
+/**
+ * Convert an object to a JSS string, running plugin send hooks
+ *
+ * Like `stringify()`, but every value handled by a custom plugin with an
+ * `onSend` hook has that hook awaited. A returned `{ replace }` is written
+ * in place of the plugin's encoded value, and each `cleanup` callback is
+ * collected into the returned `cleanup()` function.
+ *
+ * @function stringifyAsync
+ * @param {any} obj - Object to serialize
+ * @param {Object=} context - Context passed to custom plugin `encode` and `onSend`
+ * @param {Object=} options - Encode options, as for `stringify`
+ * @returns {Promise<{data: string, cleanup: function(): void}>} JSS string and cleanup runner
+ *
+ * @example
+ * const { data, cleanup } = await jss.stringifyAsync({ file }, { clientId })
+ * socket.send(data)
+ */
+
+/**
+ * Parse a JSS string, awaiting plugin receive hooks
+ *
+ * Like `parse()`, but every value handled by a custom plugin with an
+ * `onReceive` hook is replaced by the value that hook resolves to before
+ * the decoded object is returned.
+ *
+ * @function parseAsync
+ * @param {string} encoded - JSS-encoded JSON string
+ * @param {Object=} context - Context passed to custom plugin `decode` and `onReceive`
+ * @param {Object=} options - Limits and tag filtering, as for `parse`
+ * @returns {Promise<any>} Decoded object with external resources resolved
+ * @throws {SyntaxError} If the string is not valid JSON
+ * @throws {LimitError} If the payload goes over a limit
+ * @throws {TagError} If a tag is rejected and `onUnknownTag` is 'throw'
+ *
+ * @example
+ * const message = await jss.parseAsync(data, { clientId })
+ */
+
 /**
  * Register a custom type handler plugin
  *
@@ -203,17 +287,176 @@ const { register: custom, clearPlugins } = require("./utils/plugins");
  * @param {function(string|number, any): boolean} config.check - Determines if plugin handles value
  * @param {function(string[], string|number, any, Object): any} config.encode - Transform for serialization
  * @param {function(any, string[], Object): any} config.decode - Restore from serialization
- * @param {function=} config.onSend - Optional send lifecycle hook
- * @param {function=} config.onReceive - Optional receive lifecycle hook
+ * @param {function=} config.onSend - Optional send lifecycle hook (run by stringifyAsync)
+ * @param {function=} config.onReceive - Optional receive lifecycle hook (awaited by parseAsync)
  * @throws {Error} If tag conflicts with built-in or existing custom type
  *
  * @example
- * // Register a custom BigInt handler
- * jss.custom('B', {
- *   check: (key, value) => typeof value === 'bigint',
- *   encode: (path, key, value) => value.toString(),
- *   decode: (value) => BigInt(value)
+ * // Register a custom Point handler
+ * jss.custom('X', {
+ *   check: (key, value) => value instanceof Point,
+ *   encode: (path, key, value) => [value.x, value.y],
+ *   decode: (value) => new Point(value[0], value[1])
  * })
  */
 
-module.exports = { parse, stringify, encode, decode, custom, clearPlugins };
+/**
+ * Register an Error subclass for decoding
+ *
+ * Decoded errors are rebuilt from the classes registered by name, then
+ * from a safe list of standard classes (TypeError, RangeError,
+ * AggregateError, DOMException, ...). Errors with any other name decode
+ * to a plain Error carrying that name. The constructor is not called, so
+ * `instanceof` works whatever arguments it expects.
+ *
+ * @function registerError
+ * @param {string} name - Error name as encoded (the error's `name` property)
+ * @param {function} ErrorClass - Class extending Error
+ * @throws {Error} If ErrorClass does not extend Error, or name is a built-in
+ *         error type or already registered
+ *
+ * @example
+ * class HttpError extends Error {
+ *   constructor(status) {
+ *     super(`HTTP ${status}`)
+ *     this.name = 'HttpError'
+ *     this.status = status
+ *   }
+ * }
+ * jss.registerError('HttpError', HttpError)
+ *
+ * jss.parse(jss.stringify({ err: new HttpError(404) })).err instanceof HttpError  // true
+ */
+
+/**
+ * Register a class so its instances keep their prototype
+ *
+ * Instances are encoded with the `C` tag as `[name, data]`. By default
+ * `data` holds the instance's own enumerable fields, which go through the
+ * normal tag and pointer handling, and decoding creates an instance with
+ * the class prototype (without calling the constructor) and sets them.
+ * The sending and receiving sides must register the class under the same
+ * name.
+ *
+ * @function registerClass
+ * @param {function} Class - Class whose instances to handle
+ * @param {Object=} options - `name` to write on the wire (defaults to
+ *        `Class.name`), `toJSON(instance)` returning the data to send and
+ *        `fromJSON(data)` building the instance from it
+ * @throws {Error} If Class is not a constructor, an option is invalid, or
+ *         the name or class is already registered
+ *
+ * @example
+ * class Money {
+ *   constructor(amount, currency) {
+ *     this.amount = amount
+ *     this.currency = currency
+ *   }
+ *   toString() {
+ *     return `${this.amount} ${this.currency}`
+ *   }
+ * }
+ * jss.registerClass(Money)
+ *
+ * jss.stringify({ price: new Money(5, 'EUR') })
+ * // '{"price<!C>":["Money",{"amount":5,"currency":"EUR"}]}'
+ * jss.parse(jss.stringify({ price: new Money(5, 'EUR') })).price.toString()  // '5 EUR'
+ */
+
+/**
+ * Build a JSS instance around a plugin registry
+ *
+ * @param {Registry} registry - Registry holding the instance's plugins
+ * @returns {Object} Instance exposing the same methods as the top-level exports
+ * @private
+ */
+function bindJSS(registry) {
+  return {
+    ...createEncoder(registry),
+    ...createDecoder(registry),
+    custom: registry.register,
+    clearPlugins: registry.clearPlugins,
+    registerError: registry.registerError,
+    registerClass: registry.registerClass,
+  };
+}
+
+/**
+ * Create an isolated JSS instance
+ *
+ * Each instance has its own plugin registry, so plugins registered with
+ * `instance.custom()` are invisible to the top-level `jss` exports and to
+ * other instances. The top-level exports are themselves a default
+ * instance.
+ *
+ * @param {Object} [options={}] - Instance options
+ * @param {Object.<string, PluginConfig>} [options.plugins={}] - Custom plugins to register, keyed by tag
+ * @param {boolean|string[]} [options.builtIns=true] - Built-in types to inherit:
+ *        `true` for all, `false` for none, or a list of tags (e.g. `['D', 'M']`).
+ *        Circular references (`P`) are always supported.
+ * @param {Object.<string, function>} [options.errors={}] - Error classes to register, keyed by name
+ * @param {Object} [options.temporal] - Temporal implementation (e.g. a polyfill)
+ *        used to decode Temporal values; `globalThis.Temporal` when omitted
+ * @returns {Object} Instance with `parse`, `stringify`, `encode`, `decode`,
+ *          `stringifyAsync`, `parseAsync`, `custom`, `clearPlugins`, `registerError`
+ *          and `registerClass`
+ * @throws {Error} If a plugin is invalid or its tag conflicts with an inherited built-in
+ * @throws {Error} If an error class does not extend Error or its name is a built-in error type
+ *
+ * @example
+ * const money = jss.createJSS({
+ *   plugins: {
+ *     X: {
+ *       check: (key, value) => value instanceof Money,
+ *       encode: (path, key, value) => [value.amount, value.currency],
+ *       decode: (value) => new Money(value[0], value[1])
+ *     }
+ *   }
+ * })
+ *
+ * money.stringify({ price: new Money(5, 'EUR') })  // '{"price<!X>":[5,"EUR"]}'
+ * jss.stringify({ price: new Money(5, 'EUR') })    // 'X' is unknown here
+ */
+function createJSS(options = {}) {
+  const { plugins = {}, builtIns, errors = {}, temporal } = options;
+  const instance = bindJSS(createRegistry({ builtIns, temporal }));
+
+  for (const tag of Object.keys(plugins)) {
+    instance.custom(tag, plugins[tag]);
+  }
+  for (const name of Object.keys(errors)) {
+    instance.registerError(name, errors[name]);
+  }
+
+  return instance;
+}
+
+const {
+  parse,
+  stringify,
+  encode,
+  decode,
+  stringifyAsync,
+  parseAsync,
+  custom,
+  clearPlugins,
+  registerError,
+  registerClass,
+} = bindJSS(defaultRegistry);
+
+module.exports = {
+  parse,
+  stringify,
+  encode,
+  decode,
+  stringifyAsync,
+  parseAsync,
+  custom,
+  clearPlugins,
+  registerError,
+  registerClass,
+  createJSS,
+  LimitError,
+  TagError,
+  RegExpError,
+};
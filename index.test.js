@@ -83,6 +83,58 @@ describe('JSS - JSON SuperSet', () => {
             expect(result.data.get('key1')).toBe('value1')
             expect(result.data.get('key2')).toBe(42)
         })
+
+        test('preserves BigInt values beyond safe integer range', () => {
+            const input = { id: 9007199254740993n, neg: -123456789012345678901234567890n, zero: 0n }
+            const str = jss.stringify(input)
+            expect(JSON.parse(str)['id<!B>']).toBe('9007199254740993')
+
+            const result = jss.parse(str)
+            expect(result).toEqual(input)
+        })
+
+        test('BigInt arrays use the [*B] shorthand', () => {
+            const encoded = jss.encode({ ids: [1n, 2n], mixed: [1, 2n] })
+            expect(encoded['ids<![*B]>']).toEqual(['1', '2'])
+            expect(encoded['mixed<![,B]>']).toEqual([1, '2'])
+            expect(jss.decode(encoded).ids).toEqual([1n, 2n])
+        })
+
+        test('preserves NaN, Infinity, -Infinity and -0', () => {
+            const input = { nan: NaN, inf: Infinity, ninf: -Infinity, nzero: -0, zero: 0, n: 1.5 }
+            const encoded = jss.encode(input)
+            expect(encoded).toEqual({
+                'nan<!N>': 'NaN', 'inf<!N>': 'Infinity', 'ninf<!N>': '-Infinity', 'nzero<!N>': '-0', zero: 0, n: 1.5
+            })
+
+            const result = jss.parse(jss.stringify(input))
+            expect(result.nan).toBeNaN()
+            expect(result.inf).toBe(Infinity)
+            expect(result.ninf).toBe(-Infinity)
+            expect(Object.is(result.nzero, -0)).toBe(true)
+            expect(Object.is(result.zero, 0)).toBe(true)
+        })
+
+        test('special numbers inside arrays, Sets and Maps', () => {
+            const input = { arr: [NaN, NaN], mixed: [1, -0], s: new Set([Infinity, 2]), m: new Map([['v', NaN], [NaN, 'k']]) }
+            const encoded = jss.encode(input)
+            expect(encoded['arr<![*N]>']).toEqual(['NaN', 'NaN'])
+            expect(encoded['mixed<![,N]>']).toEqual([1, '-0'])
+
+            const result = jss.parse(jss.stringify(input))
+            expect(result.arr).toEqual([NaN, NaN])
+            expect(Object.is(result.mixed[1], -0)).toBe(true)
+            expect(result.s.has(Infinity)).toBe(true)
+            expect(result.m.get('v')).toBeNaN()
+            expect(result.m.get(NaN)).toBe('k')
+        })
+
+        test('BigInt keys and members in collections', () => {
+            const input = { m: new Map([[1n, 'one']]), s: new Set([2n]) }
+            const result = jss.parse(jss.stringify(input))
+            expect(result.m.get(1n)).toBe('one')
+            expect(result.s.has(2n)).toBe(true)
+        })
     })
 
     describe('Objects and Arrays', () => {
@@ -240,6 +292,143 @@ describe('JSS - JSON SuperSet', () => {
         })
     })
 
+    describe('Map and Set Contents', () => {
+        test('Map values keep their types', () => {
+            const input = { m: new Map([['at', new Date(0)], ['re', /x/g], ['none', undefined]]) }
+            const encoded = jss.encode(input)
+            expect(encoded['m<!M>']).toEqual({ 'at<!D>': 0, 're<!R>': '/x/g', 'none<!U>': null })
+
+            const result = jss.parse(jss.stringify(input))
+            expect(result.m.get('at')).toBeInstanceOf(Date)
+            expect(result.m.get('re').flags).toBe('g')
+            expect(result.m.has('none')).toBe(true)
+        })
+
+        test('Map key __proto__ is kept', () => {
+            const input = { m: new Map([['__proto__', 1], ['a', 2]]) }
+            expect(jss.stringify(input)).toBe('{"m<!M>":{"__proto__":1,"a":2}}')
+
+            const result = jss.parse(jss.stringify(input))
+            expect([...result.m]).toEqual([['__proto__', 1], ['a', 2]])
+        })
+
+        test('Set members carry their tags after the S tag', () => {
+            const input = { s: new Set([new Date(0), new Date(1)]), mixed: new Set([1, new Date(2)]) }
+            const encoded = jss.encode(input)
+            expect(encoded['s<!S[*D]>']).toEqual([0, 1])
+            expect(encoded['mixed<!S[,D]>']).toEqual([1, 2])
+
+            const result = jss.decode(encoded)
+            expect([...result.s][1].getTime()).toBe(1)
+            expect([...result.mixed][1]).toBeInstanceOf(Date)
+        })
+
+        test('nested collections round-trip', () => {
+            const input = { s: new Set([new Map([['d', new Date(5)]]), new Set([new Set([new Date(6)])])]) }
+            const encoded = jss.encode(input)
+            expect(encoded['s<!S[M,S[*S[*D]]]>']).toBeDefined()
+
+            const [map, set] = jss.parse(jss.stringify(input)).s
+            expect(map.get('d').getTime()).toBe(5)
+            expect([...[...set][0]][0].getTime()).toBe(6)
+        })
+
+        test('collections in arrays use their full tag', () => {
+            const result = jss.parse(jss.stringify({ list: [new Set([new Date(0)]), 1] }))
+            expect([...result.list[0]][0]).toBeInstanceOf(Date)
+            expect(result.list[1]).toBe(1)
+        })
+
+        test('circular references inside Map and Set', () => {
+            const root = { name: 'root' }
+            const map = new Map()
+            map.set('self', map)
+            map.set('root', root)
+            const set = new Set([root])
+            set.add(set)
+            root.map = map
+            root.set = set
+
+            const result = jss.parse(jss.stringify(root))
+            expect(result.map.get('self')).toBe(result.map)
+            expect(result.map.get('root')).toBe(result)
+            expect([...result.set]).toEqual([result, result.set])
+        })
+
+        test('shared objects inside collections resolve to one instance', () => {
+            const shared = { id: 1 }
+            const input = { a: new Set([shared]), b: new Map([['s', shared]]), c: shared }
+
+            const result = jss.decode(jss.encode(input))
+            expect(result.b.get('s')).toBe([...result.a][0])
+            expect(result.c).toBe([...result.a][0])
+        })
+
+        test('pointers into collection members resolve', () => {
+            const item = { n: 1 }
+            const input = { s: new Set([item]), m: new Map([['k', { inner: item }]]), again: item }
+            input.more = input.m.get('k')
+
+            const result = jss.parse(jss.stringify(input))
+            expect(result.again).toBe([...result.s][0])
+            expect(result.more).toBe(result.m.get('k'))
+            expect(result.more.inner).toBe(result.again)
+        })
+
+        test('Maps with non-string keys use an entry list', () => {
+            const input = { m: new Map([[1, 'one'], [true, 'yes'], [null, 'nil'], [undefined, 'u'], ['1', 'str']]) }
+            const encoded = jss.encode(input)
+            expect(encoded['m<!M[,,,[U,],]>']).toEqual([[1, 'one'], [true, 'yes'], [null, 'nil'], [null, 'u'], ['1', 'str']])
+
+            const result = jss.parse(jss.stringify(input))
+            expect(result.m.get(1)).toBe('one')
+            expect(result.m.get('1')).toBe('str')
+            expect(result.m.get(true)).toBe('yes')
+            expect(result.m.get(null)).toBe('nil')
+            expect(result.m.get(undefined)).toBe('u')
+            expect(result.m.size).toBe(5)
+        })
+
+        test('Maps with integer-like string keys keep their insertion order', () => {
+            const input = { m: new Map([['b', 1], ['1', 2], ['01', 3], ['-1', 4]]) }
+            expect(jss.encode(input)).toEqual({ 'm<!M>': [['b', 1], ['1', 2], ['01', 3], ['-1', 4]] })
+            expect([...jss.parse(jss.stringify(input)).m.keys()]).toEqual(['b', '1', '01', '-1'])
+
+            const plain = { m: new Map([['b', 1], ['01', 2], ['4294967295', 3], ['1.5', 4]]) }
+            expect(jss.encode(plain)).toEqual({ 'm<!M>': { b: 1, '01': 2, 4294967295: 3, '1.5': 4 } })
+            expect([...jss.parse(jss.stringify(plain)).m.keys()]).toEqual(['b', '01', '4294967295', '1.5'])
+        })
+
+        test('Date and object keys keep their type and identity', () => {
+            const owner = { id: 7 }
+            const input = { owner, byKey: new Map([[new Date(0), 'epoch'], [owner, 'owner'], [{ id: 8 }, 'other']]) }
+
+            const result = jss.parse(jss.stringify(input))
+            const keys = [...result.byKey.keys()]
+            expect(keys[0]).toBeInstanceOf(Date)
+            expect(keys[0].getTime()).toBe(0)
+            expect(keys[1]).toBe(result.owner)
+            expect(result.byKey.get(result.owner)).toBe('owner')
+            expect(keys[2]).toEqual({ id: 8 })
+        })
+
+        test('shared keys referenced after the Map resolve to the key', () => {
+            const key = { id: 1 }
+            const input = { m: new Map([[key, new Set([key])]]), later: key }
+
+            const result = jss.decode(jss.encode(input))
+            const [[k, v]] = [...result.m]
+            expect(result.later).toBe(k)
+            expect([...v][0]).toBe(k)
+        })
+
+        test('payloads without content tags still decode', () => {
+            const result = jss.decode({ 's<!S>': [1, 2], 'm<!M>': { a: 1 } })
+            expect([...result.s]).toEqual([1, 2])
+            expect(result.m.get('a')).toBe(1)
+        })
+    })
+
     describe('Round-trip', () => {
         test('object with multiple special types survives round-trip', () => {
             const original = {
@@ -304,6 +493,156 @@ describe('JSS - JSON SuperSet', () => {
             expect(decoded.err).toBeInstanceOf(Error)
             expect(decoded.err.name).toBe('Object')
         })
+
+        test('preserves cause chains with their types', () => {
+            const root = new RangeError('too big')
+            const mid = new TypeError('bad value', { cause: root })
+            const input = { err: new Error('request failed', { cause: mid }) }
+
+            const result = jss.parse(jss.stringify(input))
+            expect(result.err.cause).toBeInstanceOf(TypeError)
+            expect(result.err.cause.message).toBe('bad value')
+            expect(result.err.cause.cause).toBeInstanceOf(RangeError)
+            expect(result.err.cause.cause.stack).toBe(root.stack)
+            expect(Object.keys(result.err)).toEqual([])
+        })
+
+        test('preserves non-error causes', () => {
+            const input = { err: new Error('x', { cause: { code: 7, at: new Date(0) } }) }
+            const result = jss.parse(jss.stringify(input))
+            expect(result.err.cause.code).toBe(7)
+            expect(result.err.cause.at).toBeInstanceOf(Date)
+        })
+
+        test('rebuilds AggregateError with its errors', () => {
+            const input = { err: new AggregateError([new TypeError('a'), 'b'], 'all failed') }
+            const result = jss.parse(jss.stringify(input))
+
+            expect(result.err).toBeInstanceOf(AggregateError)
+            expect(result.err.message).toBe('all failed')
+            expect(result.err.errors).toHaveLength(2)
+            expect(result.err.errors[0]).toBeInstanceOf(TypeError)
+            expect(result.err.errors[1]).toBe('b')
+        })
+
+        test('preserves Node system error fields and custom properties', () => {
+            const err = Object.assign(new Error('ENOENT: no such file'), { code: 'ENOENT', errno: -2, syscall: 'open' })
+            err.statusCode = 404
+            err.meta = { retryAt: new Date(5) }
+
+            const result = jss.parse(jss.stringify({ err }))
+            expect(result.err.code).toBe('ENOENT')
+            expect(result.err.errno).toBe(-2)
+            expect(result.err.syscall).toBe('open')
+            expect(result.err.statusCode).toBe(404)
+            expect(result.err.meta.retryAt).toBeInstanceOf(Date)
+        })
+
+        test('keeps the name of custom subclasses', () => {
+            class ValidationError extends Error {
+                constructor (message) {
+                    super(message)
+                    this.name = 'ValidationError'
+                    this.field = 'email'
+                }
+            }
+            const encoded = jss.encode({ err: new ValidationError('invalid') })
+            expect(encoded['err<!E>'][0]).toBe('ValidationError')
+            expect(encoded['err<!E>'][3]).toEqual({ field: 'email' })
+
+            const result = jss.decode(encoded)
+            expect(result.err.name).toBe('ValidationError')
+            expect(result.err.field).toBe('email')
+        })
+
+        test('rebuilds registered error classes without calling their constructor', () => {
+            class HttpError extends Error {
+                constructor (status, url) {
+                    super(`HTTP ${status} for ${url.href}`)
+                    this.name = 'HttpError'
+                    this.status = status
+                }
+            }
+            jss.registerError('HttpError', HttpError)
+
+            const original = new HttpError(404, new URL('http://example.com/'))
+            const result = jss.parse(jss.stringify({ err: original }))
+            expect(result.err).toBeInstanceOf(HttpError)
+            expect(result.err).toBeInstanceOf(Error)
+            expect(result.err.name).toBe('HttpError')
+            expect(result.err.message).toBe('HTTP 404 for http://example.com/')
+            expect(result.err.status).toBe(404)
+            expect(result.err.stack).toBe(original.stack)
+
+            jss.clearPlugins()
+            expect(jss.parse(jss.stringify({ err: original })).err).not.toBeInstanceOf(HttpError)
+        })
+
+        test('keeps the prototype name of registered classes', () => {
+            class TimeoutError extends Error {}
+            TimeoutError.prototype.name = 'TimeoutError'
+            jss.registerError('TimeoutError', TimeoutError)
+
+            const result = jss.parse(jss.stringify({ err: new TimeoutError('slow') }))
+            expect(result.err).toBeInstanceOf(TimeoutError)
+            expect(result.err.name).toBe('TimeoutError')
+            expect(Object.keys(result.err)).toEqual([])
+            jss.clearPlugins()
+        })
+
+        test('validates registered error classes', () => {
+            class AppError extends Error {}
+            expect(() => jss.registerError('', AppError)).toThrow('Error name must be a non-empty string')
+            expect(() => jss.registerError(7, AppError)).toThrow('Error name must be a non-empty string')
+            expect(() => jss.registerError('AppError', Object)).toThrow("Error class for 'AppError' must extend Error")
+            expect(() => jss.registerError('AppError', 'AppError')).toThrow('must extend Error')
+            expect(() => jss.registerError('TypeError', AppError)).toThrow("Error class 'TypeError' conflicts with built-in error type")
+
+            jss.registerError('AppError', AppError)
+            expect(() => jss.registerError('AppError', AppError)).toThrow("Error class 'AppError' is already registered")
+            jss.clearPlugins()
+        })
+
+        test('does not resolve error names from the global scope', () => {
+            for (const name of ['process', 'Function', '__proto__', 'constructor']) {
+                const decoded = jss.decode({ 'err<!E>': [name, 'm', 's'] })
+                expect(Object.getPrototypeOf(decoded.err)).toBe(Error.prototype)
+                expect(decoded.err.name).toBe(name)
+            }
+        })
+
+        test('rebuilds DOMException with its name and code', () => {
+            const original = new DOMException('The operation was aborted', 'AbortError')
+            const encoded = jss.encode({ err: original })
+            expect(encoded['err<!E>'][0]).toBe('DOMException')
+            expect(encoded['err<!E>'][3]).toEqual({ name: 'AbortError' })
+
+            const result = jss.decode(encoded)
+            expect(result.err).toBeInstanceOf(DOMException)
+            expect(result.err.name).toBe('AbortError')
+            expect(result.err.code).toBe(20)
+            expect(result.err.message).toBe('The operation was aborted')
+            expect(result.err.stack).toBe(original.stack)
+            expect(Object.keys(result.err)).toEqual([])
+        })
+
+        test('handles circular references through error fields', () => {
+            const err = new Error('loop')
+            err.self = err
+            const parent = { err }
+            err.parent = parent
+            const other = new Error('other', { cause: err })
+
+            const result = jss.parse(jss.stringify({ parent, other }))
+            expect(result.parent.err.self).toBe(result.parent.err)
+            expect(result.parent.err.parent).toBe(result.parent)
+            expect(result.other.cause).toBe(result.parent.err)
+        })
+
+        test('simple errors keep the three-element encoding', () => {
+            const encoded = jss.encode({ err: new Error('plain') })
+            expect(encoded['err<!E>']).toHaveLength(3)
+        })
     })
 
     describe('Array Type Tags', () => {
@@ -467,6 +806,64 @@ describe('JSS - JSON SuperSet', () => {
         })
     })
 
+    describe('Binary Encoding', () => {
+        test('round-trips Buffer, ArrayBuffer and DataView', () => {
+            const raw = new Uint8Array([0, 255, 127, 128]).buffer
+            const input = { buf: Buffer.from('Hello'), raw, view: new DataView(raw, 1, 2) }
+            const result = jss.parse(jss.stringify(input))
+
+            expect(Buffer.isBuffer(result.buf)).toBe(true)
+            expect(result.buf.toString()).toBe('Hello')
+            expect(result.raw).toBeInstanceOf(ArrayBuffer)
+            expect([...new Uint8Array(result.raw)]).toEqual([0, 255, 127, 128])
+            expect(result.view).toBeInstanceOf(DataView)
+            expect(result.view.byteLength).toBe(2)
+            expect(result.view.getUint8(0)).toBe(255)
+        })
+
+        test('round-trips every TypedArray kind', () => {
+            const input = {
+                i8: new Int8Array([-1, 1]),
+                u8: new Uint8Array([1, 2]),
+                u8c: new Uint8ClampedArray([255]),
+                i16: new Int16Array([-300]),
+                u16: new Uint16Array([65535]),
+                i32: new Int32Array([-70000]),
+                u32: new Uint32Array([4000000000]),
+                f32: new Float32Array([0.5]),
+                f64: new Float64Array([Math.PI, NaN, -0]),
+                bi64: new BigInt64Array([-1n]),
+                bu64: new BigUint64Array([2n ** 64n - 1n])
+            }
+            const result = jss.parse(jss.stringify(input))
+            for (const key of Object.keys(input)) {
+                expect(result[key].constructor).toBe(input[key].constructor)
+                expect(result[key]).toEqual(input[key])
+            }
+        })
+
+        test('encodes only the bytes in view of a subarray', () => {
+            const whole = new Uint16Array([1, 2, 3, 4])
+            const input = { part: whole.subarray(1, 3) }
+            const encoded = jss.encode(input)
+            expect(encoded['part<!I>'][0]).toBe('Uint16Array')
+
+            const result = jss.decode(encoded)
+            expect([...result.part]).toEqual([2, 3])
+            expect(result.part.buffer.byteLength).toBe(4)
+        })
+
+        test('binary values in arrays and collections keep their tag', () => {
+            const input = { list: [new Uint8Array([1]), new Uint8Array([2])], s: new Set([Buffer.from('x')]) }
+            const encoded = jss.encode(input)
+            expect(encoded['list<![*I]>']).toEqual([['Uint8Array', 'AQ=='], ['Uint8Array', 'Ag==']])
+
+            const result = jss.parse(jss.stringify(input))
+            expect(result.list[1]).toEqual(new Uint8Array([2]))
+            expect([...result.s][0].toString()).toBe('x')
+        })
+    })
+
     describe('RegExp Fallback Decoding', () => {
         test('decodes RegExp without delimiters as raw pattern', () => {
             // When the pattern doesn't match /pattern/flags format
@@ -491,6 +888,36 @@ describe('JSS - JSON SuperSet', () => {
             expect(decoded.pattern).toBeInstanceOf(RegExp)
             expect(decoded.pattern.flags).toBe('gimsuy')
         })
+
+        test('round-trips the d and v flags', () => {
+            const result = jss.parse(jss.stringify({ indices: /a(b)/dgimsy, sets: /[\p{L}--[a-z]]/v }))
+            expect(result.indices.flags).toBe('dgimsy')
+            expect(result.indices.hasIndices).toBe(true)
+            expect(result.sets.flags).toBe('v')
+            expect(result.sets.source).toBe('[\\p{L}--[a-z]]')
+        })
+
+        test('keeps lastIndex of stateful regexes', () => {
+            const global = /a/g
+            const sticky = /b/y
+            global.exec('xa')
+            sticky.lastIndex = 3
+            const encoded = jss.encode({ global, sticky, fresh: /c/g })
+            expect(encoded['global<!R>']).toEqual(['/a/g', 2])
+            expect(encoded['sticky<!R>']).toEqual(['/b/y', 3])
+            expect(encoded['fresh<!R>']).toBe('/c/g')
+
+            const decoded = jss.decode(encoded)
+            expect(decoded.global.lastIndex).toBe(2)
+            expect(decoded.sticky.lastIndex).toBe(3)
+            expect(decoded.fresh.lastIndex).toBe(0)
+            expect(jss.decode({ 'raw<!R>': ['raw', 1] }).raw.lastIndex).toBe(1)
+        })
+
+        test('rejects an invalid lastIndex', () => {
+            expect(() => jss.decode({ 're<!R>': ['/a/g', -1] })).toThrow('RegExp lastIndex must be a non-negative integer, got: -1')
+            expect(() => jss.decode({ 're<!R>': ['/a/g', '1'] })).toThrow(TypeError)
+        })
     })
 
     describe('Default Plugin Direct Tests', () => {
@@ -502,6 +929,12 @@ describe('JSS - JSON SuperSet', () => {
         const setPlugin = require('./utils/defaults/set')
         const pointerPlugin = require('./utils/defaults/pointer')
         const binaryPlugin = require('./utils/defaults/binary')
+        const bigintPlugin = require('./utils/defaults/bigint')
+        const numberPlugin = require('./utils/defaults/number')
+        const classPlugin = require('./utils/defaults/class')
+        const fidelityPlugin = require('./utils/defaults/fidelity')
+        const temporalPlugin = require('./utils/defaults/temporal')
+        const boxedPlugin = require('./utils/defaults/boxed')
 
         describe('Date Plugin', () => {
             test('check returns true for Date objects', () => {
@@ -564,6 +997,31 @@ describe('JSS - JSON SuperSet', () => {
                 expect(decoded).toBeInstanceOf(Error)
                 expect(decoded.message).toBe('test')
             })
+
+            test('encode adds extras as a fourth element', () => {
+                const error = new Error('test', { cause: 'why' })
+                error.code = 'E_TEST'
+                const encoded = errorPlugin.encode([], 'key', error, {})
+                expect(encoded[3]).toEqual({ cause: 'why', code: 'E_TEST' })
+            })
+
+            test('check returns true for DOMException', () => {
+                expect(errorPlugin.check('key', new DOMException('x'))).toBe(true)
+            })
+
+            test('create uses the safe list without a registry', () => {
+                expect(errorPlugin.create(['RangeError', 'r', 's'])).toBeInstanceOf(RangeError)
+                expect(errorPlugin.create(['DOMException', 'd', 's'])).toBeInstanceOf(DOMException)
+                expect(errorPlugin.create(['DOMException', 'd', 's']).name).toBe('Error')
+                expect(errorPlugin.errorClasses.get('TypeError')).toBe(TypeError)
+            })
+
+            test('decode sets cause non-enumerable and fields enumerable', () => {
+                const decoded = errorPlugin.decode(['Error', 'test', 'stack', { cause: 'why', code: 'E_TEST' }], [], {})
+                expect(decoded.cause).toBe('why')
+                expect(decoded.code).toBe('E_TEST')
+                expect(Object.keys(decoded)).toEqual(['code'])
+            })
         })
 
         describe('Undefined Plugin', () => {
@@ -601,6 +1059,19 @@ describe('JSS - JSON SuperSet', () => {
                 expect(decoded).toBeInstanceOf(Map)
                 expect(decoded.get('a')).toBe(1)
             })
+
+            test('encode returns entry list for non-string keys', () => {
+                const map = new Map([['a', 1], [2, 'b']])
+                expect(mapPlugin.encode([], 'key', map, {})).toEqual([['a', 1], [2, 'b']])
+                expect(mapPlugin.decode([[2, 'b']], [], {}).get(2)).toBe('b')
+            })
+
+            test('create and fill build a Map from decoded contents', () => {
+                const map = mapPlugin.create({ a: 1 })
+                mapPlugin.fill(map, { a: 1 })
+                mapPlugin.fill(map, [[2, 'b']])
+                expect(map).toEqual(new Map([['a', 1], [2, 'b']]))
+            })
         })
 
         describe('Set Plugin', () => {
@@ -620,6 +1091,12 @@ describe('JSS - JSON SuperSet', () => {
                 expect(decoded).toBeInstanceOf(Set)
                 expect(decoded.has(2)).toBe(true)
             })
+
+            test('create and fill build a Set from decoded contents', () => {
+                const set = setPlugin.create([1, 1, 2])
+                setPlugin.fill(set, [1, 1, 2])
+                expect(set).toEqual(new Set([1, 2]))
+            })
         })
 
         describe('Pointer Plugin', () => {
@@ -645,14 +1122,74 @@ describe('JSS - JSON SuperSet', () => {
             })
         })
 
+        describe('Class Plugin', () => {
+            test('check always returns false', () => {
+                expect(classPlugin.check('key', {})).toBe(false)
+            })
+
+            test('decode without a registry returns the data', () => {
+                expect(classPlugin.decode(['Money', { amount: 5 }], [], {})).toEqual({ amount: 5 })
+
+                const data = { amount: 5 }
+                expect(classPlugin.create(['Money', data])).toBe(data)
+                classPlugin.fill(data, ['Money', { amount: 6 }])
+                expect(data).toEqual({ amount: 5 })
+            })
+        })
+
+        describe('Temporal Plugin', () => {
+            test('decode without a registry uses the global Temporal', () => {
+                expect(temporalPlugin.decode(['PlainDate', '2024-01-01'], [], {})).toBe('2024-01-01')
+            })
+        })
+
+        describe('Boxed Plugin', () => {
+            test('decode rebuilds the wrapper object', () => {
+                const decoded = boxedPlugin.decode(['Number', 5], [], {})
+                expect(decoded).toBeInstanceOf(Number)
+                expect(decoded.valueOf()).toBe(5)
+            })
+        })
+
+        describe('Fidelity Plugin', () => {
+            test('decode restores the prototype and integrity level', () => {
+                const decoded = fidelityPlugin.decode(['nf', { a: 1 }], [], {})
+                expect(Object.getPrototypeOf(decoded)).toBe(null)
+                expect(Object.isFrozen(decoded)).toBe(true)
+                expect(decoded.a).toBe(1)
+            })
+        })
+
         describe('Binary Plugin', () => {
-            test('check always returns false (decode-only)', () => {
-                expect(binaryPlugin.check('key', Buffer.from('test'))).toBe(false)
+            test('check returns true for binary types only', () => {
+                expect(binaryPlugin.check('key', Buffer.from('test'))).toBe(true)
+                expect(binaryPlugin.check('key', new ArrayBuffer(2))).toBe(true)
+                expect(binaryPlugin.check('key', new DataView(new ArrayBuffer(2)))).toBe(true)
                 expect(binaryPlugin.check('key', 'test')).toBe(false)
+                expect(binaryPlugin.check('key', { [Symbol.toStringTag]: 'Uint8Array' })).toBe(false)
+            })
+
+            test('encode returns [kind, base64] of the bytes in view', () => {
+                const bytes = new Uint8Array([1, 2, 3, 4])
+                expect(binaryPlugin.encode([], 'key', Buffer.from('Hello'), {})).toEqual(['Buffer', 'SGVsbG8='])
+                expect(binaryPlugin.encode([], 'key', bytes.buffer, {})).toEqual(['ArrayBuffer', 'AQIDBA=='])
+                expect(binaryPlugin.encode([], 'key', bytes.subarray(1, 3), {})).toEqual(['Uint8Array', 'AgM='])
+            })
+
+            test('decode throws on unknown kinds', () => {
+                expect(() => binaryPlugin.decode(['Function', ''], [], {})).toThrow("Unknown binary type 'Function'")
             })
 
-            test('encode is null (decode-only)', () => {
-                expect(binaryPlugin.encode).toBe(null)
+            test('decode falls back to Uint8Array for kinds the runtime lacks', () => {
+                const original = globalThis.Float64Array
+                delete globalThis.Float64Array
+                try {
+                    const decoded = binaryPlugin.decode(['Float64Array', 'AAAAAAAA+D8='], [], {})
+                    expect(decoded).toBeInstanceOf(Uint8Array)
+                    expect(decoded.length).toBe(8)
+                } finally {
+                    globalThis.Float64Array = original
+                }
             })
 
             test('decode returns Buffer in Node.js', () => {
@@ -661,6 +1198,56 @@ describe('JSS - JSON SuperSet', () => {
                 expect(decoded.toString()).toBe('Hello')
             })
         })
+
+        describe('BigInt Plugin', () => {
+            test('check returns true for BigInt values only', () => {
+                expect(bigintPlugin.check('key', 1n)).toBe(true)
+                expect(bigintPlugin.check('key', 1)).toBe(false)
+            })
+
+            test('encode returns decimal string', () => {
+                expect(bigintPlugin.encode([], 'key', -42n, {})).toBe('-42')
+            })
+
+            test('decode returns BigInt', () => {
+                expect(bigintPlugin.decode('-42', [], {})).toBe(-42n)
+            })
+        })
+
+        describe('Built-in Lookups', () => {
+            const defaults = require('./utils/defaults')
+
+            test('getTagByToString returns the first tag for a toString type', () => {
+                expect(defaults.getTagByToString('[object Date]')).toBe('D')
+                expect(defaults.getTagByToString('[object Object]')).toBeUndefined()
+            })
+
+            test('getTagsByToString returns every candidate tag', () => {
+                expect(defaults.getTagsByToString('[object Number]')).toEqual(['N', 'O'])
+                expect(defaults.getTagsByToString('[object Array]')).toEqual(['H'])
+                expect(defaults.getTagsByToString('[object Object]')).toEqual([])
+            })
+        })
+
+        describe('Number Plugin', () => {
+            test('check returns true for special numbers only', () => {
+                expect(numberPlugin.check('key', NaN)).toBe(true)
+                expect(numberPlugin.check('key', -Infinity)).toBe(true)
+                expect(numberPlugin.check('key', -0)).toBe(true)
+                expect(numberPlugin.check('key', 0)).toBe(false)
+                expect(numberPlugin.check('key', 'NaN')).toBe(false)
+            })
+
+            test('encode returns string form', () => {
+                expect(numberPlugin.encode([], 'key', -0, {})).toBe('-0')
+                expect(numberPlugin.encode([], 'key', Infinity, {})).toBe('Infinity')
+            })
+
+            test('decode restores the number', () => {
+                expect(Object.is(numberPlugin.decode('-0', [], {}), -0)).toBe(true)
+                expect(numberPlugin.decode('NaN', [], {})).toBeNaN()
+            })
+        })
     })
 
     describe('Plugin Validation Edge Cases', () => {
@@ -680,7 +1267,7 @@ describe('JSS - JSON SuperSet', () => {
         })
 
         test('throws if onReceive is not a function', () => {
-            expect(() => jss.custom('Y', {
+            expect(() => jss.custom('Z', {
                 check: () => false,
                 encode: () => {},
                 decode: () => {},
@@ -699,76 +1286,989 @@ describe('JSS - JSON SuperSet', () => {
         })
     })
 
-    describe('Encode Edge Cases', () => {
-        test('encodes object with undefined property at root level (skipped)', () => {
-            const input = { a: 1, b: undefined, c: 3 }
-            const encoded = jss.encode(input)
-            // At root level, undefined values are skipped (line 248 check)
-            expect(encoded.a).toBe(1)
-            expect(encoded.c).toBe(3)
-            // b is skipped at root level
-            expect('b<!U>' in encoded).toBe(false)
-            expect('b' in encoded).toBe(false)
+    describe('Root Values', () => {
+        const roundTrip = (value) => jss.parse(jss.stringify(value))
+
+        test('round-trips arrays at the root', () => {
+            expect(roundTrip([1, 2])).toEqual([1, 2])
+            expect(jss.stringify([1, 2])).toBe('[1,2]')
+
+            const result = roundTrip([new Date(0), 'a', new Set([1])])
+            expect(result[0]).toEqual(new Date(0))
+            expect(result[1]).toBe('a')
+            expect(result[2]).toEqual(new Set([1]))
         })
 
-        test('encodes undefined in nested object (skipped in non-array context)', () => {
-            const input = { nested: { a: 1, b: undefined } }
-            const encoded = jss.encode(input)
-            // Undefined in objects is skipped (line 214 check)
-            expect(encoded.nested.a).toBe(1)
-            expect('b' in encoded.nested).toBe(false)
+        test('round-trips primitives at the root', () => {
+            for (const value of [5, 'text', true, null]) {
+                expect(jss.stringify(value)).toBe(JSON.stringify(value))
+                expect(roundTrip(value)).toBe(value)
+            }
+            expect(jss.stringify(undefined)).toBe('{"<!U>":null}')
+            expect(roundTrip(undefined)).toBeUndefined()
+            expect(roundTrip(NaN)).toBeNaN()
+            expect(roundTrip(10n)).toBe(10n)
         })
 
-        test('encodes array at root level', () => {
-            const input = [new Date('2025-01-01'), new Date('2025-06-15')]
-            const encoded = jss.encode(input)
-            // Root array should have the first element at key "0"
-            expect(encoded['0<!D>']).toBeDefined()
-            expect(encoded['1<!D>']).toBeDefined()
+        test('round-trips tagged types at the root', () => {
+            expect(jss.stringify(new Date(0))).toBe('{"<!D>":0}')
+            expect(roundTrip(new Date(0))).toEqual(new Date(0))
+            expect(roundTrip(new Map([['a', new Date(0)]]))).toEqual(new Map([['a', new Date(0)]]))
+            expect(roundTrip(/x/g)).toEqual(/x/g)
+            expect(roundTrip(new TypeError('bad'))).toBeInstanceOf(TypeError)
         })
 
-        test('encodes nested object with all undefined properties', () => {
-            const input = {
-                nested: {
-                    a: undefined,
-                    b: undefined
-                }
-            }
-            const result = jss.parse(jss.stringify(input))
-            expect(result.nested.a).toBe(undefined)
-            expect(result.nested.b).toBe(undefined)
+        test('keeps references to a tagged root', () => {
+            const map = new Map()
+            map.set('self', map)
+            const result = roundTrip(map)
+            expect(result.get('self')).toBe(result)
+
+            const list = [1]
+            list.push(list)
+            const decoded = roundTrip(list)
+            expect(decoded[1]).toBe(decoded)
         })
 
-        test('encodes deeply nested array with mixed types', () => {
-            const input = {
-                data: [
-                    [new Date('2025-01-01'), 'text'],
-                    [null, new Set([1, 2])]
-                ]
+        test('keeps root objects that look like an envelope', () => {
+            for (const value of [{ '': new Date(0) }, { '': [new Date(0)] }, { '': 1 }]) {
+                expect(roundTrip(value)).toEqual(value)
             }
-            const result = jss.parse(jss.stringify(input))
-            expect(result.data[0][0]).toBeInstanceOf(Date)
-            expect(result.data[0][1]).toBe('text')
-            expect(result.data[1][0]).toBe(null)
-            expect(result.data[1][1]).toBeInstanceOf(Set)
+            expect(jss.encode({ '': new Date(0) })).toEqual({ '<!>': { '<!D>': 0 } })
         })
 
-        test('encodes empty array', () => {
-            const input = { arr: [] }
-            const encoded = jss.encode(input)
-            expect(encoded.arr).toEqual([])
+        test('applies limits to the unwrapped root', () => {
+            expect(jss.parse('{"<![*D]>":[0]}', { maxDepth: 1 })).toEqual([new Date(0)])
+            expect(() => jss.parse('{"<!P>":[]}')).toThrow('Pointer cannot be the root value')
         })
 
-        test('encodes empty object', () => {
-            const input = { obj: {} }
-            const encoded = jss.encode(input)
-            expect(encoded.obj).toEqual({})
+        test('runs plugin hooks on the root', async () => {
+            const instance = jss.createJSS({
+                plugins: {
+                    X: {
+                        check: (key, value) => 'ticket' === value,
+                        encode: (path, key, value) => value,
+                        decode: (value) => value,
+                        onSend: async (path) => ({ replace: path.length }),
+                        onReceive: async (path, key, value) => `${value}:${path.length}`
+                    }
+                }
+            })
+            const { data } = await instance.stringifyAsync('ticket')
+            expect(data).toBe('{"<!X>":0}')
+            expect(await instance.parseAsync(data)).toBe('0:0')
         })
     })
 
-    describe('Decode Edge Cases', () => {
-        test('decodes unknown tag as passthrough', () => {
-            // Unknown tag should just pass through the value
+    describe('Symbols', () => {
+        const roundTrip = (value, options) => jss.parse(jss.stringify(value, options), options)
+        const token = Symbol.for('app.token')
+
+        test('round-trips registered and well-known symbols as values', () => {
+            expect(jss.encode({ token, iter: Symbol.iterator })).toEqual({
+                'token<!Y>': ['for', 'app.token'],
+                'iter<!Y>': ['wellKnown', 'iterator']
+            })
+            const result = roundTrip({ token, list: [Symbol.asyncIterator], map: new Map([[token, 1]]) })
+            expect(result.token).toBe(token)
+            expect(result.list[0]).toBe(Symbol.asyncIterator)
+            expect(result.map.get(token)).toBe(1)
+            expect(roundTrip(token)).toBe(token)
+        })
+
+        test('throws for unique symbols', () => {
+            expect(() => jss.stringify({ state: { id: Symbol('local') } })).toThrow(
+                "Cannot encode Symbol(local) at 'state.id': only Symbol.for() and well-known symbols can be rebuilt"
+            )
+        })
+
+        test('rejects invalid symbol descriptors', () => {
+            expect(() => jss.decode({ 's<!Y>': ['wellKnown', 'nope'] })).toThrow("Invalid symbol at 's'")
+            expect(() => jss.decode({ 's<!Y>': 'app.token' })).toThrow(TypeError)
+            expect(() => jss.decode({ 's<!Y>': ['for', 1] })).toThrow(TypeError)
+        })
+
+        test('ignores symbol keys by default', () => {
+            expect(jss.encode({ a: 1, [token]: 2 })).toEqual({ a: 1 })
+        })
+
+        test('round-trips symbol keys with symbolKeys', () => {
+            const input = { a: 1, [token]: new Date(0), [Symbol.toStringTag]: 'Tagged' }
+            const encoded = jss.encode(input, { symbolKeys: true })
+            expect(encoded).toEqual({
+                a: 1,
+                '["for","app.token"]<!*D>': 0,
+                '["wellKnown","toStringTag"]<!*>': 'Tagged'
+            })
+
+            const result = jss.parse(JSON.stringify(encoded), { symbolKeys: { wellKnown: ['toStringTag'] } })
+            expect(result[token]).toEqual(new Date(0))
+            expect(Object.prototype.toString.call(result)).toBe('[object Tagged]')
+            expect(Object.keys(result)).toEqual(['a'])
+        })
+
+        test('keeps symbol keys as strings unless symbolKeys is set on decode', () => {
+            const data = '{"user":{"[\\"wellKnown\\",\\"toPrimitive\\"]<!*>":1,"[\\"wellKnown\\",\\"toStringTag\\"]<!*>":"Map","[\\"for\\",\\"x\\"]<!*D>":0}}'
+            const result = jss.parse(data)
+            expect(`${result.user}`).toBe('[object Object]')
+            expect(Object.getOwnPropertySymbols(result.user)).toEqual([])
+            expect(result.user['["for","x"]']).toEqual(new Date(0))
+            expect(() => jss.stringify(result)).not.toThrow()
+
+            const accepted = jss.parse(data, { symbolKeys: true })
+            expect(accepted.user[Symbol.for('x')]).toEqual(new Date(0))
+            expect(Object.getOwnPropertySymbols(accepted.user)).toEqual([Symbol.for('x')])
+            expect(accepted.user['["wellKnown","toPrimitive"]']).toBe(1)
+
+            const listed = jss.parse(data, { symbolKeys: { wellKnown: ['toStringTag'] } })
+            expect(Object.prototype.toString.call(listed.user)).toBe('[object Map]')
+            expect(listed.user['["wellKnown","toPrimitive"]']).toBe(1)
+        })
+
+        test('applies onUnknownTag to symbol keys that are not accepted', () => {
+            const data = '{"a":1,"box":{"[\\"wellKnown\\",\\"iterator\\"]<!*>":2}}'
+            expect(jss.parse(data, { symbolKeys: true, onUnknownTag: 'strip' })).toEqual({ a: 1, box: {} })
+            let err
+            try {
+                jss.parse(data, { onUnknownTag: 'throw' })
+            } catch (e) {
+                err = e
+            }
+            expect(err).toBeInstanceOf(jss.TagError)
+            expect(err.tag).toBe('*')
+            expect(err.path).toEqual(['box', ['wellKnown', 'iterator']])
+        })
+
+        test('rejects malformed symbol keys without a SyntaxError', () => {
+            const data = '{"[\\"for\\"<!*>":1}'
+            expect(jss.parse(data)).toEqual({ '["for"': 1 })
+            expect(jss.parse(data, { symbolKeys: true, allowTags: [] })).toEqual({ '["for"': 1 })
+            expect(() => jss.parse(data, { symbolKeys: true, allowTags: [], onUnknownTag: 'throw' })).toThrow("Tag 'Y' is not allowed at")
+            expect(() => jss.parse(data, { symbolKeys: true })).toThrow("Invalid symbol at '[\"for\"'")
+            expect(() => jss.parse('{"[\\"for\\",1]<!*>":1}', { symbolKeys: true })).toThrow(TypeError)
+        })
+
+        test('validates the symbolKeys decode option', () => {
+            for (const symbolKeys of ['yes', null, {}, { wellKnown: 'iterator' }, { wellKnown: [1] }]) {
+                expect(() => jss.parse('{}', { symbolKeys })).toThrow('symbolKeys must be a boolean or { wellKnown: [names] }')
+            }
+            expect(jss.parse('{}', { symbolKeys: false })).toEqual({})
+        })
+
+        test('skips non-enumerable and undefined symbol-keyed properties', () => {
+            const input = { [token]: undefined }
+            Object.defineProperty(input, Symbol.for('hidden'), { value: 1, enumerable: false })
+            expect(jss.encode(input, { symbolKeys: true })).toEqual({})
+            expect(jss.encode(input, { symbolKeys: true, keepUndefined: true })).toEqual({ '["for","app.token"]<!*U>': null })
+        })
+
+        test('keeps references through symbol keys', () => {
+            const shared = { id: 1 }
+            const result = roundTrip({ [token]: shared, other: shared, nested: { [token]: shared } }, { symbolKeys: true })
+            expect(result.other).toBe(result[token])
+            expect(result.nested[token]).toBe(result[token])
+        })
+
+        test('keeps pointers through a symbol key apart from a string key of the same text', () => {
+            const c = { id: 'c' }
+            const d = { id: 'd' }
+            const input = { box: { '["for","k"]': c, [Symbol.for('k')]: d }, r1: c, r2: d }
+            const encoded = jss.encode(input, { symbolKeys: true })
+            expect(encoded['r1<!P>']).toEqual(['box', '["for","k"]'])
+            expect(encoded['r2<!P>']).toEqual(['box', ['for', 'k']])
+
+            const result = jss.parse(JSON.stringify(encoded), { symbolKeys: true })
+            expect(result.r1).toBe(result.box['["for","k"]'])
+            expect(result.r2).toBe(result.box[Symbol.for('k')])
+            expect(result.r1.id).toBe('c')
+            expect(result.r2.id).toBe('d')
+        })
+
+        test('resolves pointers through symbol keys kept as strings', () => {
+            const data = '{"[\\"for\\",\\"x\\"]<!*>":{},"r<!P>":[["for","x"]]}'
+            const kept = jss.parse(data)
+            expect(kept.r).toBe(kept['["for","x"]'])
+            const result = jss.parse(data, { allowTags: ['P'], symbolKeys: true })
+            expect(result.r).toBe(result['["for","x"]'])
+        })
+
+        test('rejects pointers through a symbol key the object lacks', () => {
+            expect(() => jss.parse('{"a":{},"r<!P>":[["for","x"]]}')).toThrow('is not an own property')
+            expect(() => jss.parse('{"[\\"for\\",\\"y\\"]<!*>":1,"r<!P>":[["for","x"]]}', { symbolKeys: true })).toThrow('is not an own property')
+        })
+
+        test('throws for unique symbol keys', () => {
+            expect(() => jss.encode({ nested: { [Symbol('local')]: 1 } }, { symbolKeys: true })).toThrow("at 'nested'")
+        })
+
+        test('applies tag filtering to symbol keys', () => {
+            const data = '{"a":1,"[\\"for\\",\\"x\\"]<!*>":2}'
+            expect(jss.parse(data, { allowTags: [], onUnknownTag: 'strip', symbolKeys: true })).toEqual({ a: 1 })
+            expect(jss.parse(data, { allowTags: [], symbolKeys: true })).toEqual({ a: 1, '["for","x"]': 2 })
+            expect(jss.parse(data, { symbolKeys: true })[Symbol.for('x')]).toBe(2)
+        })
+
+        test('ignores symbol keys when the registry lacks the Symbol built-in', () => {
+            const instance = jss.createJSS({ builtIns: ['D'] })
+            expect(instance.encode({ a: 1, [token]: 2 }, { symbolKeys: true })).toEqual({ a: 1 })
+        })
+    })
+
+    describe('Class Instances', () => {
+        class Money {
+            constructor (amount, currency) {
+                Money.created++
+                this.amount = amount
+                this.currency = currency
+            }
+
+            toString () {
+                return `${this.amount} ${this.currency}`
+            }
+        }
+        Money.created = 0
+
+        class Account {
+            constructor (owner) {
+                this.owner = owner
+                this.opened = new Date(0)
+                this.balances = new Map()
+            }
+        }
+
+        afterEach(() => jss.clearPlugins())
+
+        test('encodes instances of registered classes with their name', () => {
+            jss.registerClass(Money)
+            expect(jss.encode({ price: new Money(5, 'EUR') })).toEqual({
+                'price<!C>': ['Money', { amount: 5, currency: 'EUR' }]
+            })
+            expect(jss.encode(new Money(1, 'USD'))).toEqual({ '<!C>': ['Money', { amount: 1, currency: 'USD' }] })
+        })
+
+        test('rebuilds instances with the prototype without calling the constructor', () => {
+            jss.registerClass(Money)
+            const input = { price: new Money(5, 'EUR') }
+            const created = Money.created
+            const result = jss.parse(jss.stringify(input))
+            expect(Money.created).toBe(created)
+            expect(result.price).toBeInstanceOf(Money)
+            expect(result.price.toString()).toBe('5 EUR')
+            expect(result.price).toEqual(input.price)
+        })
+
+        test('keeps the types of fields', () => {
+            jss.registerClass(Account)
+            jss.registerClass(Money)
+            const account = new Account('alice')
+            account.balances.set('EUR', new Money(5, 'EUR'))
+
+            const result = jss.parse(jss.stringify({ account }))
+            expect(result.account).toBeInstanceOf(Account)
+            expect(result.account.opened).toEqual(new Date(0))
+            expect(result.account.balances.get('EUR')).toBeInstanceOf(Money)
+        })
+
+        test('keeps references between instances', () => {
+            jss.registerClass(Account)
+            const alice = new Account('alice')
+            const bob = new Account('bob')
+            alice.friend = bob
+            bob.friend = alice
+            alice.self = alice
+            alice.balances.set('main', alice.balances)
+
+            const result = jss.parse(jss.stringify({ accounts: [alice, bob], first: alice }))
+            const [a, b] = result.accounts
+            expect(a).toBeInstanceOf(Account)
+            expect(b).toBeInstanceOf(Account)
+            expect(a.friend).toBe(b)
+            expect(b.friend).toBe(a)
+            expect(a.self).toBe(a)
+            expect(result.first).toBe(a)
+            expect(a.balances.get('main')).toBe(a.balances)
+        })
+
+        test('uses toJSON, fromJSON and a custom name', () => {
+            jss.registerClass(Money, {
+                name: 'shop.Money',
+                toJSON: (money) => [money.amount, money.currency],
+                fromJSON: ([amount, currency]) => new Money(amount, currency)
+            })
+            const encoded = jss.encode({ prices: [new Money(5, 'EUR'), new Money(7, 'USD')] })
+            expect(encoded).toEqual({ 'prices<![*C]>': [['shop.Money', [5, 'EUR']], ['shop.Money', [7, 'USD']]] })
+
+            const result = jss.decode(encoded)
+            expect(result.prices[1]).toBeInstanceOf(Money)
+            expect(result.prices[1].toString()).toBe('7 USD')
+        })
+
+        test('rejects references inside fromJSON data', () => {
+            jss.registerClass(Money, { fromJSON: (data) => new Money(data.amount, data.currency) })
+            const shared = { value: 5 }
+            const data = jss.stringify({ s: shared, m: new Money(shared, 'E') })
+            expect(() => jss.parse(data)).toThrow(
+                "Class 'Money' is built by fromJSON, so its data cannot hold shared or circular references"
+            )
+
+            // The first occurrence of a shared object may be inside the data
+            const result = jss.parse(jss.stringify({ m: new Money(shared, 'E'), s: shared }))
+            expect(result.m).toBeInstanceOf(Money)
+            expect(result.m.amount).toBe(result.s)
+        })
+
+        test('rejects onReceive results inside fromJSON data', async () => {
+            const instance = jss.createJSS({
+                plugins: { L: { check: () => false, encode: () => null, decode: (value) => value, onReceive: async () => 5 } }
+            })
+            instance.registerClass(Money, { fromJSON: (data) => new Money(data.amount, data.currency) })
+            await expect(instance.parseAsync('{"m<!C>":["Money",{"amount<!L>":"x","currency":"E"}]}')).rejects.toThrow(
+                "Class 'Money' is built by fromJSON"
+            )
+            expect(instance.parse('{"m<!C>":["Money",{"amount<!L>":5,"currency":"E"}]}').m.amount).toBe(5)
+        })
+
+        test('gives fromJSON data with its collections and nested instances filled', () => {
+            class Cart {
+                constructor (items, tags) {
+                    this.items = [...items]
+                    this.tags = Object.fromEntries(tags)
+                }
+            }
+            class Wallet {
+                constructor (total) {
+                    this.total = total
+                }
+            }
+            const instance = jss.createJSS()
+            instance.registerClass(Money)
+            instance.registerClass(Cart, {
+                toJSON: (cart) => ({ items: new Set(cart.items), tags: new Map(Object.entries(cart.tags)) }),
+                fromJSON: (data) => new Cart(data.items, data.tags)
+            })
+            instance.registerClass(Wallet, {
+                toJSON: (wallet) => ({ money: wallet.total, error: new Error('low', { cause: new Error('fee') }) }),
+                fromJSON: (data) => Object.assign(new Wallet(data.money.amount), { cause: data.error.cause.message })
+            })
+
+            const input = { cart: new Cart([1, 2], [['b', 1], ['1', 2]]), wallet: new Wallet(new Money(5, 'EUR')) }
+            const result = instance.parse(instance.stringify(input))
+            expect(result.cart).toBeInstanceOf(Cart)
+            expect(result.cart.items).toEqual([1, 2])
+            expect(result.cart.tags).toEqual({ b: 1, 1: 2 })
+            expect(result.wallet).toBeInstanceOf(Wallet)
+            expect(result.wallet.total).toBe(5)
+            expect(result.wallet.cause).toBe('fee')
+        })
+
+        test('decodes unknown class names to their data', () => {
+            expect(jss.decode({ 'price<!C>': ['Money', { amount: 5 }] })).toEqual({ price: { amount: 5 } })
+            expect(jss.decode({ 'price<!C>': ['Money', '5 EUR'] })).toEqual({ price: '5 EUR' })
+        })
+
+        test('encodes other objects as plain objects', () => {
+            class Euro extends Money {}
+            jss.registerClass(Money)
+            expect(jss.encode({ price: new Euro(5, 'EUR') })).toEqual({ price: { amount: 5, currency: 'EUR' } })
+
+            jss.clearPlugins()
+            expect(jss.encode({ price: new Money(5, 'EUR') })).toEqual({ price: { amount: 5, currency: 'EUR' } })
+        })
+
+        test('validates registered classes', () => {
+            expect(() => jss.registerClass('Money')).toThrow('Class must be a class or constructor function')
+            expect(() => jss.registerClass(() => {})).toThrow('Class must be a class or constructor function')
+            expect(() => jss.registerClass(class {})).toThrow("Class name must be a non-empty string, got: ''")
+            expect(() => jss.registerClass(Money, { toJSON: 1 })).toThrow("Class 'Money' 'toJSON' must be a function if provided")
+            expect(() => jss.registerClass(Money, { fromJSON: 1 })).toThrow("Class 'Money' 'fromJSON' must be a function if provided")
+
+            jss.registerClass(Money)
+            expect(() => jss.registerClass(Account, { name: 'Money' })).toThrow("Class 'Money' is already registered")
+            expect(() => jss.registerClass(Money, { name: 'Cash' })).toThrow("Class is already registered as 'Money'")
+        })
+
+        test('keeps classes per instance', () => {
+            const instance = jss.createJSS()
+            instance.registerClass(Money)
+            expect(instance.parse(instance.stringify({ price: new Money(5, 'EUR') })).price).toBeInstanceOf(Money)
+            expect(jss.encode({ price: new Money(5, 'EUR') })).toEqual({ price: { amount: 5, currency: 'EUR' } })
+
+            const withoutClasses = jss.createJSS({ builtIns: ['D'] })
+            withoutClasses.registerClass(Money)
+            expect(withoutClasses.encode({ price: new Money(5, 'EUR') })).toEqual({ price: { amount: 5, currency: 'EUR' } })
+        })
+    })
+
+    describe('Fidelity', () => {
+        const roundTrip = (value) => jss.parse(jss.stringify(value, { fidelity: true }))
+
+        test('leaves objects untagged without the option', () => {
+            const input = { dict: Object.create(null), config: Object.freeze({ a: 1 }) }
+            expect(jss.encode(input)).toEqual({ dict: {}, config: { a: 1 } })
+            expect(Object.isFrozen(jss.parse(jss.stringify(input)).config)).toBe(false)
+        })
+
+        test('round-trips null-prototype objects', () => {
+            const dict = Object.create(null)
+            dict.toString = 'text'
+            expect(jss.encode({ dict }, { fidelity: true })).toEqual({ 'dict<!F>': ['n', { toString: 'text' }] })
+
+            const result = roundTrip({ dict })
+            expect(Object.getPrototypeOf(result.dict)).toBe(null)
+            expect(result.dict.toString).toBe('text')
+            expect(Object.isExtensible(result.dict)).toBe(true)
+        })
+
+        test('round-trips frozen, sealed and non-extensible objects and arrays', () => {
+            const input = {
+                frozen: Object.freeze({ at: new Date(0) }),
+                sealed: Object.seal([1, 2]),
+                locked: Object.preventExtensions({ a: 1 }),
+                dict: Object.freeze(Object.create(null)),
+                plain: { a: 1 }
+            }
+            const encoded = jss.encode(input, { fidelity: true })
+            expect(encoded).toEqual({
+                'frozen<!F>': ['f', { 'at<!D>': 0 }],
+                'sealed<!F>': ['s', [1, 2]],
+                'locked<!F>': ['x', { a: 1 }],
+                'dict<!F>': ['nf', {}],
+                plain: { a: 1 }
+            })
+
+            const result = jss.decode(encoded)
+            expect(Object.isFrozen(result.frozen)).toBe(true)
+            expect(result.frozen.at).toEqual(new Date(0))
+            expect(Object.isSealed(result.sealed) && !Object.isFrozen(result.sealed)).toBe(true)
+            expect(result.sealed).toEqual([1, 2])
+            expect(Object.isExtensible(result.locked) || Object.isSealed(result.locked)).toBe(false)
+            expect(Object.getPrototypeOf(result.dict)).toBe(null)
+            expect(Object.isFrozen(result.dict)).toBe(true)
+            expect(Object.isExtensible(result.plain)).toBe(true)
+            expect(roundTrip(Object.freeze([new Date(0)]))).toEqual([new Date(0)])
+            expect(Object.isFrozen(roundTrip(Object.freeze([1])))).toBe(true)
+        })
+
+        test('restores state after pointers are resolved', () => {
+            const shared = { id: 1 }
+            const node = { shared }
+            node.self = node
+            Object.freeze(node)
+            const input = { node, again: shared, list: Object.freeze([shared, node]) }
+
+            const result = roundTrip(input)
+            expect(Object.isFrozen(result.node)).toBe(true)
+            expect(result.node.self).toBe(result.node)
+            expect(result.again).toBe(result.node.shared)
+            expect(result.list).toEqual([result.node.shared, result.node])
+            expect(Object.isFrozen(result.list)).toBe(true)
+        })
+
+        test('does not apply to other built-in types', () => {
+            const input = { at: Object.freeze(new Date(0)), set: Object.freeze(new Set()) }
+            const encoded = jss.encode(input, { fidelity: true })
+            expect(encoded).toEqual({ 'at<!D>': 0, 'set<!S>': [] })
+        })
+
+        test('round-trips frozen and sealed sparse arrays', () => {
+            const shared = { id: 1 }
+            const holes = Object.freeze([shared, , 3])
+            const input = { holes, again: holes, item: shared, sealed: Object.seal([, 2]), open: [1, , 3] }
+            const encoded = jss.encode(input, { fidelity: true })
+            expect(encoded).toEqual({
+                'holes<!F[,H]>': ['f', { 0: { id: 1 }, 2: 3, length: 3 }],
+                'again<!P>': ['holes'],
+                'item<!P>': ['holes', 1, '0'],
+                'sealed<!F[,H]>': ['s', { 1: 2, length: 2 }],
+                'open<!H>': { 0: 1, 2: 3, length: 3 }
+            })
+
+            const result = jss.decode(encoded)
+            expect(result.holes).toEqual([{ id: 1 }, , 3])
+            expect(1 in result.holes).toBe(false)
+            expect(Object.isFrozen(result.holes)).toBe(true)
+            expect(result.again).toBe(result.holes)
+            expect(result.item).toBe(result.holes[0])
+            expect(0 in result.sealed).toBe(false)
+            expect(Object.isSealed(result.sealed) && !Object.isFrozen(result.sealed)).toBe(true)
+            expect(Object.isExtensible(result.open)).toBe(true)
+        })
+
+        test('rejects invalid object states', () => {
+            expect(() => jss.decode({ 'a<!F>': ['q', {}] })).toThrow("Invalid object state 'q'")
+            expect(() => jss.decode({ 'a<!F>': ['fn', {}] })).toThrow("Invalid object state 'fn'")
+            expect(() => jss.decode({ 'a<!F>': ['f', 1] })).toThrow(TypeError)
+        })
+
+        test('is skipped when the registry lacks the fidelity built-in', () => {
+            const instance = jss.createJSS({ builtIns: ['D'] })
+            expect(instance.encode({ a: Object.freeze({}) }, { fidelity: true })).toEqual({ a: {} })
+        })
+    })
+
+    describe('Temporal', () => {
+        // Stand-in for a Temporal polyfill: each kind carries the real toStringTag
+        const KINDS = ['Instant', 'ZonedDateTime', 'PlainDate', 'PlainTime', 'PlainDateTime', 'PlainYearMonth', 'PlainMonthDay', 'Duration']
+        const Temporal = Object.fromEntries(KINDS.map((kind) => {
+            class Value {
+                constructor (iso) {
+                    this.iso = iso
+                }
+
+                static from (iso) {
+                    return new Value(iso)
+                }
+
+                toString () {
+                    return this.iso
+                }
+
+                get [Symbol.toStringTag] () {
+                    return `Temporal.${kind}`
+                }
+            }
+            return [kind, Value]
+        }))
+        const zoned = Temporal.ZonedDateTime.from('2024-01-01T09:00:00+01:00[Europe/Paris][u-ca=hebrew]')
+        const due = Temporal.PlainDate.from('2024-01-01')
+
+        test('encodes Temporal values as their kind and ISO string', () => {
+            expect(jss.encode({ zoned, due, took: Temporal.Duration.from('PT1H30M') })).toEqual({
+                'zoned<!T>': ['ZonedDateTime', '2024-01-01T09:00:00+01:00[Europe/Paris][u-ca=hebrew]'],
+                'due<!T>': ['PlainDate', '2024-01-01'],
+                'took<!T>': ['Duration', 'PT1H30M']
+            })
+        })
+
+        test('decodes with the Temporal implementation passed to createJSS', () => {
+            const instance = jss.createJSS({ temporal: Temporal })
+            const input = { zoned, list: KINDS.map((kind) => Temporal[kind].from(kind)) }
+            const result = instance.parse(instance.stringify(input))
+            expect(result.zoned).toBeInstanceOf(Temporal.ZonedDateTime)
+            expect(result.zoned.toString()).toBe(zoned.toString())
+            expect(result.list.map(String)).toEqual(KINDS)
+            expect(result.list[7]).toBeInstanceOf(Temporal.Duration)
+        })
+
+        test('decodes with the global Temporal', () => {
+            globalThis.Temporal = Temporal
+            try {
+                expect(jss.parse(jss.stringify({ due })).due).toBeInstanceOf(Temporal.PlainDate)
+            } finally {
+                delete globalThis.Temporal
+            }
+        })
+
+        test('decodes to the ISO string without Temporal', () => {
+            expect(jss.parse(jss.stringify({ due }))).toEqual({ due: '2024-01-01' })
+        })
+
+        test('rejects invalid Temporal values', () => {
+            expect(() => jss.decode({ 'a<!T>': ['Calendar', 'iso8601'] })).toThrow("Invalid Temporal value at 'a'")
+            expect(() => jss.decode({ 'a<!T>': ['PlainDate', 20240101] })).toThrow(TypeError)
+            expect(() => jss.decode({ 'a<!T>': '2024-01-01' })).toThrow(TypeError)
+        })
+    })
+
+    describe('Date Offset', () => {
+        const at = new Date('2024-01-01T00:00:00Z')
+        const withOffset = (minutes) => jest.spyOn(Date.prototype, 'getTimezoneOffset').mockReturnValue(minutes)
+
+        afterEach(() => jest.restoreAllMocks())
+
+        test('writes Dates as ISO strings with the local offset', () => {
+            withOffset(-330)
+            expect(jss.encode({ at }, { dateOffset: true })).toEqual({ 'at<!D>': '2024-01-01T05:30:00.000+05:30' })
+            withOffset(300)
+            expect(jss.encode({ at }, { dateOffset: true })).toEqual({ 'at<!D>': '2023-12-31T19:00:00.000-05:00' })
+            withOffset(0)
+            expect(jss.encode({ at }, { dateOffset: true })).toEqual({ 'at<!D>': '2024-01-01T00:00:00.000+00:00' })
+        })
+
+        test('decodes both forms to the same instant', () => {
+            withOffset(-330)
+            const result = jss.parse(jss.stringify({ at, list: [at] }, { dateOffset: true }))
+            expect(result.at).toEqual(at)
+            expect(result.list[0]).toEqual(at)
+            expect(jss.parse(jss.stringify({ at })).at).toEqual(at)
+        })
+
+        test('keeps invalid Dates as timestamps', () => {
+            expect(jss.encode({ at: new Date(NaN) }, { dateOffset: true })).toEqual({ 'at<!D>': NaN })
+        })
+    })
+
+    describe('URL, URLSearchParams and Headers', () => {
+        test('encodes them as strings and entry lists', () => {
+            const headers = new Headers({ Accept: 'text/html' })
+            headers.append('Set-Cookie', 'a=1')
+            headers.append('Set-Cookie', 'b=2')
+            expect(jss.encode({
+                link: new URL('https://example.com/a?b=1#c'),
+                query: new URLSearchParams('a=1&a=2&b=3'),
+                headers
+            })).toEqual({
+                'link<!W>': ['URL', 'https://example.com/a?b=1#c'],
+                'query<!W>': ['URLSearchParams', 'a=1&a=2&b=3'],
+                'headers<!W>': ['Headers', [['accept', 'text/html'], ['set-cookie', 'a=1'], ['set-cookie', 'b=2']]]
+            })
+        })
+
+        test('round-trips them', () => {
+            const request = {
+                url: new URL('https://user@example.com:8080/path?q=1'),
+                query: new URLSearchParams([['tag', 'a'], ['tag', 'b']]),
+                headers: new Headers([['content-type', 'application/json'], ['set-cookie', 'a=1'], ['set-cookie', 'b=2']]),
+                links: [new URL('http://a.test/'), new URL('http://b.test/')]
+            }
+            const result = jss.parse(jss.stringify(request))
+            expect(result.url).toBeInstanceOf(URL)
+            expect(result.url.href).toBe('https://user@example.com:8080/path?q=1')
+            expect(result.query).toBeInstanceOf(URLSearchParams)
+            expect(result.query.getAll('tag')).toEqual(['a', 'b'])
+            expect(result.headers).toBeInstanceOf(Headers)
+            expect(result.headers.get('content-type')).toBe('application/json')
+            expect(result.headers.getSetCookie()).toEqual(['a=1', 'b=2'])
+            expect(result.links.map(String)).toEqual(['http://a.test/', 'http://b.test/'])
+            expect(jss.parse(jss.stringify(new URL('http://root.test/')))).toEqual(new URL('http://root.test/'))
+        })
+
+        test('decodes to the data when the runtime lacks the class', () => {
+            const { Headers: OriginalHeaders } = globalThis
+            delete globalThis.Headers
+            try {
+                expect(jss.decode({ 'h<!W>': ['Headers', [['a', '1']]] })).toEqual({ h: [['a', '1']] })
+            } finally {
+                globalThis.Headers = OriginalHeaders
+            }
+        })
+
+        test('rejects invalid values', () => {
+            expect(() => jss.decode({ 'a<!W>': ['Location', 'x'] })).toThrow("Invalid URL, URLSearchParams or Headers at 'a'")
+            expect(() => jss.decode({ 'a<!W>': ['Headers', 'a: 1'] })).toThrow(TypeError)
+            expect(() => jss.decode({ 'a<!W>': ['URL', 1] })).toThrow(TypeError)
+            expect(() => jss.decode({ 'a<!W>': 'http://a.test/' })).toThrow(TypeError)
+            expect(() => jss.decode({ 'a<!W>': ['URL', 'not a url'] })).toThrow('Invalid URL')
+        })
+    })
+
+    describe('Boxed Primitives', () => {
+        test('encodes wrapper objects as their kind and primitive', () => {
+            expect(jss.encode({
+                text: new String('ab'),
+                count: new Number(5),
+                flag: new Boolean(false),
+                plain: 'ab'
+            })).toEqual({
+                'text<!O>': ['String', 'ab'],
+                'count<!O>': ['Number', 5],
+                'flag<!O>': ['Boolean', false],
+                plain: 'ab'
+            })
+        })
+
+        test('tags primitives JSON cannot hold', () => {
+            expect(jss.encode({
+                nan: new Number(NaN),
+                big: Object(10n),
+                token: Object(Symbol.for('app.token'))
+            })).toEqual({
+                'nan<!O[,N]>': ['Number', 'NaN'],
+                'big<!O[,B]>': ['BigInt', '10'],
+                'token<!O[,Y]>': ['Symbol', ['for', 'app.token']]
+            })
+        })
+
+        test('round-trips wrapper objects', () => {
+            const data = {
+                text: new String('ab'),
+                count: new Number(-0),
+                flag: new Boolean(false),
+                big: Object(10n),
+                iter: Object(Symbol.iterator),
+                list: [new String(''), new Number(Infinity)]
+            }
+            const result = jss.parse(jss.stringify(data))
+            expect(typeof result.text).toBe('object')
+            expect(result.text).toBeInstanceOf(String)
+            expect(result.text.valueOf()).toBe('ab')
+            expect(Object.is(result.count.valueOf(), -0)).toBe(true)
+            expect(result.flag).toBeInstanceOf(Boolean)
+            expect(result.flag.valueOf()).toBe(false)
+            expect(Object.prototype.toString.call(result.big)).toBe('[object BigInt]')
+            expect(result.big.valueOf()).toBe(10n)
+            expect(typeof result.iter).toBe('object')
+            expect(result.iter.valueOf()).toBe(Symbol.iterator)
+            expect(result.list.map((item) => item.valueOf())).toEqual(['', Infinity])
+        })
+
+        test('keeps a wrapper referenced twice as one object', () => {
+            const shared = new String('x')
+            const result = jss.parse(jss.stringify({ a: shared, b: shared }))
+            expect(result.b).toBe(result.a)
+        })
+
+        test('rejects a value only claiming a wrapper kind', () => {
+            const fake = { [Symbol.toStringTag]: 'Number' }
+            expect(() => jss.encode({ fake })).toThrow(TypeError)
+        })
+
+        test('rejects invalid pairs', () => {
+            expect(() => jss.decode({ 'a<!O>': ['Object', {}] })).toThrow("Invalid boxed primitive 'Object'")
+            expect(() => jss.decode({ 'a<!O>': ['Number', '5'] })).toThrow(TypeError)
+            expect(() => jss.decode({ 'a<!O>': 'ab' })).toThrow("Invalid boxed primitive 'undefined'")
+        })
+    })
+
+    describe('Malformed Payloads', () => {
+        test('reject container payloads of the wrong shape with clear errors', () => {
+            const payloads = [
+                ['{"e<!E>":5}', 'Invalid error: expected [name, message, stack, extras?]'],
+                ['{"e<!E>":[1,"m","s"]}', 'Invalid error'],
+                ['{"e<!E>":["Error","m","s",5]}', 'Invalid error'],
+                ['{"e<!E>":["Error","m","s",[]]}', 'Invalid error'],
+                ['{"e<!E>":["Error","m"]}', 'Invalid error'],
+                ['{"s<!S>":5}', 'Set members must be an array'],
+                ['{"s<!S>":{"a":1}}', 'Set members must be an array'],
+                ['{"m<!M>":5}', 'Map entries must be an object or a list of [key, value] pairs'],
+                ['{"m<!M>":[[1]]}', 'Map entries must be'],
+                ['{"m<!M>":[5]}', 'Map entries must be'],
+                ['{"i<!I>":5}', "Invalid binary data at 'i'"],
+                ['{"i<!I>":["Uint8Array",5]}', "Invalid binary data at 'i'"],
+                ['{"c<!C>":5}', 'Invalid class instance: expected [name, data]'],
+                ['{"c<!C>":[1,{}]}', 'Invalid class instance'],
+                ['{"f<!F>":5}', "Invalid object state 'undefined'"],
+                ['{"h<!H>":null}', 'Invalid sparse array length: undefined'],
+                ['{"r<!R>":5}', "Invalid RegExp at 'r'"],
+                ['{"r<!R>":[5,1]}', "Invalid RegExp at 'r'"]
+            ]
+            for (const [payload, message] of payloads) {
+                expect(() => jss.parse(payload)).toThrow(TypeError)
+                expect(() => jss.parse(payload)).toThrow(message)
+            }
+        })
+
+        test('plugins check payloads when decoding directly', () => {
+            const setPlugin = require('./utils/defaults/set')
+            const mapPlugin = require('./utils/defaults/map')
+            const errorPlugin = require('./utils/defaults/error')
+            expect(() => setPlugin.decode(null, [], {})).toThrow('Set members must be an array')
+            expect(() => mapPlugin.decode(null, [], {})).toThrow('Map entries must be')
+            expect(() => errorPlugin.decode('boom', [], {})).toThrow('Invalid error')
+        })
+    })
+
+    describe('Key Escaping', () => {
+        const keys = ['note<!D>', 'a<!b>', 'x>', 'a<!b>c', '<!', '<!<!>>', 'a<!D><!S>', 'multi\nline<!D>', '<!>', '', '__proto__']
+
+        test('round-trips keys that look like tags', () => {
+            const input = Object.fromEntries(keys.map((key, i) => [key, i]))
+            const result = jss.parse(jss.stringify(input))
+            expect(Object.keys(result)).toEqual(keys)
+            expect(result).toEqual(input)
+        })
+
+        test('round-trips tagged values under such keys', () => {
+            const input = Object.fromEntries(keys.map((key) => [key, new Date(0)]))
+            const result = jss.parse(jss.stringify({ nested: input, map: new Map(Object.entries(input)) }))
+            expect(result.nested).toEqual(input)
+            expect(result.map).toEqual(new Map(Object.entries(input)))
+        })
+
+        test('escapes only keys holding <!', () => {
+            expect(jss.encode({ 'note<!D>': 1, 'a<!b>': new Date(0), 'x>': 2, plain: 3 })).toEqual({
+                'note<!D><!>': 1,
+                'a<!b><!D>': 0,
+                'x>': 2,
+                plain: 3
+            })
+        })
+
+        test('keeps an own __proto__ key as a key', () => {
+            const input = JSON.parse('{"__proto__":1,"obj":{"__proto__":{"admin":true}}}')
+            const encoded = jss.encode(input)
+            expect(Object.getPrototypeOf(encoded.obj)).toBe(Object.prototype)
+            expect(jss.stringify(input)).toBe('{"__proto__":1,"obj":{"__proto__":{"admin":true}}}')
+
+            const result = jss.parse(jss.stringify(input))
+            expect(Object.keys(result)).toEqual(['__proto__', 'obj'])
+            expect(Object.getOwnPropertyDescriptor(result.obj, '__proto__').value).toEqual({ admin: true })
+            expect(result.obj.admin).toBeUndefined()
+        })
+
+        test('reads the tag only at the end of the key', () => {
+            expect(jss.parse('{"a<!D>b":0,"c<!D>":0}')).toEqual({ 'a<!D>b': 0, c: new Date(0) })
+        })
+    })
+
+    describe('Sparse Arrays', () => {
+        const roundTrip = (value) => jss.parse(jss.stringify(value))
+
+        test('keeps holes distinct from undefined', () => {
+            const input = [1, , undefined, 4]
+            const encoded = jss.encode({ list: input })
+            expect(encoded).toEqual({ 'list<!H>': { 0: 1, '2<!U>': null, 3: 4, length: 4 } })
+
+            const result = roundTrip({ list: input }).list
+            expect(result).toHaveLength(4)
+            expect(1 in result).toBe(false)
+            expect(2 in result).toBe(true)
+            expect(result[3]).toBe(4)
+        })
+
+        test('keeps large sparse arrays small', () => {
+            const input = []
+            input[1e6] = new Date(0)
+            const data = jss.stringify({ input })
+            expect(data).toBe('{"input<!H>":{"1000000<!D>":0,"length":1000001}}')
+
+            const result = jss.parse(data).input
+            expect(result).toHaveLength(1000001)
+            expect(Object.keys(result)).toEqual(['1000000'])
+            expect(result[1e6]).toEqual(new Date(0))
+        })
+
+        test('leaves dense arrays as plain arrays', () => {
+            expect(jss.encode({ list: [1, undefined] })).toEqual({ 'list<![,U]>': [1, null] })
+            expect(jss.encode([]).length).toBe(0)
+        })
+
+        test('round-trips sparse arrays at the root, in collections and with references', () => {
+            const shared = { id: 1 }
+            const input = new Array(3)
+            input[2] = shared
+            input[5] = input
+
+            const result = roundTrip({ input, set: new Set([[, 'x']]), other: shared })
+            expect(result.input).toHaveLength(6)
+            expect(result.input[5]).toBe(result.input)
+            expect(result.input[2]).toBe(result.other)
+            expect(0 in [...result.set][0]).toBe(false)
+
+            const root = roundTrip(new Array(2))
+            expect(root).toHaveLength(2)
+            expect(0 in root).toBe(false)
+        })
+
+        test('ignores non-index properties', () => {
+            const input = new Array(2)
+            input.extra = 'x'
+            expect(jss.encode({ input })).toEqual({ 'input<!H>': { length: 2 } })
+        })
+
+        test('rejects invalid lengths and indices', () => {
+            expect(() => jss.decode({ 'a<!H>': { length: -1 } })).toThrow('Invalid sparse array length: -1')
+            expect(() => jss.decode({ 'a<!H>': { length: 2 ** 32 } })).toThrow(TypeError)
+            expect(() => jss.decode({ 'a<!H>': { 2: 1, length: 2 } })).toThrow("Invalid sparse array index '2'")
+            expect(() => jss.parse('{"a<!H>":{"__proto__":1,"length":2}}')).toThrow("Invalid sparse array index '__proto__'")
+        })
+
+        test('decodes through the plugin directly', () => {
+            const sparsePlugin = require('./utils/defaults/sparse')
+            const result = sparsePlugin.decode({ 1: 'b', length: 3 }, [], {})
+            expect(result).toHaveLength(3)
+            expect(result[1]).toBe('b')
+            expect(0 in result).toBe(false)
+            expect(sparsePlugin.check('list', 'abc')).toBe(false)
+        })
+    })
+
+    describe('Undefined Properties', () => {
+        test('drops undefined object properties by default', () => {
+            const result = jss.parse(jss.stringify({ a: undefined, nested: { b: undefined } }))
+            expect('a' in result).toBe(false)
+            expect('b' in result.nested).toBe(false)
+        })
+
+        test('keeps undefined object properties with keepUndefined', () => {
+            const input = { a: undefined, nested: { b: undefined, c: 1 } }
+            const data = jss.stringify(input, { keepUndefined: true })
+            expect(data).toBe('{"a<!U>":null,"nested":{"b<!U>":null,"c":1}}')
+
+            const result = jss.parse(data)
+            expect(Object.prototype.hasOwnProperty.call(result, 'a')).toBe(true)
+            expect(result.a).toBeUndefined()
+            expect('b' in result.nested).toBe(true)
+            expect(result).toEqual(input)
+        })
+
+        test('applies keepUndefined to encode and stringifyAsync', async () => {
+            expect(jss.encode({ a: undefined }, { keepUndefined: true })).toEqual({ 'a<!U>': null })
+            const { data } = await jss.stringifyAsync({ a: undefined }, {}, { keepUndefined: true })
+            expect('a' in jss.parse(data)).toBe(true)
+        })
+    })
+
+    describe('Encode Edge Cases', () => {
+        test('encodes object with undefined property at root level (skipped)', () => {
+            const input = { a: 1, b: undefined, c: 3 }
+            const encoded = jss.encode(input)
+            // At root level, undefined values are skipped (line 248 check)
+            expect(encoded.a).toBe(1)
+            expect(encoded.c).toBe(3)
+            // b is skipped at root level
+            expect('b<!U>' in encoded).toBe(false)
+            expect('b' in encoded).toBe(false)
+        })
+
+        test('encodes undefined in nested object (skipped in non-array context)', () => {
+            const input = { nested: { a: 1, b: undefined } }
+            const encoded = jss.encode(input)
+            // Undefined in objects is skipped (line 214 check)
+            expect(encoded.nested.a).toBe(1)
+            expect('b' in encoded.nested).toBe(false)
+        })
+
+        test('encodes array at root level', () => {
+            const input = [new Date('2025-01-01'), new Date('2025-06-15')]
+            const encoded = jss.encode(input)
+            // A tagged root array goes in an envelope
+            expect(encoded).toEqual({ '<![*D]>': [input[0].getTime(), input[1].getTime()] })
+            expect(jss.encode([1, 'a'])).toEqual([1, 'a'])
+        })
+
+        test('encodes nested object with all undefined properties', () => {
+            const input = {
+                nested: {
+                    a: undefined,
+                    b: undefined
+                }
+            }
+            const result = jss.parse(jss.stringify(input))
+            expect(result.nested.a).toBe(undefined)
+            expect(result.nested.b).toBe(undefined)
+        })
+
+        test('encodes deeply nested array with mixed types', () => {
+            const input = {
+                data: [
+                    [new Date('2025-01-01'), 'text'],
+                    [null, new Set([1, 2])]
+                ]
+            }
+            const result = jss.parse(jss.stringify(input))
+            expect(result.data[0][0]).toBeInstanceOf(Date)
+            expect(result.data[0][1]).toBe('text')
+            expect(result.data[1][0]).toBe(null)
+            expect(result.data[1][1]).toBeInstanceOf(Set)
+        })
+
+        test('encodes empty array', () => {
+            const input = { arr: [] }
+            const encoded = jss.encode(input)
+            expect(encoded.arr).toEqual([])
+        })
+
+        test('encodes empty object', () => {
+            const input = { obj: {} }
+            const encoded = jss.encode(input)
+            expect(encoded.obj).toEqual({})
+        })
+    })
+
+    describe('Decode Edge Cases', () => {
+        test('decodes unknown tag as passthrough', () => {
+            // Unknown tag should just pass through the value
             const encoded = { 'data<!UNKNOWN>': 'some value' }
             const decoded = jss.decode(encoded)
             expect(decoded.data).toBe('some value')
@@ -791,6 +2291,445 @@ describe('JSS - JSON SuperSet', () => {
         })
     })
 
+    describe('Prototype Pollution', () => {
+        const isClean = () => {
+            expect(({}).polluted).toBeUndefined()
+            expect(({}).isAdmin).toBeUndefined()
+            expect(Object.prototype).not.toHaveProperty('polluted')
+        }
+
+        afterEach(isClean)
+
+        test('keeps a top-level __proto__ key as an own property', () => {
+            const result = jss.parse('{"__proto__":{"isAdmin":true}}')
+            expect(Object.getPrototypeOf(result)).toBe(Object.prototype)
+            expect(result.isAdmin).toBeUndefined()
+            expect(Object.keys(result)).toEqual(['__proto__'])
+            expect(result.__proto__).toEqual({ isAdmin: true })
+        })
+
+        test('keeps nested and tagged __proto__ keys as own properties', () => {
+            const result = jss.parse('{"user":{"__proto__":{"isAdmin":true}},"__proto__<!D>":0,"list":[{"__proto__":{"polluted":1}}]}')
+            expect(result.user.isAdmin).toBeUndefined()
+            expect(Object.getPrototypeOf(result.user)).toBe(Object.prototype)
+            expect(Object.getOwnPropertyDescriptor(result, '__proto__').value).toBeInstanceOf(Date)
+            expect(result.list[0].polluted).toBeUndefined()
+        })
+
+        test('treats constructor and prototype keys as plain data', () => {
+            const result = jss.parse('{"constructor":{"prototype":{"polluted":1}},"prototype<!D>":0}')
+            expect(result.constructor).toEqual({ prototype: { polluted: 1 } })
+            expect(result.prototype).toBeInstanceOf(Date)
+        })
+
+        test('keeps __proto__ inside Map, Set and Error contents', () => {
+            const result = jss.parse('{"m<!M>":{"__proto__":{"polluted":1}},"s<!S>":[{"__proto__":{"polluted":1}}],' +
+                '"e<!E>":["Error","m","s",{"__proto__":{"polluted":1}}]}')
+            expect(result.m.get('__proto__')).toEqual({ polluted: 1 })
+            expect([...result.s][0].polluted).toBeUndefined()
+            expect(Object.getPrototypeOf(result.e)).toBe(Error.prototype)
+            expect(result.e.polluted).toBeUndefined()
+        })
+
+        test('rejects pointer paths that leave own properties', () => {
+            const payloads = [
+                '{"a<!P>":["__proto__"]}',
+                '{"a<!P>":["constructor","prototype"]}',
+                '{"x":{},"a<!P>":["x","__proto__","polluted"]}',
+                '{"__proto__<!P>":[],"a<!P>":["toString"]}',
+                '{"x":null,"a<!P>":["x","y"]}',
+                '{"m<!M>":{},"a<!P>":["m","__proto__"]}'
+            ]
+            for (const payload of payloads) {
+                expect(() => jss.parse(payload)).toThrow(TypeError)
+            }
+            expect(() => jss.parse('{"a<!P>":["constructor","prototype"]}')).toThrow("Path segment 'constructor' is not an own property")
+        })
+
+        test('rejects pointers that are not paths', () => {
+            expect(() => jss.parse('{"a<!P>":"__proto__"}')).toThrow('Pointer path must be an array')
+            expect(() => jss.parse('{"a<!P>":{"0":"__proto__"}}')).toThrow('Pointer path must be an array')
+        })
+
+        test('does not write through pointers placed at __proto__', () => {
+            const result = jss.parse('{"x":{"v":1},"__proto__<!P>":["x"],"y<!P>":["__proto__"]}')
+            expect(Object.getPrototypeOf(result)).toBe(Object.prototype)
+            expect(result.v).toBeUndefined()
+            expect(Object.getOwnPropertyDescriptor(result, '__proto__').value).toBe(result.x)
+            expect(result.y).toBe(result.x)
+        })
+
+        test('keeps onReceive results at __proto__ as own properties', async () => {
+            const instance = jss.createJSS({
+                plugins: {
+                    X: {
+                        check: () => false,
+                        encode: (path, key, value) => value,
+                        decode: (value) => value,
+                        onReceive: async (path, key, value) => ({ isAdmin: value })
+                    }
+                }
+            })
+            const result = await instance.parseAsync('{"__proto__<!X>":true}')
+            expect(result.isAdmin).toBeUndefined()
+            expect(Object.getOwnPropertyDescriptor(result, '__proto__').value).toEqual({ isAdmin: true })
+        })
+    })
+
+    describe('Resource Limits', () => {
+        const catchError = (fn) => {
+            try {
+                fn()
+            } catch (err) {
+                return err
+            }
+            return undefined
+        }
+
+        test('decodes within the limits', () => {
+            const data = '{"a":{"b":[1,2]},"s<!S>":[1,2],"t":"abc","self<!P>":[]}'
+            const limits = { maxDepth: 3, maxKeys: 4, maxCollectionSize: 2, maxPointers: 1, maxStringLength: 8 }
+            const result = jss.parse(data, limits)
+            expect(result.s).toEqual(new Set([1, 2]))
+            expect(result.self).toBe(result)
+        })
+
+        test('rejects nesting deeper than maxDepth with the offending path', () => {
+            const err = catchError(() => jss.parse('{"a":{"b<!M>":{"c":{}}}}', { maxDepth: 3 }))
+            expect(err).toBeInstanceOf(jss.LimitError)
+            expect(err).toBeInstanceOf(RangeError)
+            expect(err.name).toBe('LimitError')
+            expect(err.limit).toBe('maxDepth')
+            expect(err.max).toBe(3)
+            expect(err.path).toEqual(['a', 'b', 'c'])
+            expect(err.message).toBe("maxDepth of 3 exceeded at 'a.b.c'")
+        })
+
+        test('rejects very deep input without overflowing the stack', () => {
+            const data = '['.repeat(100000) + ']'.repeat(100000)
+            const err = catchError(() => jss.parse(`{"a":${data}}`, { maxDepth: 64 }))
+            expect(err.limit).toBe('maxDepth')
+            expect(err.path).toHaveLength(64)
+        })
+
+        test('rejects objects with more than maxKeys properties', () => {
+            const err = catchError(() => jss.parse('{"a":1,"b":2,"c":3}', { maxKeys: 2 }))
+            expect(err.limit).toBe('maxKeys')
+            expect(err.path).toEqual([])
+            expect(err.message).toBe('maxKeys of 2 exceeded at the root')
+        })
+
+        test('rejects arrays, Sets and Map entry lists over maxCollectionSize', () => {
+            const payloads = [
+                ['{"list":[1,2,3]}', ['list']],
+                ['{"s<!S>":[1,2,3]}', ['s']],
+                ['{"m<!M>":[[1,1],[2,2],[3,3]]}', ['m']]
+            ]
+            for (const [payload, path] of payloads) {
+                const err = catchError(() => jss.parse(payload, { maxCollectionSize: 2 }))
+                expect(err.limit).toBe('maxCollectionSize')
+                expect(err.path).toEqual(path)
+            }
+            expect(catchError(() => jss.parse('{"m<!M>":{"a":1,"b":2,"c":3}}', { maxKeys: 2 })).path).toEqual(['m'])
+        })
+
+        test('counts Maps with string keys against maxCollectionSize', () => {
+            const err = catchError(() => jss.parse('{"m<!M>":{"a":1,"b":2,"c":3}}', { maxCollectionSize: 2 }))
+            expect(err.limit).toBe('maxCollectionSize')
+            expect(err.path).toEqual(['m'])
+            expect(catchError(() => jss.parse('{"<!S[*M]>":[{"a":1,"b":2,"c":3}]}', { maxCollectionSize: 2 })).path).toEqual([0])
+            expect(jss.parse('{"m<!M>":{"a":1,"b":2}}', { maxCollectionSize: 2 }).m.size).toBe(2)
+        })
+
+        test('counts the length of sparse arrays against maxCollectionSize', () => {
+            const payloads = [
+                ['{"a<!H>":{"length":4294967295}}', ['a']],
+                ['{"<!H>":{"0":1,"length":11}}', []],
+                ['{"list<![,H]>":[1,{"length":11}]}', ['list', 1]],
+                ['{"s<!S[*H]>":[{"length":11}]}', ['s', 0]],
+                ['{"[\\"for\\",\\"k\\"]<!*H>":{"length":11}}', ['["for","k"]']]
+            ]
+            for (const [payload, path] of payloads) {
+                const err = catchError(() => jss.parse(payload, { maxCollectionSize: 10 }))
+                expect(err.limit).toBe('maxCollectionSize')
+                expect(err.path).toEqual(path)
+            }
+            expect(jss.parse('{"a<!H>":{"9":1,"length":10}}', { maxCollectionSize: 10 }).a).toHaveLength(10)
+        })
+
+        test('rejects strings and property names over maxStringLength', () => {
+            const err = catchError(() => jss.parse('{"list":["ok","too long"]}', { maxStringLength: 4 }))
+            expect(err.limit).toBe('maxStringLength')
+            expect(err.path).toEqual(['list', 1])
+
+            const keyErr = catchError(() => jss.parse('{"user":{"averylongname<!D>":0}}', { maxStringLength: 8 }))
+            expect(keyErr.path).toEqual(['user', 'averylongname'])
+
+            const binErr = catchError(() => jss.parse('{"b<!I>":["Buffer","AAAAAAAA"]}', { maxStringLength: 6 }))
+            expect(binErr.path).toEqual(['b', 1])
+        })
+
+        test('rejects more than maxPointers pointers', () => {
+            const err = catchError(() => jss.parse('{"a<!P>":[],"b":{"c<!P>":[]},"d<![P,P]>":[[],[]]}', { maxPointers: 2 }))
+            expect(err.limit).toBe('maxPointers')
+            expect(err.path).toEqual(['d', 0])
+        })
+
+        test('applies limits to decode and parseAsync', async () => {
+            expect(() => jss.decode({ a: [1, 2] }, { maxCollectionSize: 1 })).toThrow(jss.LimitError)
+            await expect(jss.parseAsync('{"a":[1,2]}', {}, { maxCollectionSize: 1 })).rejects.toThrow('maxCollectionSize of 1')
+            await expect(jss.parseAsync('{"a<!P>":[]}', {}, { maxPointers: 0 })).rejects.toThrow('maxPointers of 0')
+            expect(await jss.parseAsync('{"a":[1]}', {}, { maxCollectionSize: 1 })).toEqual({ a: [1] })
+        })
+
+        test('accepts Infinity and validates limit values', () => {
+            expect(jss.parse('{"a":[1]}', { maxDepth: Infinity })).toEqual({ a: [1] })
+            expect(() => jss.parse('{}', { maxDepth: -1 })).toThrow('maxDepth must be a non-negative integer, got: -1')
+            expect(() => jss.parse('{}', { maxKeys: 1.5 })).toThrow(TypeError)
+            expect(() => jss.parse('{}', { maxPointers: '10' })).toThrow(TypeError)
+        })
+    })
+
+    describe('Tag Filtering', () => {
+        const data = '{"d<!D>":0,"r<!R>":"/x/g","s<!S[*D]>":[0],"list<![D,Q]>":[0,"raw"],"q<!Q>":{"at<!D>":0}}'
+
+        test('keeps unknown tags by default', () => {
+            const result = jss.parse(data)
+            expect(result.list[1]).toBe('raw')
+            expect(result.q.at).toBeInstanceOf(Date)
+        })
+
+        test('decodes only the allowed tags', () => {
+            const result = jss.parse(data, { allowTags: ['D', 'S'] })
+            expect(result.d).toBeInstanceOf(Date)
+            expect(result.r).toBe('/x/g')
+            expect(result.s).toEqual(new Set([new Date(0)]))
+            expect(() => jss.parse('{"a":{},"b<!P>":["a"]}', { allowTags: ['D'], onUnknownTag: 'throw' })).toThrow("Tag 'P' is not allowed at 'b'")
+        })
+
+        test('checks container contents against the allowlist', () => {
+            const result = jss.parse('{"s<!S[*D]>":[0]}', { allowTags: ['S'] })
+            expect(result.s).toEqual(new Set([0]))
+        })
+
+        test('strips rejected tags', () => {
+            const result = jss.parse(data, { allowTags: ['D', 'S'], onUnknownTag: 'strip' })
+            expect(Object.keys(result)).toEqual(['d', 's', 'list'])
+            expect(result.list).toEqual([new Date(0), undefined])
+
+            const set = jss.parse('{"s<!S[*Q]>":[1]}', { onUnknownTag: 'strip' }).s
+            expect([...set]).toEqual([undefined])
+        })
+
+        test('strips a rejected root to undefined', async () => {
+            expect(jss.parse('{"<!Q>":1}', { onUnknownTag: 'strip' })).toBeUndefined()
+            expect(jss.decode({ '<!D>': 0 }, { allowTags: [], onUnknownTag: 'strip' })).toBeUndefined()
+            expect(await jss.parseAsync('{"<!Q>":1}', {}, { onUnknownTag: 'strip' })).toBeUndefined()
+        })
+
+        test('throws a TagError naming the tag and path', () => {
+            let err
+            try {
+                jss.parse(data, { onUnknownTag: 'throw' })
+            } catch (e) {
+                err = e
+            }
+            expect(err).toBeInstanceOf(jss.TagError)
+            expect(err).toBeInstanceOf(TypeError)
+            expect(err.name).toBe('TagError')
+            expect(err.tag).toBe('Q')
+            expect(err.path).toEqual(['list', 1])
+            expect(err.message).toBe("Tag 'Q' is unknown at 'list.1'")
+
+            expect(() => jss.parse('{"e<!E>":["Error","x",""]}', { allowTags: ['D'], onUnknownTag: 'throw' })).toThrow("Tag 'E' is not allowed at 'e'")
+            expect(() => jss.parse('{"s<!SX>":[]}', { onUnknownTag: 'throw' })).toThrow("Tag 'SX' is unknown at 's'")
+        })
+
+        test('applies to custom plugin tags', async () => {
+            const instance = jss.createJSS({
+                plugins: { X: { check: () => false, encode: (path, key, value) => value, decode: (value) => value * 2 } }
+            })
+            expect(instance.parse('{"v<!X>":2}', { allowTags: ['X'] }).v).toBe(4)
+            expect(instance.decode({ 'v<!X>': 2 }, { allowTags: [], onUnknownTag: 'strip' })).toEqual({})
+            await expect(instance.parseAsync('{"v<!X>":2}', {}, { allowTags: ['D'], onUnknownTag: 'throw' })).rejects.toThrow(jss.TagError)
+        })
+
+        test('validates the options', () => {
+            expect(() => jss.parse('{}', { allowTags: 'D' })).toThrow('allowTags must be an array of tags')
+            expect(() => jss.parse('{}', { onUnknownTag: 'drop' })).toThrow("onUnknownTag must be one of 'keep', 'strip', 'throw', got: 'drop'")
+        })
+    })
+
+    describe('RegExp Safety', () => {
+        const decodeRe = (source, regexp) => jss.decode({ 're<!R>': `/${source}/` }, { regexp }).re
+
+        test('compiles any pattern by default', () => {
+            expect(decodeRe('(a+)+$').source).toBe('(a+)+$')
+        })
+
+        test('rejects patterns longer than maxLength', () => {
+            expect(decodeRe('abc', { maxLength: 3 })).toEqual(/abc/)
+            expect(() => decodeRe('abcd', { maxLength: 3 })).toThrow("Unsafe RegExp at 're': pattern longer than maxLength")
+        })
+
+        test('rejects nested quantifiers when safe', () => {
+            for (const source of ['(a+)+$', '(?:[a-z]*)*', '((a+))+', '(\\d+){2,}', '(a*(b)c)+', '^(a+){12}$', '(a{2})+']) {
+                expect(() => decodeRe(source, { safe: true })).toThrow("Unsafe RegExp at 're': nested quantifier")
+            }
+        })
+
+        test('rejects backreferences when safe', () => {
+            for (const source of ['(a)\\1', '(?<n>a)\\k<n>']) {
+                expect(() => decodeRe(source, { safe: true })).toThrow("Unsafe RegExp at 're': backreference")
+            }
+        })
+
+        test('accepts patterns without nested quantifiers', () => {
+            for (const source of ['^[a-z]+\\d*$', '(ab)+', '(a+)?', '[(+]+', '\\(a+\\)+', '[\\1]+', 'a{2}', '(a+){1}', '(a*){0}', '(ab){3}']) {
+                expect(decodeRe(source, { safe: true }).source).toBe(source)
+            }
+        })
+
+        test('decodes to an inert descriptor', () => {
+            const result = jss.parse('{"re<!R>":"/(a+)+$/gi","raw<!R>":"x+"}', { regexp: { inert: true } })
+            expect(result.re).toEqual({ source: '(a+)+$', flags: 'gi' })
+            expect(result.re).not.toBeInstanceOf(RegExp)
+            expect(result.raw).toEqual({ source: 'x+', flags: '' })
+        })
+
+        test('throws RegExpError with reason and path', async () => {
+            let err
+            try {
+                jss.parse('{"rules":[{"re<!R>":"/(a)\\\\1/"}]}', { regexp: { safe: true } })
+            } catch (e) {
+                err = e
+            }
+            expect(err).toBeInstanceOf(jss.RegExpError)
+            expect(err).toBeInstanceOf(TypeError)
+            expect(err.name).toBe('RegExpError')
+            expect(err.reason).toBe('backreference')
+            expect(err.path).toEqual(['rules', 0, 're'])
+
+            await expect(jss.parseAsync('{"re<!R>":"/(a+)+/"}', {}, { regexp: { safe: true } })).rejects.toThrow(jss.RegExpError)
+        })
+
+        test('validates the options', () => {
+            expect(() => jss.parse('{}', { regexp: null })).toThrow('regexp must be an object')
+            expect(() => jss.parse('{}', { regexp: [] })).toThrow('regexp must be an object')
+            expect(() => jss.parse('{}', { regexp: { maxLength: 'x' } })).toThrow('regexp.maxLength must be a non-negative integer, got: x')
+            expect(() => jss.parse('{}', { regexp: { maxLength: -1 } })).toThrow(TypeError)
+            expect(() => jss.parse('{}', { regexp: { safe: 'yes' } })).toThrow('regexp.safe must be a boolean, got: yes')
+            expect(() => jss.parse('{}', { regexp: { inert: 1 } })).toThrow('regexp.inert must be a boolean, got: 1')
+            expect(jss.parse('{}', { regexp: { maxLength: Infinity, safe: false, inert: true } })).toEqual({})
+        })
+    })
+
+    describe('Instances (createJSS)', () => {
+        const { clearPlugins } = require('./utils/plugins')
+
+        beforeEach(() => {
+            clearPlugins()
+        })
+
+        const moneyPlugin = {
+            check: (key, value) => value && 'EUR' === value.currency,
+            encode: (path, key, value) => value.amount,
+            decode: (value) => ({ amount: value, currency: 'EUR' })
+        }
+
+        test('instance plugins do not leak into the default instance', () => {
+            const instance = jss.createJSS({ plugins: { X: moneyPlugin } })
+            const input = { price: { amount: 5, currency: 'EUR' } }
+
+            expect(instance.encode(input)).toEqual({ 'price<!X>': 5 })
+            expect(jss.encode(input)).toEqual({ price: { amount: 5, currency: 'EUR' } })
+            expect(instance.parse(instance.stringify(input))).toEqual(input)
+        })
+
+        test('two instances can register the same tag', () => {
+            const a = jss.createJSS()
+            const b = jss.createJSS()
+            a.custom('X', moneyPlugin)
+            b.custom('X', {
+                check: (key, value) => 'number' === typeof value,
+                encode: (path, key, value) => value * 10,
+                decode: (value) => value / 10
+            })
+
+            expect(a.decode({ 'v<!X>': 5 }).v).toEqual({ amount: 5, currency: 'EUR' })
+            expect(b.decode({ 'v<!X>': 50 }).v).toBe(5)
+            expect(() => jss.custom('X', moneyPlugin)).not.toThrow()
+        })
+
+        test('clearPlugins only clears its own instance', () => {
+            const instance = jss.createJSS({ plugins: { X: moneyPlugin } })
+            jss.custom('X', moneyPlugin)
+
+            instance.clearPlugins()
+
+            expect(() => instance.custom('X', moneyPlugin)).not.toThrow()
+            expect(() => jss.custom('X', moneyPlugin)).toThrow('already registered')
+        })
+
+        test('inherits all built-ins by default', () => {
+            const instance = jss.createJSS()
+            const result = instance.parse(instance.stringify({ d: new Date(0), s: new Set([1]) }))
+            expect(result.d).toBeInstanceOf(Date)
+            expect(result.s).toBeInstanceOf(Set)
+            expect(() => instance.custom('D', moneyPlugin)).toThrow('conflicts with built-in')
+        })
+
+        test('inherits only the listed built-ins', () => {
+            const instance = jss.createJSS({ builtIns: ['D'] })
+            const input = { d: new Date(0), r: /x/ }
+            input.self = input
+
+            const encoded = instance.encode(input)
+            expect(encoded['d<!D>']).toBe(0)
+            expect(encoded.r).toEqual({})
+            expect(encoded['self<!P>']).toEqual([])
+            expect(instance.decode({ 'r<!R>': '/x/' }).r).toBe('/x/')
+            expect(() => instance.custom('R', moneyPlugin)).not.toThrow()
+        })
+
+        test('builtIns false keeps only circular references', () => {
+            const instance = jss.createJSS({ builtIns: false })
+            const input = { d: new Date(0) }
+            input.self = input
+
+            const result = instance.decode(instance.encode(input))
+            expect(result.d).toEqual({})
+            expect(result.self).toBe(result)
+        })
+
+        test('throws for an unknown built-in tag', () => {
+            expect(() => jss.createJSS({ builtIns: ['Q'] })).toThrow("Tag 'Q' is not a built-in type")
+        })
+
+        test('instance error classes do not leak into the default instance', () => {
+            class QuotaError extends Error {}
+            const instance = jss.createJSS({ errors: { QuotaError } })
+            const encoded = { 'err<!E>': ['QuotaError', 'over quota', 'stack'] }
+
+            expect(instance.decode(encoded).err).toBeInstanceOf(QuotaError)
+            expect(jss.decode(encoded).err).not.toBeInstanceOf(QuotaError)
+            expect(() => jss.registerError('QuotaError', QuotaError)).not.toThrow()
+            expect(() => instance.registerError('QuotaError', QuotaError)).toThrow('already registered')
+        })
+
+        test('async methods use the instance registry', async () => {
+            const instance = jss.createJSS({
+                plugins: {
+                    X: { ...moneyPlugin, onSend: () => ({ replace: 7 }), onReceive: async (path, key, value) => value.amount }
+                }
+            })
+
+            const { data } = await instance.stringifyAsync({ price: { amount: 5, currency: 'EUR' } })
+            expect(data).toBe('{"price<!X>":7}')
+            expect(await instance.parseAsync(data)).toEqual({ price: 7 })
+        })
+    })
+
     describe('Browser Environment Compatibility', () => {
         test('binary decode falls back to ArrayBuffer when Buffer is unavailable', () => {
             // Simulate browser environment by temporarily hiding Buffer
@@ -836,5 +2775,32 @@ describe('JSS - JSON SuperSet', () => {
             const view = new Uint8Array(result)
             expect(String.fromCharCode(...view)).toBe('Hello')
         })
+
+        test('binary encode and decode use btoa/atob when Buffer is unavailable', () => {
+            const originalBuffer = global.Buffer
+            global.atob = (base64) => originalBuffer.from(base64, 'base64').toString('latin1')
+            global.btoa = (binaryStr) => originalBuffer.from(binaryStr, 'latin1').toString('base64')
+            jest.resetModules()
+            const binaryPlugin = require('./utils/defaults/binary')
+
+            delete global.Buffer
+            let encoded, bufferKind, decodedBuffer, decodedFloats
+            try {
+                bufferKind = binaryPlugin.encode([], 'key', originalBuffer.from('a'), {})[0]
+                encoded = binaryPlugin.encode([], 'key', new Uint8Array([72, 105]), {})
+                decodedBuffer = binaryPlugin.decode(['Buffer', 'SGk='], [], {})
+                decodedFloats = binaryPlugin.decode(['Float32Array', 'AAAAPw=='], [], {})
+            } finally {
+                global.Buffer = originalBuffer
+                delete global.atob
+                delete global.btoa
+            }
+
+            expect(bufferKind).toBe('Uint8Array')
+            expect(encoded).toEqual(['Uint8Array', 'SGk='])
+            expect(decodedBuffer.constructor).toBe(Uint8Array)
+            expect([...decodedBuffer]).toEqual([72, 105])
+            expect([...decodedFloats]).toEqual([0.5])
+        })
     })
 })
@@ -7,7 +7,8 @@
  *
  * ## Decoding Process
  *
- * 1. Parse the JSON string (if using `parse()`)
+ * 1. Parse the JSON string (if using `parse()`) and unwrap a root envelope
+ *    (`{ "<!D>": 0 }` for a root Date; see the encoder)
  * 2. Recursively traverse the object structure
  * 3. Detect tagged keys (e.g., `key<!D>` for Date)
  * 4. Apply the appropriate decoder for each tag
@@ -18,13 +19,28 @@
  *
  * | Tag | Type      | Decoder Behavior                          |
  * |-----|-----------|-------------------------------------------|
- * | `D` | Date      | `new Date(timestamp)`                     |
+ * | `D` | Date      | `new Date(timestamp or isoString)`        |
  * | `R` | RegExp    | `new RegExp(pattern)` from string         |
- * | `E` | Error     | Reconstructs with name, message, stack    |
+ * | `E` | Error     | Rebuilds type, stack, cause and fields    |
  * | `U` | undefined | Returns `undefined` value                 |
- * | `M` | Map       | `new Map(Object.entries(obj))`            |
- * | `S` | Set       | `new Set(array)`                          |
+ * | `M` | Map       | Map of the decoded object entries         |
+ * | `S` | Set       | Set of the decoded array elements         |
  * | `P` | Pointer   | Circular reference (resolved after parse) |
+ * | `B` | BigInt    | `BigInt(decimalString)`                   |
+ * | `N` | Number    | `Number(string)` for NaN, ±Infinity, -0   |
+ * | `I` | Binary    | Buffer, ArrayBuffer, DataView, TypedArray |
+ * | `H` | Sparse    | Array of the length, elements at indices  |
+ * | `Y` | Symbol    | Symbol.for(key) or the well-known symbol  |
+ * | `C` | Class     | Instance of the class registered by name  |
+ * | `F` | Fidelity  | Null prototype, then frozen/sealed/locked |
+ * | `T` | Temporal  | `Temporal[kind].from(isoString)`          |
+ * | `W` | Web       | `new URL`/`URLSearchParams`/`Headers`     |
+ * | `O` | Wrapper   | `Object(primitive)`                       |
+ *
+ * Map and Set tags are followed by the tag of their contents, so members
+ * keep their types: `"dates<!S[*D]>": [1704067200000]` is a Set of Dates,
+ * `"byId<!M>": { "a<!D>": 1704067200000 }` a Map whose value is a Date, and
+ * `"byDay<!M[*[D,]]>": [[1704067200000, 3]]` a Map keyed by a Date.
  *
  * ## Circular Reference Resolution
  *
@@ -37,6 +53,13 @@
  * // Decoded: obj.self === obj     // Circular reference restored
  * ```
  *
+ * ## Untrusted Input
+ *
+ * Decoding is safe for input from untrusted peers with respect to
+ * prototype pollution: a `__proto__` key becomes an own data property (as
+ * with `JSON.parse`), and pointer paths only follow own properties, so
+ * they cannot reach or write to `Object.prototype` and friends.
+ *
  * @module utils/jss/decode
  * @see {@link module:utils/jss/encode} for the encoding counterpart
  * @see {@link module:utils/jss} for the main JSS module
@@ -68,22 +91,288 @@
  * console.log(decoded.config instanceof Map) // true
  */
 
+const { defaultRegistry } = require("./plugins");
+const { LimitError, TagError } = require("./errors");
+
+/**
+ * Names of the resource limits accepted by `decode`, `parse` and `parseAsync`
+ *
+ * All but `maxPointers` are checked on the parsed JSON before decoding
+ * starts; pointers are counted as they are decoded.
+ *
+ * @type {string[]}
+ * @private
+ */
+const LIMITS = [
+  "maxDepth",
+  "maxKeys",
+  "maxCollectionSize",
+  "maxPointers",
+  "maxStringLength",
+];
+
+/**
+ * Ways to handle a tag that no plugin decodes or that allowTags excludes
+ * @type {string[]}
+ * @private
+ */
+const UNKNOWN_TAG_MODES = ["keep", "strip", "throw"];
+
+/**
+ * Placeholder returned for a value dropped by `onUnknownTag: 'strip'`
+ * @type {symbol}
+ * @private
+ */
+const STRIPPED = Symbol("stripped");
+
+/**
+ * Read the resource limits from decode options
+ *
+ * Limits that are not given are unlimited (`Infinity`).
+ *
+ * @param {Object} options - Decode options
+ * @returns {Object.<string, number>} Value of every limit in LIMITS
+ * @throws {TypeError} If a limit is not a non-negative integer or Infinity
+ * @private
+ *
+ * @example
+ * resolveLimits({ maxDepth: 32 })
+ * // { maxDepth: 32, maxKeys: Infinity, ... }
+ */
+function resolveLimits(options) {
+  const limits = {};
+  for (const name of LIMITS) {
+    const max = undefined === options[name] ? Infinity : options[name];
+    const isCount = Number.isInteger(max) && 0 <= max;
+    if (Infinity !== max && !isCount) {
+      throw new TypeError(
+        `${name} must be a non-negative integer, got: ${max}`,
+      );
+    }
+    limits[name] = max;
+  }
+  return limits;
+}
+
+/**
+ * Check the RegExp safety options from decode options
+ *
+ * @param {Object} regexp - The `regexp` decode option
+ * @returns {Object} The same options, once checked
+ * @throws {TypeError} If `regexp` is not an object, `maxLength` not a
+ *         non-negative integer or Infinity, or `safe` / `inert` not a boolean
+ * @private
+ *
+ * @example
+ * resolveRegExpOptions({ maxLength: 'x' })
+ * // TypeError: regexp.maxLength must be a non-negative integer, got: x
+ */
+function resolveRegExpOptions(regexp) {
+  const isObject =
+    null !== regexp && "object" === typeof regexp && !Array.isArray(regexp);
+  if (!isObject) {
+    throw new TypeError("regexp must be an object");
+  }
+
+  // Unset options keep the defaults of the RegExp plugin
+  const { maxLength = Infinity, safe = false, inert = false } = regexp;
+  const isCount = Number.isInteger(maxLength) && 0 <= maxLength;
+  if (Infinity !== maxLength && !isCount) {
+    throw new TypeError(
+      `regexp.maxLength must be a non-negative integer, got: ${maxLength}`,
+    );
+  }
+  for (const [name, flag] of [
+    ["safe", safe],
+    ["inert", inert],
+  ]) {
+    if ("boolean" !== typeof flag) {
+      throw new TypeError(`regexp.${name} must be a boolean, got: ${flag}`);
+    }
+  }
+  return regexp;
+}
+
+/**
+ * Read the symbol keys accepted by the `symbolKeys` decode option
+ *
+ * `true` accepts keys made with `Symbol.for()`; `{ wellKnown: [...] }`
+ * also accepts the listed well-known symbols (e.g. `'iterator'`).
+ *
+ * @param {boolean|Object} symbolKeys - The `symbolKeys` decode option
+ * @returns {string[]|null} Names of the accepted well-known symbols, or
+ *          null if symbol keys are not decoded
+ * @throws {TypeError} If the option is neither a boolean nor an object
+ *         with a `wellKnown` array of names
+ * @private
+ *
+ * @example
+ * resolveSymbolKeys(true)                        // []
+ * resolveSymbolKeys({ wellKnown: ['iterator'] }) // ['iterator']
+ */
+function resolveSymbolKeys(symbolKeys) {
+  if ("boolean" === typeof symbolKeys) {
+    return symbolKeys ? [] : null;
+  }
+  const wellKnown = Object(symbolKeys).wellKnown;
+  const isList =
+    Array.isArray(wellKnown) &&
+    wellKnown.every((name) => "string" === typeof name);
+  if (null === symbolKeys || !isList) {
+    throw new TypeError(
+      "symbolKeys must be a boolean or { wellKnown: [names] }",
+    );
+  }
+  return wellKnown;
+}
+
+/**
+ * Build the path of a node visited by `checkStructure`
+ *
+ * @param {Object} node - Visited node, linked to its parent and key
+ * @returns {Array<string|number>} Path from the root to the node
+ * @private
+ *
+ * @example
+ * pathOf({ key: 0, parent: { key: 'items', parent: { key: undefined } } })
+ * // ['items', 0]
+ */
+function pathOf(node) {
+  const path = [];
+  for (let n = node; n.parent; n = n.parent) {
+    path.unshift(n.key);
+  }
+  return path;
+}
+
+/**
+ * Throw a LimitError if a size found by `checkStructure` is over its limit
+ *
+ * @param {Object.<string, number>} limits - Limits from resolveLimits
+ * @param {string} name - Name of the limit
+ * @param {number} size - Size found
+ * @param {Object} node - Node the size belongs to
+ * @returns {void}
+ * @throws {LimitError} If size is over the limit
+ * @private
+ *
+ * @example
+ * checkSize(limits, 'maxKeys', 3, node)
+ */
+function checkSize(limits, name, size, node) {
+  if (size > limits[name]) {
+    throw new LimitError(name, limits[name], pathOf(node));
+  }
+}
+
 /**
- * Temporary storage for circular reference pointers during decoding
+ * Get the tags of the elements of an array from the tag of the array
  *
- * Each entry is a tuple of [sourcePath, targetPath] where:
- * - sourcePath: Path to the referenced object
- * - targetPath: Path where the reference should be placed
+ * @param {string|undefined} tag - Tag of the array (e.g. '[D,R]', '[*D]',
+ *        or 'S[*D]' for the contents of a container)
+ * @returns {string|string[]} The tag of every element, or one tag per element
+ * @private
+ *
+ * @example
+ * elementTagsOf('S[*H]')  // 'H'
+ * elementTagsOf('[D,R]')  // ['D', 'R']
+ * elementTagsOf('D')      // []
+ */
+function elementTagsOf(tag) {
+  // A container's contents are tagged after it: 'S[*D]' -> '[*D]'
+  const arrayTag = tag && "[" !== tag[0] ? tag.slice(1) : tag;
+  if (!arrayTag || "[" !== arrayTag[0]) {
+    return [];
+  }
+  return arrayTag.startsWith("[*")
+    ? arrayTag.slice(2, -1)
+    : splitArrayTag(arrayTag);
+}
+
+/**
+ * Check the parsed JSON against the depth, size and string limits
  *
- * This is reset at the start of each decode() call.
+ * Walks the data without recursion, so a deeply nested payload is
+ * rejected without overflowing the stack. The root object or array is at
+ * depth 1. Sets and Map entry lists are arrays on the wire and count
+ * against `maxCollectionSize`. Maps with string keys are objects and
+ * count against both `maxKeys` and `maxCollectionSize`. A sparse array
+ * (`H`) is sent as an object but counts its `length` against
+ * `maxCollectionSize`, since that many slots are allocated. Property
+ * names, tag included, count against `maxStringLength`. Nothing is walked
+ * when none of these limits is set.
  *
- * @type {Array<[string[], string[]]>}
+ * @param {any} data - Parsed JSON to be decoded
+ * @param {string|undefined} tag - Tag of the root, from its envelope
+ * @param {Object.<string, number>} limits - Limits from resolveLimits
+ * @returns {void}
+ * @throws {LimitError} If a value goes over a limit
  * @private
+ *
+ * @example
+ * checkStructure({ a: { b: {} } }, undefined, resolveLimits({ maxDepth: 2 }))
+ * // Throws: LimitError: maxDepth of 2 exceeded at 'a.b'
  */
-const { getPlugin } = require("./plugins");
-const { getBuiltIn } = require("./defaults");
+function checkStructure(data, tag, limits) {
+  const { maxDepth, maxKeys, maxCollectionSize, maxStringLength } = limits;
+  const smallest = Math.min(
+    maxDepth,
+    maxKeys,
+    maxCollectionSize,
+    maxStringLength,
+  );
+  if (Infinity === smallest) {
+    return;
+  }
+
+  const pending = [{ value: data, tag, depth: 1 }];
+  while (0 < pending.length) {
+    const node = pending.pop();
+    const { value, depth } = node;
 
-let pointers2Res = [];
+    if ("string" === typeof value) {
+      checkSize(limits, "maxStringLength", value.length, node);
+    } else if (Array.isArray(value)) {
+      checkSize(limits, "maxDepth", depth, node);
+      checkSize(limits, "maxCollectionSize", value.length, node);
+      const tags = elementTagsOf(node.tag);
+      for (let i = 0; i < value.length; i++) {
+        pending.push({
+          value: value[i],
+          tag: "string" === typeof tags ? tags : tags[i],
+          depth: depth + 1,
+          parent: node,
+          key: i,
+        });
+      }
+    } else if (null !== value && "object" === typeof value) {
+      checkSize(limits, "maxDepth", depth, node);
+      const keys = Object.keys(value);
+      checkSize(limits, "maxKeys", keys.length, node);
+      // Maps with string keys and sparse arrays are sent as objects
+      const head = node.tag ? node.tag[0] : undefined;
+      if ("M" === head) {
+        checkSize(limits, "maxCollectionSize", keys.length, node);
+      }
+      if ("H" === head && "number" === typeof value.length) {
+        checkSize(limits, "maxCollectionSize", value.length, node);
+      }
+      for (const key of keys) {
+        const [name, keyTag] = parseKeyWithTags(key);
+        const child = {
+          value: value[key],
+          // Symbol keys are tagged '*' followed by the tag of the value
+          tag: keyTag && "*" === keyTag[0] ? keyTag.slice(1) : keyTag,
+          depth: depth + 1,
+          parent: node,
+          key: name,
+        };
+        checkSize(limits, "maxStringLength", key.length, child);
+        pending.push(child);
+      }
+    }
+  }
+}
 
 /**
  * Split an array type tag into individual element tags, handling nested brackets
@@ -122,6 +411,9 @@ function splitArrayTag(tag) {
  *
  * JSS encodes type information in property keys using the format `name<!tag>`.
  * This function separates the original property name from its type tag.
+ * The tag runs from the last `<!` to a `>` ending the key, so the name may
+ * itself hold `<!` or `>`; the encoder gives such keys an empty tag
+ * (`'a<!b><!>'`) so they read back unchanged.
  *
  * Also handles array type tags which have the format `[tag1,tag2,...]`.
  *
@@ -135,9 +427,11 @@ function splitArrayTag(tag) {
  * parseKeyWithTags('pattern<!R>')    // ['pattern', 'R']
  * parseKeyWithTags('name')           // ['name', undefined]
  * parseKeyWithTags('items<![D,D,D]') // ['items', '[D,D,D]']
+ * parseKeyWithTags('<!D>')           // ['', 'D']
+ * parseKeyWithTags('note<!D><!>')    // ['note<!D>', '']
  */
 function parseKeyWithTags(key) {
-  const match = key.match(/(.+)<!(.*)>/);
+  const match = key.match(/^(.*)<!([^<>]*)>$/s);
 
   if (match) {
     const name = match[1];
@@ -155,12 +449,161 @@ function parseKeyWithTags(key) {
   return [key, undefined];
 }
 
+/**
+ * Take the root value and its tag out of a root envelope
+ *
+ * The encoder wraps a root that needs a tag in an object whose only key is
+ * `<!TAG>` (no name). Anything else is the root itself, untagged.
+ *
+ * @param {any} data - Parsed JSS data
+ * @returns {[any, string|undefined]} Tuple of [rootValue, tag]
+ * @private
+ *
+ * @example
+ * unwrapRoot({ '<!D>': 0 })   // [0, 'D']
+ * unwrapRoot({ '<!>': {} })   // [{}, '']
+ * unwrapRoot([1, 2])          // [[1, 2], undefined]
+ */
+function unwrapRoot(data) {
+  if (null === data || "object" !== typeof data || Array.isArray(data)) {
+    return [data, undefined];
+  }
+  const keys = Object.keys(data);
+  const match = 1 === keys.length ? keys[0].match(/^<!([^<>]*)>$/) : null;
+  return match ? [data[keys[0]], match[1]] : [data, undefined];
+}
+
+/**
+ * Get the property key a path segment stands for
+ *
+ * Symbol-keyed properties appear in paths as their symbol descriptor, an
+ * array, so they never share a segment with a string key. The decoder
+ * records which key each descriptor named in each object.
+ *
+ * @param {Object|Array} target - Object holding the property
+ * @param {string|number|Array} key - Path segment
+ * @param {DecodeState} state - Per-call decoding state
+ * @returns {string|number|symbol} The key named by a descriptor, or the segment itself
+ * @private
+ *
+ * @example
+ * ownKeyOf(obj, ['for', 'id'], state)  // Symbol.for('id')
+ * ownKeyOf(obj, '["for","id"]', state) // '["for","id"]'
+ */
+function ownKeyOf(target, key, state) {
+  if (!Array.isArray(key)) {
+    return key;
+  }
+  const name = JSON.stringify(key);
+  const symbols = state.symbolKeys.get(target);
+  return symbols && symbols.has(name) ? symbols.get(name) : name;
+}
+
+/**
+ * Parse the key name of a symbol-keyed property
+ *
+ * @param {string} name - Key name, the JSON of a descriptor
+ * @returns {any} The parsed descriptor, or undefined if name is not JSON
+ * @private
+ *
+ * @example
+ * parseDescriptor('["for","id"]')  // ['for', 'id']
+ * parseDescriptor('["for"')        // undefined
+ */
+function parseDescriptor(name) {
+  try {
+    return JSON.parse(name);
+  } catch (err) {
+    return undefined;
+  }
+}
+
+/**
+ * Decode the key of a symbol-keyed property
+ *
+ * Symbol keys are only decoded with the `symbolKeys` option, and
+ * well-known symbols only when listed in `symbolKeys.wellKnown`: from an
+ * untrusted peer, keys such as `Symbol.toPrimitive` would change how the
+ * object behaves. Any other symbol key is handled like an unknown tag `*`
+ * by `onUnknownTag`. An accepted key is decoded with the `Y` tag, so
+ * `allowTags` and `onUnknownTag` apply and an invalid descriptor throws.
+ * A key that does not decode to a symbol is used as a string key.
+ *
+ * In the path, the key stands as its descriptor when that is an array
+ * (see ownKeyOf).
+ *
+ * @param {string} name - Key name, the JSON of a descriptor
+ * @param {Array} path - Path of the object holding the property
+ * @param {DecodeState} state - Per-call decoding state
+ * @returns {[symbol|string, Array]} The symbol, the name or STRIPPED, and
+ *          the path of the property
+ * @throws {TagError} If the key is not accepted and onUnknownTag is 'throw'
+ * @throws {TypeError} If an accepted key is not a valid descriptor
+ * @private
+ *
+ * @example
+ * decodeSymbolKey('["for","id"]', [], state)
+ * // Returns: [Symbol.for('id'), [['for', 'id']]]
+ */
+function decodeSymbolKey(name, path, state) {
+  const descriptor = parseDescriptor(name);
+  const keyPath = [...path, Array.isArray(descriptor) ? descriptor : name];
+  const isWellKnown =
+    Array.isArray(descriptor) && "wellKnown" === descriptor[0];
+  const accepted =
+    state.allowSymbolKeys &&
+    (!isWellKnown || state.wellKnownKeys.includes(descriptor[1]));
+
+  if (!accepted && "throw" === state.onUnknownTag) {
+    throw new TagError("*", keyPath, false);
+  }
+  if (!accepted) {
+    return ["strip" === state.onUnknownTag ? STRIPPED : name, keyPath];
+  }
+  const symbol = decodeValue(descriptor, "Y", keyPath, state);
+  const isKey = "symbol" === typeof symbol || STRIPPED === symbol;
+  return [isKey ? symbol : name, keyPath];
+}
+
+/**
+ * Set an own data property, even for the key `__proto__`
+ *
+ * Decoded keys come from untrusted input. Plain assignment of `__proto__`
+ * would run the inherited setter and replace the prototype of the target;
+ * defining the property keeps it as data, like `JSON.parse` does.
+ *
+ * @param {Object|Array} target - Object or array to modify
+ * @param {string|number} key - Property name or index
+ * @param {any} value - Value to set
+ * @returns {void} Modifies target in place
+ * @private
+ *
+ * @example
+ * const res = {}
+ * setOwn(res, '__proto__', { admin: true })
+ * Object.getPrototypeOf(res) === Object.prototype  // true
+ * res.admin                                       // undefined
+ */
+function setOwn(target, key, value) {
+  if ("__proto__" === key) {
+    Object.defineProperty(target, key, {
+      value,
+      writable: true,
+      enumerable: true,
+      configurable: true,
+    });
+  } else {
+    target[key] = value;
+  }
+}
+
 /**
  * Recursively decode a value based on its tag
  *
  * This is the core decoding function that handles all JSS types.
  * It processes:
  * - Tagged values using the tagLookup decoders
+ * - Tags that are unknown or not in allowTags, as `onUnknownTag` says
  * - Arrays (including typed arrays with per-element tags)
  * - Objects (recursively decoding nested properties)
  * - Primitive values (passed through unchanged)
@@ -168,7 +611,10 @@ function parseKeyWithTags(key) {
  * @param {any} val - The value to decode
  * @param {string|undefined} tag - Type tag (D, R, E, U, M, S, P, or array format)
  * @param {string[]} [path=[]] - Current path for circular reference tracking
- * @returns {any} The decoded value with original JavaScript type
+ * @param {DecodeState} state - Per-call decoding state (registry, hook context)
+ * @returns {any} The decoded value with original JavaScript type, or STRIPPED
+ *          if the caller should drop it
+ * @throws {TagError} If the tag is rejected and `onUnknownTag` is 'throw'
  * @private
  *
  * @example
@@ -186,17 +632,51 @@ function parseKeyWithTags(key) {
  * decodeValue([1704067200000, 1704153600000], '[D,D]')
  * // Returns: [Date, Date]
  */
-function decodeValue(val, tag, path) {
+function decodeValue(val, tag, path, state) {
+  // Type tags start with the plugin tag; array tags ('[D,D]') only describe elements
+  const isTypeTag = Boolean(tag) && "[" !== tag[0];
+  const allowed =
+    isTypeTag && (null === state.allowTags || state.allowTags.includes(tag[0]));
+
+  // Containers carry the tag of their contents after their own, e.g. 'S[*D]'
+  const head = allowed ? state.registry.getBuiltIn(tag[0]) : undefined;
+  if (head && head.container && (1 === tag.length || "[" === tag[1])) {
+    return decodeContainer(head, val, tag.slice(1), path, state);
+  }
+
   // Check built-in plugins first
-  const builtIn = getBuiltIn(tag);
+  const builtIn = allowed ? state.registry.getBuiltIn(tag) : undefined;
   if (builtIn) {
-    return builtIn.decode(val, path, { pointers2Res });
+    const { maxPointers } = state.limits;
+    if ("P" === tag && maxPointers <= state.pointers2Res.length) {
+      throw new LimitError("maxPointers", maxPointers, path);
+    }
+    return builtIn.decode(val, path, state);
   }
 
   // Check custom plugins
-  const plugin = getPlugin(tag);
+  const plugin = allowed ? state.registry.getPlugin(tag) : undefined;
   if (plugin) {
-    return plugin.decode(val, path, {});
+    const decoded = plugin.decode(val, path, state.context);
+    if (state.receives && plugin.onReceive) {
+      const key = path[path.length - 1];
+      const received = Promise.resolve(
+        plugin.onReceive(path, key, decoded, state.context),
+      );
+      // parseAsync awaits it, unless decoding throws first: keep a
+      // rejection then from going unhandled
+      received.catch(() => {});
+      state.receives.push([path, received]);
+    }
+    return decoded;
+  }
+
+  // Unknown or excluded tag: with 'keep' the value is decoded as if untagged
+  if (isTypeTag && "throw" === state.onUnknownTag) {
+    throw new TagError(tag, path, allowed);
+  }
+  if (isTypeTag && "strip" === state.onUnknownTag) {
+    return STRIPPED;
   }
 
   // Handle arrays
@@ -207,7 +687,8 @@ function decodeValue(val, tag, path) {
     if (tag && tag.startsWith("[*")) {
       const elementTag = tag.slice(2, -1);
       for (let i = 0; i < val.length; i++) {
-        res.push(decodeValue(val[i], elementTag, [...path, i]));
+        const item = decodeValue(val[i], elementTag, [...path, i], state);
+        res.push(STRIPPED === item ? undefined : item);
       }
       return res;
     }
@@ -217,7 +698,8 @@ function decodeValue(val, tag, path) {
     const typeTags = isTaggedArray ? splitArrayTag(tag) : [];
 
     for (let i = 0; i < val.length; i++) {
-      res.push(decodeValue(val[i], typeTags[i], [...path, i]));
+      const item = decodeValue(val[i], typeTags[i], [...path, i], state);
+      res.push(STRIPPED === item ? undefined : item);
     }
 
     return res;
@@ -229,7 +711,27 @@ function decodeValue(val, tag, path) {
 
     for (const key in val) {
       const [name, t] = parseKeyWithTags(key);
-      res[name] = decodeValue(val[key], t, [...path, name]);
+
+      // Symbol keys are tagged '*' followed by the tag of the value; in
+      // paths they stand as their descriptor (see ownKeyOf)
+      const isSymbolKey = Boolean(t) && "*" === t[0];
+      const [ownKey, childPath] = isSymbolKey
+        ? decodeSymbolKey(name, path, state)
+        : [name, [...path, name]];
+      if (STRIPPED === ownKey) {
+        continue;
+      }
+      if ("symbol" === typeof ownKey) {
+        const segment = JSON.stringify(childPath[childPath.length - 1]);
+        const symbols = state.symbolKeys.get(res) || new Map();
+        state.symbolKeys.set(res, symbols.set(segment, ownKey));
+      }
+
+      const valueTag = isSymbolKey ? t.slice(1) : t;
+      const decoded = decodeValue(val[key], valueTag, childPath, state);
+      if (STRIPPED !== decoded) {
+        setOwn(res, ownKey, decoded);
+      }
     }
 
     return res;
@@ -239,18 +741,131 @@ function decodeValue(val, tag, path) {
   return val;
 }
 
+/**
+ * Count the values to be placed in the tree once decoding ends
+ *
+ * @param {DecodeState} state - Per-call decoding state
+ * @returns {number} Pointers plus pending onReceive results registered so far
+ * @private
+ *
+ * @example
+ * pendingCount(state)  // 2
+ */
+function pendingCount(state) {
+  const receives = state.receives ? state.receives.length : 0;
+  return state.pointers2Res.length + receives;
+}
+
+/**
+ * Decode a container built-in (Map, Set, Error, class instance) and its members
+ *
+ * The members are decoded like object properties or array elements, then
+ * the collection is created from them (empty, or for an Error with its
+ * name, message and stack, its class resolved by the registry; for a
+ * class instance with the prototype of the registered class) and
+ * returned. If the contents hold pointers or `onReceive` results still to
+ * be placed, it is filled only after they are (see `fillContainers`),
+ * since a member may be a placeholder that is not yet the referenced
+ * object; `create` is told so. Otherwise it is filled at once, so the
+ * collections inside any contents without pending values are complete
+ * when their own container is created (e.g. for `fromJSON`). Paths into a
+ * collection are always navigated through its decoded contents.
+ *
+ * @param {Object} plugin - The container plugin (with `create` and `fill`)
+ * @param {any} val - Encoded contents of the collection
+ * @param {string} contentTag - Tag of the contents (e.g. '[*D]' or '')
+ * @param {Array<string|number>} path - Path of the collection
+ * @param {DecodeState} state - Per-call decoding state
+ * @returns {Map|Set|Error} The collection, unfilled if its contents are pending
+ * @private
+ *
+ * @example
+ * decodeContainer(setPlugin, [1704067200000], '[*D]', ['dates'], state)
+ * // Returns: Set { 1970-01-01T00:00:00.000Z }
+ */
+function decodeContainer(plugin, val, contentTag, path, state) {
+  const placed = pendingCount(state);
+  const contents = decodeValue(val, contentTag, path, state);
+  const isPending = placed < pendingCount(state);
+  const collection = plugin.create(contents, state.registry, isPending);
+  state.containers.set(collection, [plugin, contents, isPending]);
+  if (!isPending) {
+    plugin.fill(collection, contents, state.registry);
+  }
+  return collection;
+}
+
+/**
+ * Fill the collections whose contents were pending with those contents
+ *
+ * Collections are filled in the order they were created, inner before
+ * outer, so a collection is complete when its container is filled.
+ *
+ * @param {DecodeState} state - Per-call decoding state
+ * @returns {void} Fills the collections in place
+ * @private
+ *
+ * @example
+ * state.pointers2Res.forEach((p) => resolvePointers(result, p, state))
+ * fillContainers(state)
+ */
+function fillContainers(state) {
+  state.containers.forEach(([plugin, contents, isPending], collection) => {
+    if (isPending) {
+      plugin.fill(collection, contents, state.registry);
+    }
+  });
+}
+
+/**
+ * Get a child of a node in the decoded tree
+ *
+ * Collections that are not filled yet are navigated through their
+ * decoded contents, so pointer paths into a Map or Set resolve.
+ *
+ * Only own properties are followed. Pointer paths come from the input,
+ * and a path such as `['__proto__']` or `['constructor', 'prototype']`
+ * must not reach a shared prototype that a later pointer would write to.
+ *
+ * @param {any} node - Object, array or collection
+ * @param {string|number} key - Property name or index
+ * @param {DecodeState} state - Per-call decoding state
+ * @returns {any} The child value
+ * @throws {TypeError} If the node has no own property `key`
+ * @private
+ *
+ * @example
+ * childOf(decodedSet, 0, state)  // first member of the Set
+ *
+ * @example
+ * childOf({}, '__proto__', state)
+ * // Throws: TypeError: Path segment '__proto__' is not an own property
+ */
+function childOf(node, key, state) {
+  const container = state.containers.get(node);
+  const target = container ? container[1] : node;
+  const ownKey = ownKeyOf(target, key, state);
+  const isOwn = Object.prototype.hasOwnProperty.call(Object(target), ownKey);
+  if (!isOwn) {
+    throw new TypeError(`Path segment '${key}' is not an own property`);
+  }
+  return target[ownKey];
+}
+
 /**
  * Resolve a circular reference pointer
  *
  * After initial decoding, circular references are represented as null values
- * with their paths stored in pointers2Res. This function resolves each pointer
+ * with their paths stored in the call's pointers2Res. This function resolves each pointer
  * by navigating to the referenced object and placing it at the target location.
  *
  * @param {Object} obj - The root decoded object
  * @param {[string[], string[]]} pointerInfo - Tuple of [refPath, attrPath]
  *        - refPath: Path to the object being referenced
  *        - attrPath: Path where the reference should be placed
+ * @param {DecodeState} state - Per-call decoding state
  * @returns {void} Modifies obj in place
+ * @throws {TypeError} If refPath leaves the decoded tree (see `childOf`)
  * @private
  *
  * @example
@@ -258,138 +873,379 @@ function decodeValue(val, tag, path) {
  * // With pointer: [['child'], ['ref']]
  * // After resolution: obj.ref === obj.child
  *
- * resolvePointers(obj, [['child'], ['ref']])
+ * resolvePointers(obj, [['child'], ['ref']], state)
  * console.log(obj.ref === obj.child)  // true
  */
-function resolvePointers(obj, [refPath, attrPath]) {
+function resolvePointers(obj, [refPath, attrPath], state) {
   // Navigate to the referenced object
   let ref = obj;
   for (const key of refPath) {
-    ref = ref[key];
+    ref = childOf(ref, key, state);
   }
 
+  assignPath(obj, attrPath, ref, state);
+}
+
+/**
+ * Place a value at a path inside the decoded object tree
+ *
+ * @param {Object} obj - The root decoded object
+ * @param {Array<string|number>} path - Path of the property to set
+ * @param {any} value - Value to place at the path
+ * @param {DecodeState} state - Per-call decoding state
+ * @returns {void} Modifies obj in place
+ * @private
+ *
+ * @example
+ * assignPath(obj, ['user', 'avatar'], buffer, state)
+ * console.log(obj.user.avatar === buffer)  // true
+ */
+function assignPath(obj, path, value, state) {
   // Navigate to the parent of the target location
-  let attrParent = obj;
-  for (let i = 0; i < attrPath.length - 1; i++) {
-    attrParent = attrParent[attrPath[i]];
+  let parent = obj;
+  for (let i = 0; i < path.length - 1; i++) {
+    parent = childOf(parent, path[i], state);
   }
 
-  // Set the reference at the target location
-  attrParent[attrPath[attrPath.length - 1]] = ref;
+  const container = state.containers.get(parent);
+  const target = container ? container[1] : parent;
+  setOwn(target, ownKeyOf(target, path[path.length - 1], state), value);
 }
 
 /**
- * Decode a JSS-encoded object back to its original form
- *
- * This is the low-level decode function that operates on already-parsed
- * JavaScript objects. Use `parse()` if you have a JSON string.
- *
- * ## Processing Steps
- *
- * 1. Reset pointer storage for circular references
- * 2. Recursively decode all values using decodeValue()
- * 3. Resolve all circular reference pointers
- * 4. Return the fully restored object
- *
- * @param {Object} data - JSS-encoded plain object (already parsed from JSON)
- * @returns {any} Decoded object with original JavaScript types restored
+ * @typedef {Object} DecodeState
+ * @property {Registry} registry - Plugin registry supplying built-in and custom types
+ * @property {Object} context - Context passed to custom plugin `decode` and `onReceive`
+ * @property {Array<[Array<string|number>, Promise<any>]>|null} receives - Pending
+ *           onReceive results by path, or null when hooks are not run
+ * @property {Array<[Array<string|number>, Array<string|number>]>} pointers2Res - Circular
+ *           reference pointers as [refPath, attrPath], resolved once decoding ends
+ * @property {Object.<string, number>} limits - Resource limits (see resolveLimits)
+ * @property {string[]|null} allowTags - Tags that may be decoded, or null for all
+ * @property {string} onUnknownTag - 'keep', 'strip' or 'throw' for rejected tags
+ * @property {Object} regexp - RegExp safety options, read by the RegExp plugin
+ * @property {boolean} allowSymbolKeys - Whether symbol keys are decoded
+ * @property {string[]} wellKnownKeys - Well-known symbols accepted as keys
+ * @property {Map<Map|Set|Error, [Object, any, boolean]>} containers - Decoded
+ *           collections with their plugin, contents and whether they wait
+ *           for pointers to be resolved before they are filled
+ * @property {Map<Object, Map<string, symbol|string>>} symbolKeys - Keys of the
+ *           symbol-keyed properties of each decoded object, by the JSON of
+ *           their descriptor
+ * @private
+ */
+
+/**
+ * Create the state for a single decode operation
  *
- * @example
- * // Decode a Date
- * const decoded = decode({ "created<!D>": 1704067200000 })
- * console.log(decoded.created instanceof Date)  // true
+ * All mutable decoding state lives here rather than at module scope, so
+ * a plugin whose `decode` calls back into `decode()` / `parse()` (e.g. for
+ * an embedded JSS payload) gets its own pointers and cannot disturb the
+ * outer call. The state is passed to built-in plugins as their context.
  *
- * @example
- * // Decode multiple types
- * const decoded = decode({
- *   "date<!D>": 1704067200000,
- *   "regex<!R>": "/test/gi",
- *   "items<!S>": [1, 2, 3],
- *   "config<!M>": { key: "value" }
- * })
- *
- * console.log(decoded.date instanceof Date)     // true
- * console.log(decoded.regex instanceof RegExp)  // true
- * console.log(decoded.items instanceof Set)     // true
- * console.log(decoded.config instanceof Map)    // true
+ * @param {Registry} registry - Plugin registry for this call
+ * @param {Object} context - Context passed to custom plugins
+ * @param {Array|null} receives - Collector for onReceive results, or null
+ * @param {Object} options - Decode options (limits, allowTags, onUnknownTag,
+ *        regexp, symbolKeys)
+ * @returns {DecodeState} Fresh decoding state
+ * @throws {TypeError} If an option has an invalid value
+ * @private
  *
  * @example
- * // Decode with circular reference
- * const decoded = decode({
- *   name: "root",
- *   "self<!P>": []  // Pointer to root
- * })
- *
- * console.log(decoded.self === decoded)  // true
+ * const state = createState(registry, {}, null, {})
+ * const result = decodeValue(data, undefined, [], state)
+ * state.pointers2Res.forEach((p) => resolvePointers(result, p, state))
+ * fillContainers(state)
  */
-function decode(data) {
-  // Reset pointer storage for this decode operation
-  pointers2Res = [];
-
-  // Decode all values recursively
-  const result = decodeValue(data, undefined, []);
-
-  // Resolve all circular reference pointers
-  pointers2Res.forEach((p) => resolvePointers(result, p));
+function createState(registry, context, receives, options) {
+  const {
+    allowTags = null,
+    onUnknownTag = "keep",
+    regexp = {},
+    symbolKeys = false,
+  } = options;
+  if (null !== allowTags && !Array.isArray(allowTags)) {
+    throw new TypeError("allowTags must be an array of tags");
+  }
+  if (!UNKNOWN_TAG_MODES.includes(onUnknownTag)) {
+    const modes = UNKNOWN_TAG_MODES.map((mode) => `'${mode}'`).join(", ");
+    const message = `onUnknownTag must be one of ${modes}, got: '${onUnknownTag}'`;
+    throw new TypeError(message);
+  }
+  const wellKnownKeys = resolveSymbolKeys(symbolKeys);
 
-  return result;
+  // Pointers and collections found by this call, resolved once it ends
+  return {
+    registry,
+    context,
+    receives,
+    limits: resolveLimits(options),
+    allowTags,
+    onUnknownTag,
+    regexp: resolveRegExpOptions(regexp),
+    allowSymbolKeys: null !== wellKnownKeys,
+    wellKnownKeys: wellKnownKeys || [],
+    pointers2Res: [],
+    containers: new Map(),
+    symbolKeys: new Map(),
+  };
 }
 
 /**
- * Parse a JSS-encoded JSON string back to its original form
- *
- * This is the high-level parse function that combines JSON.parse with
- * JSS decoding. It's the counterpart to `stringify()` from the encode module.
- *
- * ## Usage
- *
- * ```javascript
- * const { parse } = require('./decode')
- * const original = parse(jssString)
- * ```
+ * Create the decoding functions bound to a plugin registry
  *
- * ## Error Handling
+ * Every JSS instance gets its own decoder so that the custom plugins
+ * registered on one instance never affect another.
  *
- * - Throws `SyntaxError` if the string is not valid JSON
- * - Invalid tags are silently ignored (value passed through as-is)
- * - Missing referenced objects in pointers will cause runtime errors
- *
- * @param {string} encoded - JSS-encoded JSON string
- * @returns {any} Decoded object with original JavaScript types restored
- * @throws {SyntaxError} If the input is not valid JSON
- *
- * @example
- * // Parse a complete JSS message
- * const result = parse(`{
- *   "type": "message",
- *   "timestamp<!D>": 1704067200000,
- *   "pattern<!R>": "/hello/i",
- *   "data": {
- *     "items<!S>": [1, 2, 3]
- *   }
- * }`)
- *
- * console.log(result.type)                      // 'message'
- * console.log(result.timestamp instanceof Date) // true
- * console.log(result.pattern instanceof RegExp) // true
- * console.log(result.data.items instanceof Set) // true
+ * @param {Registry} registry - Plugin registry from `createRegistry()`
+ * @returns {{decode: function, parse: function, parseAsync: function}} Bound decoding functions
  *
  * @example
- * // Round-trip with encode
- * const { stringify } = require('./encode')
- * const { parse } = require('./decode')
- *
- * const original = {
- *   date: new Date(),
- *   items: new Set([1, 2, 3])
- * }
- *
- * const restored = parse(stringify(original))
- * console.log(restored.date.getTime() === original.date.getTime())  // true
- * console.log([...restored.items])  // [1, 2, 3]
+ * const { parse } = createDecoder(createRegistry())
  */
-function parse(encoded) {
-  return decode(JSON.parse(encoded));
+function createDecoder(registry) {
+  /**
+   * Decode a JSS-encoded object back to its original form
+   *
+   * This is the low-level decode function that operates on already-parsed
+   * JavaScript objects. Use `parse()` if you have a JSON string.
+   *
+   * ## Processing Steps
+   *
+   * 1. Check the data against the resource limits, if any
+   * 2. Reset pointer storage for circular references
+   * 3. Recursively decode all values using decodeValue()
+   * 4. Resolve all circular reference pointers
+   * 5. Fill Map and Set values with their decoded members
+   * 6. Return the fully restored object
+   *
+   * ## Resource Limits
+   *
+   * For untrusted input, `options` may bound the payload. Each limit is a
+   * non-negative integer and unlimited when omitted:
+   *
+   * - `maxDepth` - Nesting of objects and arrays (the root is depth 1)
+   * - `maxKeys` - Properties of one object
+   * - `maxCollectionSize` - Elements of one array, Set or Map, or the length
+   *   of a sparse array
+   * - `maxPointers` - Circular/shared reference pointers in the payload
+   * - `maxStringLength` - Length of a string value or property name
+   *
+   * ## Tag Filtering
+   *
+   * `allowTags` lists the tags that may be decoded (built-in or custom; list
+   * `'P'` to accept circular and shared references). `onUnknownTag` says
+   * what happens to a value whose tag no plugin handles or that `allowTags`
+   * excludes:
+   *
+   * - `'keep'` (default) - Decode the value as if it were untagged
+   * - `'strip'` - Drop the property; in arrays, Sets and Map entry lists
+   *   the value becomes `undefined` so indexes stay valid, as does a
+   *   stripped root
+   * - `'throw'` - Throw a `TagError` naming the tag and path
+   *
+   * ## RegExp Safety
+   *
+   * `regexp` controls how `R` values are compiled: `maxLength` rejects
+   * longer patterns, `safe: true` rejects nested quantifiers and
+   * backreferences, and `inert: true` decodes to a `{ source, flags }`
+   * descriptor instead of a RegExp. Rejections throw a `RegExpError`.
+   *
+   * ## Symbol Keys
+   *
+   * Symbol-keyed properties (`<!*...>` keys) are only decoded with
+   * `symbolKeys: true`, which accepts `Symbol.for()` keys, or
+   * `symbolKeys: { wellKnown: ['iterator'] }`, which also accepts the
+   * listed well-known symbols. Other symbol keys are handled like an
+   * unknown tag `*`, by `onUnknownTag`.
+   *
+   * @param {any} data - JSS-encoded value (already parsed from JSON)
+   * @param {Object} [options={}] - Decode options
+   * @param {number} [options.maxDepth] - Maximum nesting depth
+   * @param {number} [options.maxKeys] - Maximum properties per object
+   * @param {number} [options.maxCollectionSize] - Maximum elements per array, Set or Map
+   * @param {number} [options.maxPointers] - Maximum number of pointers
+   * @param {number} [options.maxStringLength] - Maximum string and property name length
+   * @param {string[]} [options.allowTags] - Tags that may be decoded (default: all)
+   * @param {string} [options.onUnknownTag='keep'] - 'keep', 'strip' or 'throw'
+   * @param {Object} [options.regexp] - RegExp safety: `maxLength`, `safe`, `inert`
+   * @param {boolean|Object} [options.symbolKeys=false] - Decode symbol keys:
+   *        `true`, or `{ wellKnown: [names] }` to accept well-known symbols too
+   * @returns {any} Decoded object with original JavaScript types restored
+   * @throws {LimitError} If the data goes over a limit
+   * @throws {TagError} If a tag is rejected and `onUnknownTag` is 'throw'
+   * @throws {RegExpError} If a RegExp is rejected by the `regexp` options
+   * @throws {TypeError} If an option has an invalid value
+   *
+   * @example
+   * // Decode a Date
+   * const decoded = decode({ "created<!D>": 1704067200000 })
+   * console.log(decoded.created instanceof Date)  // true
+   *
+   * @example
+   * // Decode multiple types
+   * const decoded = decode({
+   *   "date<!D>": 1704067200000,
+   *   "regex<!R>": "/test/gi",
+   *   "items<!S>": [1, 2, 3],
+   *   "config<!M>": { key: "value" }
+   * })
+   *
+   * console.log(decoded.date instanceof Date)     // true
+   * console.log(decoded.regex instanceof RegExp)  // true
+   * console.log(decoded.items instanceof Set)     // true
+   * console.log(decoded.config instanceof Map)    // true
+   *
+   * @example
+   * // Decode with circular reference
+   * const decoded = decode({
+   *   name: "root",
+   *   "self<!P>": []  // Pointer to root
+   * })
+   *
+   * console.log(decoded.self === decoded)  // true
+   *
+   * @example
+   * // Reject abusive input
+   * decode(untrusted, { maxDepth: 32, maxCollectionSize: 10000 })
+   * // Throws LimitError naming the path of the offending value
+   *
+   * @example
+   * // Only accept dates, Maps and Sets from a public endpoint
+   * decode(untrusted, { allowTags: ['D', 'M', 'S'], onUnknownTag: 'throw' })
+   */
+  function decode(data, options = {}) {
+    // Fresh state per call, so a plugin may call decode() re-entrantly
+    const state = createState(registry, {}, null, options);
+    const [root, tag] = unwrapRoot(data);
+    checkStructure(root, tag, state.limits);
+
+    // Decode all values recursively; a stripped root decodes to undefined
+    const decoded = decodeValue(root, tag, [], state);
+    const result = STRIPPED === decoded ? undefined : decoded;
+
+    // Resolve all circular reference pointers, then fill collections
+    state.pointers2Res.forEach((p) => resolvePointers(result, p, state));
+    fillContainers(state);
+
+    return result;
+  }
+
+  /**
+   * Parse a JSS-encoded JSON string back to its original form
+   *
+   * This is the high-level parse function that combines JSON.parse with
+   * JSS decoding. It's the counterpart to `stringify()` from the encode module.
+   *
+   * ## Usage
+   *
+   * ```javascript
+   * const { parse } = require('./decode')
+   * const original = parse(jssString)
+   * ```
+   *
+   * ## Error Handling
+   *
+   * - Throws `SyntaxError` if the string is not valid JSON
+   * - Throws `LimitError` if the payload goes over a limit in `options`
+   * - Unknown tags are ignored (value passed through as-is), unless
+   *   `options.onUnknownTag` says to strip them or throw a `TagError`
+   * - Missing referenced objects in pointers will cause runtime errors
+   *
+   * @param {string} encoded - JSS-encoded JSON string
+   * @param {Object} [options={}] - Limits and tag filtering, as for `decode`
+   * @returns {any} Decoded object with original JavaScript types restored
+   * @throws {SyntaxError} If the input is not valid JSON
+   * @throws {LimitError} If the payload goes over a limit
+   * @throws {TagError} If a tag is rejected and `onUnknownTag` is 'throw'
+   *
+   * @example
+   * // Parse a complete JSS message
+   * const result = parse(`{
+   *   "type": "message",
+   *   "timestamp<!D>": 1704067200000,
+   *   "pattern<!R>": "/hello/i",
+   *   "data": {
+   *     "items<!S>": [1, 2, 3]
+   *   }
+   * }`)
+   *
+   * console.log(result.type)                      // 'message'
+   * console.log(result.timestamp instanceof Date) // true
+   * console.log(result.pattern instanceof RegExp) // true
+   * console.log(result.data.items instanceof Set) // true
+   *
+   * @example
+   * // Round-trip with encode
+   * const { stringify } = require('./encode')
+   * const { parse } = require('./decode')
+   *
+   * const original = {
+   *   date: new Date(),
+   *   items: new Set([1, 2, 3])
+   * }
+   *
+   * const restored = parse(stringify(original))
+   * console.log(restored.date.getTime() === original.date.getTime())  // true
+   * console.log([...restored.items])  // [1, 2, 3]
+   */
+  function parse(encoded, options) {
+    return decode(JSON.parse(encoded), options);
+  }
+
+  /**
+   * Parse a JSS-encoded JSON string, awaiting plugin `onReceive` hooks
+   *
+   * Async counterpart of `parse()` for plugins whose values reference an
+   * external resource (e.g. a file upload that arrives separately). For
+   * every value decoded by a plugin with an `onReceive` hook, the hook is
+   * called with `(path, key, decodedValue, context)`. Once all hooks have
+   * resolved, each resolved value replaces the decoded value in the result,
+   * and only then are circular reference pointers resolved.
+   *
+   * @param {string} encoded - JSS-encoded JSON string
+   * @param {Object} [context={}] - Context passed to `decode` and `onReceive` of custom plugins
+   * @param {Object} [options={}] - Limits and tag filtering, as for `decode`
+   * @returns {Promise<any>} Decoded object with external resources resolved
+   * @throws {SyntaxError} If the input is not valid JSON
+   * @throws {LimitError} If the payload goes over a limit; all but `maxPointers`
+   *         are checked before any hook runs
+   * @throws {TagError} If a tag is rejected and `onUnknownTag` is 'throw'
+   *
+   * @example
+   * const message = await parseAsync(data, { clientId, fileTransfer })
+   * // message.upload is whatever the plugin's onReceive resolved to
+   */
+  async function parseAsync(encoded, context = {}, options = {}) {
+    const state = createState(registry, context, [], options);
+    const [root, tag] = unwrapRoot(JSON.parse(encoded));
+    checkStructure(root, tag, state.limits);
+    const decoded = decodeValue(root, tag, [], state);
+    let result = STRIPPED === decoded ? undefined : decoded;
+
+    const values = await Promise.all(state.receives.map(([, p]) => p));
+    state.receives.forEach(([path], i) => {
+      if (0 === path.length) {
+        result = values[i];
+      } else {
+        assignPath(result, path, values[i], state);
+      }
+    });
+
+    state.pointers2Res.forEach((p) => resolvePointers(result, p, state));
+    fillContainers(state);
+
+    return result;
+  }
+
+  return { decode, parse, parseAsync };
 }
 
-module.exports = { decode, parse };
+/**
+ * Decoder bound to the default registry used by the top-level exports
+ * @private
+ */
+const { decode, parse, parseAsync } = createDecoder(defaultRegistry);
+
+module.exports = { decode, parse, parseAsync, createDecoder };
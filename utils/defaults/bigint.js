@@ -0,0 +1,93 @@
+/**
+ * @fileoverview BigInt Plugin - Converts BigInt values to/from decimal strings
+ *
+ * This plugin handles serialization and deserialization of JavaScript BigInt values.
+ * `JSON.stringify` throws a TypeError on BigInt, and a JSON number would lose
+ * precision beyond `Number.MAX_SAFE_INTEGER`, so BigInts are encoded as their
+ * decimal string and restored with `BigInt()` on decode.
+ *
+ * @module utils/defaults/bigint
+ * @see {@link module:utils/defaults} for the plugin registry
+ *
+ * @example
+ * // Encoding
+ * const encoded = plugin.encode([], 'id', 9007199254740993n, {});
+ * // encoded = '9007199254740993'
+ *
+ * @example
+ * // Decoding
+ * const decoded = plugin.decode('9007199254740993', [], {});
+ * // decoded = 9007199254740993n
+ */
+
+/**
+ * @typedef {Object} BigIntPlugin
+ * @property {string} tag - Single character identifier ('B')
+ * @property {string} toStringType - Object.prototype.toString result for BigInt
+ * @property {function} check - Type detection function
+ * @property {function} encode - Serialization function
+ * @property {function} decode - Deserialization function
+ */
+
+/**
+ * BigInt plugin configuration
+ * @type {BigIntPlugin}
+ */
+module.exports = {
+  /**
+   * Single character tag identifier
+   * @type {string}
+   */
+  tag: "B",
+
+  /**
+   * Result of Object.prototype.toString.call() for BigInt values
+   * Used for fast type detection during encoding
+   * @type {string}
+   */
+  toStringType: "[object BigInt]",
+
+  /**
+   * Determines if this plugin should handle the given value
+   *
+   * @param {string|number} key - The property key or array index
+   * @param {*} value - The value to check
+   * @returns {boolean} True if value is a BigInt
+   *
+   * @example
+   * check('id', 10n)    // true
+   * check('id', 10)     // false
+   * check('id', '10')   // false
+   */
+  check: (key, value) => "bigint" === typeof value,
+
+  /**
+   * Encodes a BigInt as its decimal string
+   *
+   * @param {Array<string|number>} path - Path to this value in the object tree
+   * @param {string|number} key - The property key or array index
+   * @param {bigint} value - The BigInt to encode
+   * @param {Object} context - Encoding context (unused for BigInt)
+   * @returns {string} Decimal representation, with a leading '-' if negative
+   *
+   * @example
+   * encode(['order'], 'id', -12345678901234567890n, {})
+   * // Returns: '-12345678901234567890'
+   */
+  encode: (path, key, value, context) => value.toString(),
+
+  /**
+   * Decodes a decimal string back to a BigInt
+   *
+   * @param {string} value - Decimal string representation
+   * @param {Array<string|number>} path - Path to this value in the object tree
+   * @param {Object} context - Decoding context (unused for BigInt)
+   * @returns {bigint} The restored BigInt
+   * @throws {SyntaxError} If the string is not a valid integer
+   *
+   * @example
+   * decode('-12345678901234567890', ['order', 'id'], {})
+   * // Returns: -12345678901234567890n
+   */
+  decode: (value, path, context) => BigInt(value),
+};
@@ -1,34 +1,145 @@
 /**
- * @fileoverview Binary Plugin - Decodes inline base64 binary data
+ * @fileoverview Binary Plugin - Converts binary data to/from inline base64
  *
- * This plugin handles deserialization of inline binary data encoded as base64 strings.
- * It is a decode-only plugin - binary data is encoded by external sources (e.g., file
- * transfer systems) and JSS only needs to decode it back to Buffer or ArrayBuffer.
+ * This plugin handles serialization and deserialization of binary data:
+ * Buffer, ArrayBuffer, DataView and every TypedArray kind (Uint8Array,
+ * Float64Array, BigInt64Array, ...). Values are encoded as a
+ * `[kind, base64]` pair, so decode restores the same class. Only the bytes
+ * in view are sent, in the platform byte order.
+ *
+ * A bare base64 string (the format written by external sources such as file
+ * transfer systems) is still accepted and decoded to Buffer or ArrayBuffer.
  *
  * ## Environment Detection
- * - **Node.js**: Returns a Buffer object using Buffer.from()
- * - **Browser**: Returns an ArrayBuffer using atob() and Uint8Array
+ * - **Node.js**: Uses Buffer for base64; `Buffer` values decode to Buffer
+ * - **Browser**: Uses atob()/btoa(); `Buffer` values decode to Uint8Array,
+ *   and a bare base64 string decodes to ArrayBuffer
+ *
+ * A TypedArray kind the runtime lacks (e.g. Float16Array) decodes to a
+ * Uint8Array over the same bytes.
  *
  * @module utils/defaults/binary
  * @see {@link module:utils/defaults} for the plugin registry
  *
  * @example
+ * // Encoding
+ * const encoded = plugin.encode([], 'samples', new Float64Array([1.5]), {});
+ * // encoded = ['Float64Array', 'AAAAAAAA+D8=']
+ *
+ * @example
  * // Decoding in Node.js
- * const decoded = plugin.decode('SGVsbG8gV29ybGQ=', [], {});
+ * const decoded = plugin.decode(['Buffer', 'SGVsbG8gV29ybGQ='], [], {});
  * // decoded = Buffer.from('Hello World')
  *
  * @example
- * // Decoding in browser
+ * // Decoding a bare base64 string in browser
  * const decoded = plugin.decode('SGVsbG8gV29ybGQ=', [], {});
  * // decoded = ArrayBuffer containing 'Hello World' bytes
  */
 
+/**
+ * Binary kinds other than Buffer, by constructor name
+ * @type {string[]}
+ * @private
+ */
+const KINDS = [
+  "ArrayBuffer",
+  "DataView",
+  "Int8Array",
+  "Uint8Array",
+  "Uint8ClampedArray",
+  "Int16Array",
+  "Uint16Array",
+  "Int32Array",
+  "Uint32Array",
+  "Float16Array",
+  "Float32Array",
+  "Float64Array",
+  "BigInt64Array",
+  "BigUint64Array",
+];
+
+/**
+ * Get the binary kind of a value
+ *
+ * @param {*} value - The value to inspect
+ * @returns {string|undefined} 'Buffer', an entry of KINDS, or undefined if not binary
+ * @private
+ *
+ * @example
+ * kindOf(Buffer.from('a'))        // 'Buffer'
+ * kindOf(new Int16Array(2))       // 'Int16Array'
+ * kindOf([1, 2])                  // undefined
+ */
+function kindOf(value) {
+  const kind =
+    "undefined" !== typeof Buffer && Buffer.isBuffer(value)
+      ? "Buffer"
+      : Object.prototype.toString.call(value).slice(8, -1);
+  if (
+    "Buffer" === kind ||
+    "ArrayBuffer" === kind ||
+    (ArrayBuffer.isView(value) && KINDS.includes(kind))
+  ) {
+    return kind;
+  }
+  return undefined;
+}
+
+/**
+ * Encode the bytes of a Uint8Array as base64
+ *
+ * @param {Uint8Array} bytes - Bytes to encode
+ * @returns {string} Base64 string
+ * @private
+ *
+ * @example
+ * toBase64(new Uint8Array([72, 105]))  // 'SGk='
+ */
+function toBase64(bytes) {
+  if ("undefined" !== typeof Buffer) {
+    return Buffer.from(
+      bytes.buffer,
+      bytes.byteOffset,
+      bytes.byteLength,
+    ).toString("base64");
+  }
+  let binaryStr = "";
+  for (let i = 0; i < bytes.length; i++) {
+    binaryStr += String.fromCharCode(bytes[i]);
+  }
+  return btoa(binaryStr);
+}
+
+/**
+ * Decode base64 into a Uint8Array backed by its own ArrayBuffer
+ *
+ * @param {string} base64 - Base64 string
+ * @returns {Uint8Array} Decoded bytes, starting at offset 0 of a fresh buffer
+ * @private
+ *
+ * @example
+ * fromBase64('SGk=')  // Uint8Array [72, 105]
+ */
+function fromBase64(base64) {
+  if ("undefined" !== typeof Buffer) {
+    // Copy out of Node's shared Buffer pool so the ArrayBuffer is exact
+    return new Uint8Array(Buffer.from(base64, "base64"));
+  }
+  const binaryStr = atob(base64);
+  const bytes = new Uint8Array(binaryStr.length);
+  for (let i = 0; i < binaryStr.length; i++) {
+    bytes[i] = binaryStr.charCodeAt(i);
+  }
+  return bytes;
+}
+
 /**
  * @typedef {Object} BinaryPlugin
  * @property {string} tag - Single character identifier ('I')
- * @property {boolean} decodeOnly - Indicates this plugin only supports decoding
- * @property {function} check - Type detection function (always returns false)
- * @property {null} encode - No encoding support
+ * @property {string[]} toStringType - Object.prototype.toString results for binary types
+ * @property {function} check - Type detection function
+ * @property {function} encode - Serialization function
  * @property {function} decode - Deserialization function
  */
 
@@ -48,50 +159,67 @@ module.exports = {
   tag: "I",
 
   /**
-   * Indicates this plugin only supports decoding
-   *
-   * Binary data encoding is handled by external systems (e.g., file transfer).
-   * JSS only needs to decode the base64 representation back to binary.
-   *
-   * @type {boolean}
+   * Results of Object.prototype.toString.call() for binary types
+   * Buffer reports '[object Uint8Array]', so it is covered as well
+   * @type {string[]}
    */
-  decodeOnly: true,
+  toStringType: KINDS.map((kind) => `[object ${kind}]`),
 
   /**
-   * Type detection function - always returns false
-   *
-   * Since this is a decode-only plugin, the check function is never used.
-   * Binary data is not detected during encoding; it must be explicitly
-   * tagged with 'I' by external systems.
+   * Determines if this plugin should handle the given value
    *
    * @param {string|number} key - The property key or array index
    * @param {*} value - The value to check
-   * @returns {boolean} Always returns false
+   * @returns {boolean} True if value is a Buffer, ArrayBuffer, DataView or TypedArray
+   *
+   * @example
+   * check('file', Buffer.from('a'))       // true
+   * check('file', new ArrayBuffer(8))     // true
+   * check('file', [1, 2, 3])              // false
    */
-  check: (key, value) => false,
+  check: (key, value) => undefined !== kindOf(value),
 
   /**
-   * No encoding support
+   * Encodes binary data as a [kind, base64] pair
+   *
+   * Only the bytes covered by a view are encoded, not the whole
+   * underlying ArrayBuffer.
+   *
+   * @param {Array<string|number>} path - Path to this value in the object tree
+   * @param {string|number} key - The property key or array index
+   * @param {Buffer|ArrayBuffer|DataView|TypedArray} value - The binary data to encode
+   * @param {Object} context - Encoding context (unused for binary)
+   * @returns {[string, string]} Tuple of [kind, base64]
    *
-   * Binary encoding is handled by external systems. Set to null to
-   * indicate this plugin cannot encode values.
+   * @example
+   * encode(['upload'], 'data', Buffer.from('Hello'), {})
+   * // Returns: ['Buffer', 'SGVsbG8=']
    *
-   * @type {null}
+   * @example
+   * encode(['upload'], 'raw', new Uint8Array([1, 2, 3]).buffer, {})
+   * // Returns: ['ArrayBuffer', 'AQID']
    */
-  encode: null,
+  encode: (path, key, value, context) => {
+    const kind = kindOf(value);
+    const bytes =
+      "ArrayBuffer" === kind
+        ? new Uint8Array(value)
+        : new Uint8Array(value.buffer, value.byteOffset, value.byteLength);
+    return [kind, toBase64(bytes)];
+  },
 
   /**
-   * Decodes a base64 string to binary data
-   *
-   * Automatically detects the runtime environment and returns the
-   * appropriate binary type:
-   * - Node.js: Buffer
-   * - Browser: ArrayBuffer
+   * Decodes binary data from a [kind, base64] pair or a bare base64 string
    *
-   * @param {string} value - Base64 encoded string
+   * @param {[string, string]|string} value - Encoded pair, or base64 from an external source
    * @param {Array<string|number>} path - Path to this value in the object tree
    * @param {Object} context - Decoding context (unused for binary)
-   * @returns {Buffer|ArrayBuffer} Decoded binary data
+   * @returns {Buffer|ArrayBuffer|DataView|TypedArray} Decoded binary data
+   * @throws {TypeError} If the kind is not a known binary type
+   *
+   * @example
+   * decode(['Int16Array', 'AQACAA=='], ['data', 'samples'], {})
+   * // Returns: Int16Array [1, 2]
    *
    * @example
    * // Node.js environment
@@ -104,16 +232,34 @@ module.exports = {
    * // Returns: ArrayBuffer { byteLength: 5 }
    */
   decode: (value, path, context) => {
-    // In Node.js, return Buffer
-    if ("undefined" !== typeof Buffer) {
-      return Buffer.from(value, "base64");
+    if ("string" === typeof value) {
+      // In Node.js, return Buffer
+      if ("undefined" !== typeof Buffer) {
+        return Buffer.from(value, "base64");
+      }
+      // In browser, return ArrayBuffer
+      return fromBase64(value).buffer;
+    }
+
+    const [kind, base64] = Array.isArray(value) ? value : [];
+    if ("string" !== typeof base64) {
+      throw new TypeError(`Invalid binary data at '${path.join(".")}'`);
+    }
+    if ("Buffer" !== kind && !KINDS.includes(kind)) {
+      throw new TypeError(`Unknown binary type '${kind}'`);
+    }
+
+    const bytes = fromBase64(base64);
+    if ("ArrayBuffer" === kind) {
+      return bytes.buffer;
+    }
+    if ("DataView" === kind) {
+      return new DataView(bytes.buffer);
     }
-    // In browser, return ArrayBuffer
-    const binaryStr = atob(value);
-    const bytes = new Uint8Array(binaryStr.length);
-    for (let i = 0; i < binaryStr.length; i++) {
-      bytes[i] = binaryStr.charCodeAt(i);
+    if ("Buffer" === kind) {
+      return "undefined" !== typeof Buffer ? Buffer.from(bytes.buffer) : bytes;
     }
-    return bytes.buffer;
+    const TypedArray = globalThis[kind];
+    return TypedArray ? new TypedArray(bytes.buffer) : bytes;
   },
 };
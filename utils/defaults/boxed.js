@@ -0,0 +1,189 @@
+/**
+ * @fileoverview Boxed Plugin - Keeps primitive wrapper objects
+ *
+ * Wrapper objects (`new String('ab')`, `new Number(5)`, `new Boolean(false)`,
+ * `Object(10n)`, `Object(Symbol.for('a'))`) would otherwise go through the
+ * plain-object branch of the encoder: a String as its characters by index,
+ * the others as `{}`. Values are encoded as a `[kind, primitive]` pair and
+ * rebuilt with `Object(primitive)`:
+ *
+ * ```javascript
+ * { text: new String('ab'), flag: new Boolean(false) }
+ * // { "text<!O>": ["String", "ab"], "flag<!O>": ["Boolean", false] }
+ * ```
+ *
+ * The encoder walks the pair, so primitives JSON cannot hold are tagged
+ * like any other value (`O[,N]` for `new Number(NaN)`, `O[,B]` for a
+ * boxed BigInt, `O[,Y]` for a boxed Symbol), and a wrapper referenced
+ * twice decodes to a single object.
+ *
+ * @module utils/defaults/boxed
+ * @see {@link module:utils/defaults} for the plugin registry
+ *
+ * @example
+ * // Encoding
+ * const encoded = plugin.encode([], 'count', new Number(5), {});
+ * // encoded = ['Number', 5]
+ *
+ * @example
+ * // Decoding
+ * const decoded = plugin.decode(['String', 'ab'], [], {});
+ * // decoded = [String: 'ab']
+ */
+
+/**
+ * Wrapper kinds handled by this plugin, by constructor name
+ * @type {string[]}
+ * @private
+ */
+const KINDS = ["String", "Number", "Boolean", "BigInt", "Symbol"];
+
+/**
+ * Object.prototype.toString results of the wrapper kinds
+ * @type {string[]}
+ * @private
+ */
+const TO_STRING_TYPES = KINDS.map((kind) => `[object ${kind}]`);
+
+/**
+ * Create the wrapper object for a decoded `[kind, primitive]` pair
+ *
+ * @param {Array} value - Decoded pair of [kind, primitive]
+ * @returns {Object} The wrapper object
+ * @throws {TypeError} If the kind is unknown or the primitive of another type
+ * @private
+ *
+ * @example
+ * createWrapper(['BigInt', 10n])  // [BigInt: 10n]
+ */
+function createWrapper(value) {
+  const [kind, primitive] = Array.isArray(value) ? value : [];
+  const isValid =
+    KINDS.includes(kind) && kind.toLowerCase() === typeof primitive;
+  if (!isValid) {
+    throw new TypeError(`Invalid boxed primitive '${kind}'`);
+  }
+  return Object(primitive);
+}
+
+/**
+ * @typedef {Object} BoxedPlugin
+ * @property {string} tag - Single character identifier ('O')
+ * @property {string[]} toStringType - Object.prototype.toString results for the wrappers
+ * @property {boolean} container - Indicates the primitive is encoded by the encoder
+ * @property {function} check - Type detection function
+ * @property {function} encode - Serialization function
+ * @property {function} decode - Deserialization function
+ * @property {function} create - Creates the wrapper object
+ * @property {function} fill - No-op, the wrapper is complete when created
+ */
+
+/**
+ * Boxed plugin configuration
+ * @type {BoxedPlugin}
+ */
+module.exports = {
+  /**
+   * Single character tag identifier
+   *
+   * 'O' stands for "Object wrapper".
+   *
+   * @type {string}
+   */
+  tag: "O",
+
+  /**
+   * Results of Object.prototype.toString.call() for the wrapper objects
+   *
+   * Shared with the primitives themselves (and the `N`, `B` and `Y`
+   * plugins), so `check` only accepts objects.
+   *
+   * @type {string[]}
+   */
+  toStringType: TO_STRING_TYPES,
+
+  /**
+   * Indicates the encoded value is walked by the encoder
+   *
+   * The primitive in the `[kind, primitive]` pair is tagged by the plugin
+   * handling it, e.g. `O[,B]` for `Object(10n)`.
+   *
+   * @type {boolean}
+   */
+  container: true,
+
+  /**
+   * Determines if this plugin should handle the given value
+   *
+   * @param {string|number} key - The property key or array index
+   * @param {*} value - The value to check
+   * @returns {boolean} True if value is a String, Number, Boolean, BigInt or
+   *          Symbol wrapper object
+   *
+   * @example
+   * check('text', new String('ab'))  // true
+   * check('text', 'ab')              // false
+   */
+  check: (key, value) =>
+    null !== value &&
+    "object" === typeof value &&
+    TO_STRING_TYPES.includes(Object.prototype.toString.call(value)),
+
+  /**
+   * Encodes a wrapper object as its kind and primitive value
+   *
+   * @param {Array<string|number>} path - Path to this value in the object tree
+   * @param {string|number} key - The property key or array index
+   * @param {Object} value - The wrapper object to encode
+   * @param {Object} context - Encoding context (unused for wrappers)
+   * @returns {Array} Pair of [kind, primitive]
+   * @throws {TypeError} If the value only claims the kind through
+   *         `Symbol.toStringTag`
+   *
+   * @example
+   * encode(['form'], 'agree', new Boolean(false), {})
+   * // Returns: ['Boolean', false]
+   */
+  encode: (path, key, value, context) => {
+    // '[object String]' -> 'String'
+    const kind = Object.prototype.toString.call(value).slice(8, -1);
+    return [kind, globalThis[kind].prototype.valueOf.call(value)];
+  },
+
+  /**
+   * Decodes a [kind, primitive] pair back to a wrapper object
+   *
+   * @param {Array} value - Pair of [kind, primitive]
+   * @param {Array<string|number>} path - Path to this value in the object tree
+   * @param {Object} context - Decoding context (unused for wrappers)
+   * @returns {Object} The wrapper object
+   * @throws {TypeError} If the kind is unknown or the primitive of another type
+   *
+   * @example
+   * decode(['Number', 5], ['count'], {})
+   * // Returns: [Number: 5]
+   */
+  decode: (value, path, context) => createWrapper(value),
+
+  /**
+   * Creates the wrapper object from its decoded primitive
+   *
+   * @param {Array} value - Decoded pair of [kind, primitive]
+   * @returns {Object} The wrapper object
+   * @throws {TypeError} If the kind is unknown or the primitive of another type
+   *
+   * @example
+   * create(['Symbol', Symbol.iterator])
+   * // Returns: [Symbol: Symbol(Symbol.iterator)]
+   */
+  create: (value) => createWrapper(value),
+
+  /**
+   * Does nothing: a wrapper holds a primitive, never a pointer
+   *
+   * @param {Object} wrapper - Value returned by `create`
+   * @param {Array} value - Decoded pair of [kind, primitive]
+   * @returns {void}
+   */
+  fill: (wrapper, value) => {},
+};
@@ -0,0 +1,239 @@
+/**
+ * @fileoverview Class Plugin - Rebuilds instances of registered classes
+ *
+ * This plugin handles instances of classes registered with `registerClass`.
+ * Without it, a class instance goes through the plain-object branch of the
+ * encoder and comes back as a bare object without its prototype.
+ *
+ * An instance is encoded as `[name, data]`, where `name` is the name the
+ * class was registered under and `data` is either its own enumerable
+ * fields or what the class's `toJSON` option returns. The encoder walks
+ * `data` like any other value, so fields holding dates, maps, other
+ * instances or circular references keep their types.
+ *
+ * ## Rebuilding
+ *
+ * Decoding never runs the class constructor. By default the instance is
+ * created with the class prototype and its fields are set once circular
+ * reference pointers are resolved, so instances may reference each other
+ * or themselves. A class registered with `fromJSON` is built by that
+ * function from the decoded data instead. The instance must exist before
+ * pointers to it are resolved, so `fromJSON` runs first: decoding throws
+ * if its data holds values sent as pointers (objects shared with, or
+ * cyclic through, other parts of the payload) or left to `onReceive`.
+ * Collections in data without such values are filled as soon as they are
+ * created, so `fromJSON` gets its Maps, Sets and nested instances whole.
+ *
+ * Names that are not registered on the decoding side give the decoded
+ * data as is.
+ *
+ * Instances are found by the registry (`getClassOf`), which compares the
+ * prototype to those of the registered classes, rather than by
+ * Object.prototype.toString.
+ *
+ * @module utils/defaults/class
+ * @see {@link module:utils/defaults} for the plugin registry
+ *
+ * @example
+ * // Encoding
+ * registry.registerClass(Money);
+ * const encoded = plugin.encode([], 'price', new Money(5, 'EUR'), {}, registry);
+ * // encoded = ['Money', { amount: 5, currency: 'EUR' }]
+ *
+ * @example
+ * // Decoding
+ * const money = plugin.create(['Money', {}], registry);
+ * plugin.fill(money, ['Money', { amount: 5, currency: 'EUR' }], registry);
+ * // money instanceof Money, money.amount === 5
+ */
+
+/**
+ * Create the instance for an encoded `[name, data]` pair
+ *
+ * @param {Array} value - Decoded pair of [name, data]
+ * @param {Object} [registry] - Registry resolving class names (see `getClass`);
+ *        without it every name is unknown
+ * @param {boolean} [isPending=false] - Whether the data holds pointers or
+ *        onReceive results not placed yet
+ * @returns {any} Instance with the class prototype, the result of
+ *          `fromJSON`, or `data` for unknown names
+ * @throws {TypeError} If a `fromJSON` class gets data that is still pending
+ * @private
+ *
+ * @example
+ * createInstance(['Money', { amount: 5 }], registry)
+ * // Returns: Money {} (fields set by fillInstance)
+ */
+function createInstance(value, registry, isPending = false) {
+  const isValid =
+    Array.isArray(value) && 2 === value.length && "string" === typeof value[0];
+  if (!isValid) {
+    throw new TypeError("Invalid class instance: expected [name, data]");
+  }
+  const [name, data] = value;
+  const entry = registry ? registry.getClass(name) : undefined;
+  if (!entry) {
+    return data;
+  }
+  if (!entry.fromJSON) {
+    return Object.create(entry.Class.prototype);
+  }
+  if (isPending) {
+    throw new TypeError(
+      `Class '${name}' is built by fromJSON, so its data cannot hold shared or circular references`,
+    );
+  }
+  return entry.fromJSON(data);
+}
+
+/**
+ * Set the decoded fields on an instance made by createInstance
+ *
+ * Only instances created from the prototype are filled; `fromJSON`
+ * results and unknown names are already complete.
+ *
+ * @param {any} instance - Value returned by createInstance
+ * @param {Array} value - Decoded pair of [name, data]
+ * @param {Object} [registry] - Registry resolving class names
+ * @returns {void} Modifies the instance in place
+ * @private
+ *
+ * @example
+ * fillInstance(money, ['Money', { amount: 5 }], registry)
+ * // money.amount === 5
+ */
+function fillInstance(instance, value, registry) {
+  const [name, data] = value;
+  const entry = registry ? registry.getClass(name) : undefined;
+  if (!entry || entry.fromJSON) {
+    return;
+  }
+  for (const [field, fieldValue] of Object.entries(data)) {
+    Object.defineProperty(instance, field, {
+      value: fieldValue,
+      writable: true,
+      enumerable: true,
+      configurable: true,
+    });
+  }
+}
+
+/**
+ * @typedef {Object} ClassPlugin
+ * @property {string} tag - Single character identifier ('C')
+ * @property {boolean} container - Indicates data is encoded by the encoder
+ * @property {function} check - Type detection function (always false)
+ * @property {function} encode - Serialization function
+ * @property {function} decode - Deserialization function
+ * @property {function} create - Creates the instance
+ * @property {function} fill - Sets decoded fields on the instance
+ */
+
+/**
+ * Class plugin configuration
+ * @type {ClassPlugin}
+ */
+module.exports = {
+  /**
+   * Single character tag identifier
+   * @type {string}
+   */
+  tag: "C",
+
+  /**
+   * Indicates the encoded value is walked by the encoder
+   *
+   * The `[name, data]` pair returned by `encode` is processed by the
+   * encoder, so the fields are tagged, turned into pointers or handled by
+   * plugins. Pointer paths into an instance go through the pair, e.g.
+   * `['order', 1, 'customer']` for `order.customer`.
+   *
+   * @type {boolean}
+   */
+  container: true,
+
+  /**
+   * Type detection function - always returns false
+   *
+   * Registered classes belong to a registry, so instances are detected by
+   * the registry's `getTagForValue`, not through the standard plugin
+   * check mechanism.
+   *
+   * @param {string|number} key - The property key or array index
+   * @param {*} value - The value to check
+   * @returns {boolean} Always returns false
+   */
+  check: (key, value) => false,
+
+  /**
+   * Encodes an instance of a registered class as [name, data]
+   *
+   * @param {Array<string|number>} path - Path to this value in the object tree
+   * @param {string|number} key - The property key or array index
+   * @param {Object} value - The instance to encode
+   * @param {Object} context - Encoding context (unused for classes)
+   * @param {Object} registry - Registry the class is registered with
+   * @returns {Array} Pair of the registered name and the instance data
+   *
+   * @example
+   * encode(['cart'], 'price', new Money(5, 'EUR'), {}, registry)
+   * // Returns: ['Money', { amount: 5, currency: 'EUR' }]
+   *
+   * @example
+   * // Registered with toJSON: (money) => `${money.amount} ${money.currency}`
+   * encode(['cart'], 'price', new Money(5, 'EUR'), {}, registry)
+   * // Returns: ['Money', '5 EUR']
+   */
+  encode: (path, key, value, context, registry) => {
+    const entry = registry.getClassOf(value);
+    const data = !entry.toJSON ? { ...value } : entry.toJSON(value);
+    return [entry.name, data];
+  },
+
+  /**
+   * Decodes a [name, data] pair back to an instance
+   *
+   * Without a registry no class is known, so this returns the data. The
+   * decoder uses `create` and `fill` with its registry instead.
+   *
+   * @param {Array} value - Pair of [name, data]
+   * @param {Array<string|number>} path - Path to this value in the object tree
+   * @param {Object} context - Decoding context (unused for classes)
+   * @returns {any} The decoded data
+   *
+   * @example
+   * decode(['Money', { amount: 5 }], ['price'], {})
+   * // Returns: { amount: 5 }
+   */
+  decode: (value, path, context) => createInstance(value),
+
+  /**
+   * Creates the instance, without its fields
+   *
+   * @param {Array} value - Decoded pair of [name, data]
+   * @param {Object} [registry] - Registry of the decoding call
+   * @param {boolean} [isPending=false] - Whether the data holds pointers or
+   *        onReceive results not placed yet
+   * @returns {any} The instance, filled by `fill` once pointers are resolved
+   * @throws {TypeError} If a `fromJSON` class gets data that is still pending
+   *
+   * @example
+   * create(['Money', { amount: 5 }], registry)
+   * // Returns: Money {}
+   */
+  create: createInstance,
+
+  /**
+   * Sets the decoded fields on the instance
+   *
+   * @param {any} instance - Value returned by `create`
+   * @param {Array} value - Decoded pair of [name, data]
+   * @param {Object} [registry] - Registry of the decoding call
+   * @returns {void} Modifies the instance in place
+   *
+   * @example
+   * fill(money, ['Money', { amount: 5, currency: 'EUR' }], registry)
+   * // money.amount === 5
+   */
+  fill: fillInstance,
+};
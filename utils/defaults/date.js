@@ -5,6 +5,11 @@
  * Dates are converted to Unix timestamps (milliseconds since epoch) for JSON-safe
  * transmission and restored to Date instances on decode.
  *
+ * With the encoder's `dateOffset` option, Dates are written instead as
+ * ISO 8601 strings in the local time of the encoding process, with its UTC
+ * offset (`'2024-01-01T01:00:00.000+01:00'`), so the sender's offset is
+ * kept on the wire. Both forms decode to the same instant.
+ *
  * @module utils/defaults/date
  * @see {@link module:utils/defaults} for the plugin registry
  *
@@ -20,6 +25,28 @@
  * // decoded = Date('2024-01-01T00:00:00.000Z')
  */
 
+/**
+ * Format a Date as ISO 8601 local time with its UTC offset
+ *
+ * @param {Date} date - A valid Date
+ * @returns {string} ISO string such as '2024-01-01T01:00:00.000+01:00'
+ * @private
+ *
+ * @example
+ * // With TZ=Europe/Paris
+ * toOffsetString(new Date('2024-01-01T00:00:00Z'))
+ * // '2024-01-01T01:00:00.000+01:00'
+ */
+function toOffsetString(date) {
+  const offset = -date.getTimezoneOffset();
+  const local = new Date(date.valueOf() + offset * 60000).toISOString();
+  const sign = 0 > offset ? "-" : "+";
+  const hours = String(Math.floor(Math.abs(offset) / 60)).padStart(2, "0");
+  const minutes = String(Math.abs(offset) % 60).padStart(2, "0");
+  // Replace the 'Z' of the shifted UTC string with the offset
+  return `${local.slice(0, -1)}${sign}${hours}:${minutes}`;
+}
+
 /**
  * @typedef {Object} DatePlugin
  * @property {string} tag - Single character identifier ('D')
@@ -62,24 +89,37 @@ module.exports = {
     Object.prototype.toString.call(value) === "[object Date]",
 
   /**
-   * Encodes a Date object to a Unix timestamp
+   * Encodes a Date object to a Unix timestamp, or an ISO string with offset
+   *
+   * An invalid Date is always encoded as its timestamp (NaN).
    *
    * @param {Array<string|number>} path - Path to this value in the object tree
    * @param {string|number} key - The property key or array index
    * @param {Date} value - The Date object to encode
-   * @param {Object} context - Encoding context (unused for Date)
-   * @returns {number} Unix timestamp in milliseconds
+   * @param {Object} context - Encode options; `context.dateOffset` selects
+   *        the ISO string form
+   * @returns {number|string} Unix timestamp in milliseconds, or ISO string
    *
    * @example
    * encode(['user'], 'created', new Date('2024-01-01'), {})
    * // Returns: 1704067200000
+   *
+   * @example
+   * // With TZ=Asia/Kolkata
+   * encode(['user'], 'created', new Date('2024-01-01'), { dateOffset: true })
+   * // Returns: '2024-01-01T05:30:00.000+05:30'
    */
-  encode: (path, key, value, context) => value.valueOf(),
+  encode: (path, key, value, context) => {
+    const time = value.valueOf();
+    const isOffset = Boolean(context.dateOffset) && !Number.isNaN(time);
+    return isOffset ? toOffsetString(value) : time;
+  },
 
   /**
-   * Decodes a Unix timestamp back to a Date object
+   * Decodes a Unix timestamp or ISO string back to a Date object
    *
-   * @param {number} value - Unix timestamp in milliseconds
+   * @param {number|string} value - Unix timestamp in milliseconds, or ISO
+   *        string with offset
    * @param {Array<string|number>} path - Path to this value in the object tree
    * @param {Object} context - Decoding context (unused for Date)
    * @returns {Date} Reconstructed Date object
@@ -87,6 +127,10 @@ module.exports = {
    * @example
    * decode(1704067200000, ['user', 'created'], {})
    * // Returns: Date('2024-01-01T00:00:00.000Z')
+   *
+   * @example
+   * decode('2024-01-01T05:30:00.000+05:30', ['user', 'created'], {})
+   * // Returns: Date('2024-01-01T00:00:00.000Z')
    */
   decode: (value, path, context) => new Date(value),
 };
@@ -1,10 +1,24 @@
 /**
- * @fileoverview Error Plugin - Preserves error type, message, and stack trace
+ * @fileoverview Error Plugin - Preserves error type, message, stack, cause and fields
  *
  * This plugin handles serialization and deserialization of JavaScript Error objects.
- * Errors are encoded as an array [name, message, stack] to preserve all information,
- * including the specific error type (TypeError, RangeError, etc.) and the full
- * stack trace for debugging.
+ * Errors are encoded as an array [name, message, stack] to preserve the specific
+ * error type (TypeError, RangeError, etc.) and the full stack trace for debugging.
+ *
+ * When the error has a `cause`, `errors` (AggregateError) or other own enumerable
+ * properties (Node's `code`/`errno`/`syscall`, an app's `statusCode`, ...), they
+ * are added as a fourth element `{ cause, errors, ...fields }`. The encoder walks
+ * that object like any other, so nested errors, dates or circular references keep
+ * their types. Three-element payloads decode as before.
+ *
+ * ## Error Classes
+ *
+ * Decoding never looks names up in the global scope. The standard error
+ * classes and DOMException form a safe list (`errorClasses`); a registry
+ * adds application classes registered with `registerError`. An error whose
+ * name is in neither is rebuilt as a plain Error carrying that name.
+ * Instances are created without running the class constructor, so classes
+ * with any constructor signature can be registered.
  *
  * @module utils/defaults/error
  * @see {@link module:utils/defaults} for the plugin registry
@@ -19,15 +33,188 @@
  * // Decoding
  * const decoded = plugin.decode(['TypeError', 'Invalid argument', 'stack...'], [], {});
  * // decoded = TypeError('Invalid argument') with preserved stack
+ *
+ * @example
+ * // Cause and custom fields
+ * const err = new Error('Request failed', { cause: new TypeError('bad') });
+ * err.statusCode = 502;
+ * plugin.encode([], 'err', err, {});
+ * // ['Error', 'Request failed', 'Error: ...', { cause: TypeError, statusCode: 502 }]
+ */
+
+/**
+ * Own properties carried by the first three elements
+ * @type {string[]}
+ * @private
+ */
+const BASE_FIELDS = ["name", "message", "stack"];
+
+/**
+ * Standard own properties that are not enumerable but are still encoded
+ * @type {string[]}
+ * @private
+ */
+const HIDDEN_FIELDS = ["cause", "errors"];
+
+/**
+ * Collect the properties of an error beyond name, message and stack
+ *
+ * @param {Error} error - The error to inspect
+ * @returns {Object} `cause` and `errors` when present, plus own enumerable fields
+ * @private
+ *
+ * @example
+ * const err = new Error('x', { cause: 'y' });
+ * err.code = 'E_X';
+ * extrasOf(err)  // { cause: 'y', code: 'E_X' }
+ */
+function extrasOf(error) {
+  const extras = {};
+  for (const field of HIDDEN_FIELDS) {
+    if (Object.prototype.hasOwnProperty.call(error, field)) {
+      extras[field] = error[field];
+    }
+  }
+  for (const field of Object.keys(error)) {
+    if (!BASE_FIELDS.includes(field)) {
+      extras[field] = error[field];
+    }
+  }
+  return extras;
+}
+
+/**
+ * Object.prototype.toString results of the values handled as errors
+ * @type {string[]}
+ * @private
+ */
+const TO_STRING_TYPES = ["[object Error]", "[object DOMException]"];
+
+/**
+ * Names of the error classes decoded without registration
+ * @type {string[]}
+ * @private
+ */
+const SAFE_ERROR_NAMES = [
+  "Error",
+  "EvalError",
+  "RangeError",
+  "ReferenceError",
+  "SyntaxError",
+  "TypeError",
+  "URIError",
+  "AggregateError",
+  "DOMException",
+];
+
+/**
+ * Safe list of error classes available in this runtime, by name
+ * @type {Map<string, function>}
+ * @private
+ */
+const errorClasses = new Map(
+  SAFE_ERROR_NAMES.filter((name) => "function" === typeof globalThis[name]).map(
+    (name) => [name, globalThis[name]],
+  ),
+);
+
+/**
+ * Create an error from the name, message and stack of its encoding
+ *
+ * The class is looked up by name in the registry, or in the safe list when
+ * no registry is given. The instance is created with the class prototype
+ * without calling its constructor, so `instanceof` works whatever arguments
+ * the constructor expects. A DOMException is constructed with its name
+ * (from the extras) so its `code` matches. Unknown names give a generic
+ * Error with a custom name property.
+ *
+ * @param {Array} value - Encoded error: [name, message, stack, extras?]
+ * @param {Object} [registry] - Registry resolving error names (see `getErrorClass`)
+ * @returns {Error} Error with type, message and stack, without the extras
+ * @private
+ *
+ * @example
+ * createError(['RangeError', 'Out of bounds', 'stack...'])
+ * // Returns: RangeError('Out of bounds')
+ *
+ * @example
+ * createError(['ValidationError', 'Bad email', 'stack...'], registry)
+ * // Returns: ValidationError if registered, otherwise Error with that name
  */
+function createError(value, registry) {
+  const isValid =
+    Array.isArray(value) &&
+    3 <= value.length &&
+    4 >= value.length &&
+    "string" === typeof value[0] &&
+    (undefined === value[3] ||
+      (null !== value[3] &&
+        "object" === typeof value[3] &&
+        !Array.isArray(value[3])));
+  if (!isValid) {
+    throw new TypeError(
+      "Invalid error: expected [name, message, stack, extras?]",
+    );
+  }
+  const [name, message, stack, extras] = value;
+  const ErrorClass = registry
+    ? registry.getErrorClass(name)
+    : errorClasses.get(name);
+
+  // DOMException derives its code from the name passed to the constructor
+  const err = !ErrorClass
+    ? new Error(message)
+    : "DOMException" === name
+      ? new ErrorClass(message, (extras || {}).name)
+      : Reflect.construct(Error, [message], ErrorClass);
+  if (err.name !== name && "DOMException" !== name) {
+    err.name = name;
+  }
+  err.stack = stack;
+  return err;
+}
+
+/**
+ * Set the decoded extras of an encoded error on the error
+ *
+ * `cause` and `errors` are defined non-enumerable like the native
+ * properties; other fields are enumerable. A `name` among the extras (sent
+ * for a DOMException) was already used by createError and is skipped.
+ *
+ * @param {Error} err - Error returned by createError
+ * @param {Array} value - Decoded error: [name, message, stack, extras?]
+ * @returns {void} Modifies the error in place
+ * @private
+ *
+ * @example
+ * fillError(err, ['Error', 'x', 'stack...', { code: 'E_X' }])
+ * // err.code === 'E_X'
+ */
+function fillError(err, value) {
+  const fields = Object.entries(value[3] || {}).filter(
+    ([field]) => !BASE_FIELDS.includes(field),
+  );
+  for (const [field, fieldValue] of fields) {
+    Object.defineProperty(err, field, {
+      value: fieldValue,
+      writable: true,
+      enumerable: !HIDDEN_FIELDS.includes(field),
+      configurable: true,
+    });
+  }
+}
 
 /**
  * @typedef {Object} ErrorPlugin
  * @property {string} tag - Single character identifier ('E')
- * @property {string} toStringType - Object.prototype.toString result for Error
+ * @property {string[]} toStringType - Object.prototype.toString results for errors
+ * @property {boolean} container - Indicates extras are encoded by the encoder
  * @property {function} check - Type detection function
  * @property {function} encode - Serialization function
  * @property {function} decode - Deserialization function
+ * @property {function} create - Creates the error without its extras
+ * @property {function} fill - Sets decoded extras on the error
+ * @property {Map<string, function>} errorClasses - Safe list of error classes by name
  */
 
 /**
@@ -42,18 +229,31 @@ module.exports = {
   tag: "E",
 
   /**
-   * Result of Object.prototype.toString.call() for Error objects
+   * Results of Object.prototype.toString.call() for Error objects
    * Used for fast type detection during encoding
-   * @type {string}
+   * @type {string[]}
+   */
+  toStringType: TO_STRING_TYPES,
+
+  /**
+   * Indicates the encoded value is walked by the encoder
+   *
+   * The array returned by `encode` is not final: the encoder processes
+   * its elements, so a `cause`, the `errors` of an AggregateError and
+   * custom fields are tagged, turned into pointers or handled by plugins.
+   * The decoder creates the error first and sets the extras once circular
+   * reference pointers among them are resolved.
+   *
+   * @type {boolean}
    */
-  toStringType: "[object Error]",
+  container: true,
 
   /**
    * Determines if this plugin should handle the given value
    *
    * @param {string|number} key - The property key or array index
    * @param {*} value - The value to check
-   * @returns {boolean} True if value is an Error object
+   * @returns {boolean} True if value is an Error object or a DOMException
    *
    * @example
    * check('error', new Error('test'))     // true
@@ -61,32 +261,61 @@ module.exports = {
    * check('error', { message: 'test' })   // false
    */
   check: (key, value) =>
-    Object.prototype.toString.call(value) === "[object Error]",
+    TO_STRING_TYPES.includes(Object.prototype.toString.call(value)),
 
   /**
-   * Encodes an Error object to an array of [name, message, stack]
+   * Encodes an Error object to an array of [name, message, stack, extras?]
+   *
+   * The fourth element is only present when the error has a `cause`,
+   * `errors` or own enumerable properties. A DOMException is sent under
+   * the name 'DOMException', with its own name (e.g. 'AbortError') in the
+   * extras.
    *
    * @param {Array<string|number>} path - Path to this value in the object tree
    * @param {string|number} key - The property key or array index
    * @param {Error} value - The Error object to encode
    * @param {Object} context - Encoding context (unused for Error)
-   * @returns {Array<string>} Tuple of [name, message, stack]
+   * @returns {Array} Tuple of [name, message, stack] or [name, message, stack, extras]
    *
    * @example
    * const err = new TypeError('Invalid input');
    * encode(['response'], 'error', err, {})
    * // Returns: ['TypeError', 'Invalid input', 'TypeError: Invalid input\n    at ...']
+   *
+   * @example
+   * const err = new AggregateError([new Error('a')], 'All failed');
+   * encode(['response'], 'error', err, {})
+   * // Returns: ['AggregateError', 'All failed', '...', { errors: [Error] }]
+   *
+   * @example
+   * const err = new DOMException('Aborted', 'AbortError');
+   * encode(['response'], 'error', err, {})
+   * // Returns: ['DOMException', 'Aborted', '...', { name: 'AbortError' }]
    */
-  encode: (path, key, value, context) => [value.name, value.message, value.stack],
+  encode: (path, key, value, context) => {
+    const isDOMException =
+      "[object DOMException]" === Object.prototype.toString.call(value);
+    const encoded = [
+      isDOMException ? "DOMException" : value.name,
+      value.message,
+      value.stack,
+    ];
+    const extras = isDOMException
+      ? { name: value.name, ...extrasOf(value) }
+      : extrasOf(value);
+    if (0 < Object.keys(extras).length) {
+      encoded.push(extras);
+    }
+    return encoded;
+  },
 
   /**
    * Decodes an error tuple back to an Error object
    *
-   * Attempts to reconstruct the original error type (TypeError, RangeError, etc.)
-   * by looking up the constructor in the global scope. Falls back to a generic
-   * Error with a custom name property if the specific type is not available.
+   * Rebuilds the error type from the safe list (see `create`), then sets
+   * the extras (`cause`, `errors`, custom fields) if present.
    *
-   * @param {Array<string>} value - Tuple of [name, message, stack]
+   * @param {Array} value - Tuple of [name, message, stack] or [name, message, stack, extras]
    * @param {Array<string|number>} path - Path to this value in the object tree
    * @param {Object} context - Decoding context (unused for Error)
    * @returns {Error} Reconstructed Error object with preserved type and stack
@@ -96,27 +325,55 @@ module.exports = {
    * // Returns: TypeError with message 'Invalid input' and preserved stack
    *
    * @example
-   * // Custom error types fall back to Error with custom name
+   * // Error types outside the safe list fall back to Error with custom name
    * decode(['CustomError', 'Something failed', 'stack...'], [], {})
    * // Returns: Error with name='CustomError', message='Something failed'
    */
   decode: (value, path, context) => {
-    const [name, message, stack] = value;
-    let err;
-    try {
-      // Try to create the specific error type (TypeError, RangeError, etc.)
-      err = new global[name](message);
-      if (err instanceof Error) {
-        err.stack = stack;
-      } else {
-        throw {}; // Force fallback if not a real Error
-      }
-    } catch (e) {
-      // Fallback to generic Error with custom name
-      err = new Error(message);
-      err.name = name;
-      err.stack = stack;
-    }
+    const err = createError(value);
+    fillError(err, value);
     return err;
   },
+
+  /**
+   * Creates the error from the decoded tuple, without its extras
+   *
+   * Reconstructs the original error type (TypeError, AggregateError, a
+   * registered application class, etc.) from the classes known to the
+   * registry, so `instanceof` works. Falls back to a generic Error with a
+   * custom name property if the name is not known.
+   *
+   * @param {Array} value - Decoded tuple of [name, message, stack, extras?]
+   * @param {Object} [registry] - Registry of the decoding call; the safe list
+   *        alone is used when omitted
+   * @returns {Error} The error, filled by `fill` once pointers are resolved
+   *
+   * @example
+   * create(['TypeError', 'Invalid input', 'stack...'], registry)
+   * // Returns: TypeError('Invalid input')
+   */
+  create: createError,
+
+  /**
+   * Sets the decoded extras of the tuple on the error
+   *
+   * @param {Error} err - Error returned by `create`
+   * @param {Array} value - Decoded tuple of [name, message, stack, extras?]
+   * @returns {void} Modifies the error in place
+   *
+   * @example
+   * fill(err, ['Error', 'failed', 'stack...', { statusCode: 502 }])
+   * // err.statusCode === 502
+   */
+  fill: fillError,
+
+  /**
+   * Error classes decoded without registration, by name
+   *
+   * The standard ECMAScript error classes and DOMException, when the
+   * runtime provides them. Registries consult it after their own classes.
+   *
+   * @type {Map<string, function>}
+   */
+  errorClasses,
 };
@@ -0,0 +1,232 @@
+/**
+ * @fileoverview Fidelity Plugin - Keeps the prototype and integrity of objects
+ *
+ * Plain objects and arrays are rebuilt as `{}` and `[]` literals, so a
+ * dictionary made with `Object.create(null)` comes back with
+ * `Object.prototype`, and frozen or sealed objects come back mutable.
+ * With the encoder's `fidelity` option, such objects are encoded as
+ * `[flags, copy]`, where `copy` holds their properties and `flags` is a
+ * string of:
+ *
+ * - `n` - null prototype
+ * - `f` - frozen, `s` - sealed, or `x` - not extensible (the strongest
+ *   state that applies)
+ *
+ * ```javascript
+ * Object.freeze(Object.assign(Object.create(null), { a: 1 }))
+ * // { "dict<!F>": ["nf", { "a": 1 }] }
+ * ```
+ *
+ * A frozen or sealed sparse array is tagged `F` too: its copy keeps the
+ * holes and is tagged `H` in turn (`F[,H]`). Other built-in types are
+ * handled by their own plugin and do not keep their integrity level.
+ *
+ * The decoder always honours the tag. The prototype is set when the
+ * object is created, and the integrity level is applied after pointers
+ * are resolved and the properties set, so frozen objects may take part in
+ * cycles.
+ *
+ * @module utils/defaults/fidelity
+ * @see {@link module:utils/defaults} for the plugin registry
+ *
+ * @example
+ * // Encoding
+ * const encoded = plugin.encode([], 'config', Object.freeze({ a: 1 }), {});
+ * // encoded = ['f', { a: 1 }]
+ *
+ * @example
+ * // Decoding
+ * const decoded = plugin.decode(['f', { a: 1 }], [], {});
+ * // decoded = { a: 1 }, Object.isFrozen(decoded) === true
+ */
+
+/**
+ * Valid flag strings: optional null prototype, then the integrity level
+ * @type {RegExp}
+ * @private
+ */
+const FLAGS = /^n?[fsx]?$/;
+
+/**
+ * Create the object or array for an encoded `[flags, data]` pair
+ *
+ * @param {Array} value - Decoded pair of [flags, data]
+ * @returns {Object|Array} Empty object (with a null prototype for `n`) or
+ *          empty array, without the integrity level
+ * @throws {TypeError} If the flags or the data are invalid
+ * @private
+ *
+ * @example
+ * createObject(['nf', { a: 1 }])  // [Object: null prototype] {}
+ */
+function createObject(value) {
+  const [flags, data] = Array.isArray(value) ? value : [];
+  const isValid =
+    "string" === typeof flags &&
+    FLAGS.test(flags) &&
+    null !== data &&
+    "object" === typeof data;
+  if (!isValid) {
+    throw new TypeError(`Invalid object state '${flags}'`);
+  }
+  if (Array.isArray(data)) {
+    return [];
+  }
+  return flags.includes("n") ? Object.create(null) : {};
+}
+
+/**
+ * Copy the decoded properties to the object, then apply its integrity level
+ *
+ * @param {Object|Array} target - Object from createObject
+ * @param {Array} value - Decoded pair of [flags, data]
+ * @returns {void} Modifies the target in place
+ * @private
+ *
+ * @example
+ * fillObject(target, ['f', { a: 1 }])  // target is { a: 1 }, frozen
+ */
+function fillObject(target, value) {
+  const [flags, data] = value;
+  Object.defineProperties(target, Object.getOwnPropertyDescriptors(data));
+  if (flags.includes("f")) {
+    Object.freeze(target);
+  } else if (flags.includes("s")) {
+    Object.seal(target);
+  } else if (flags.includes("x")) {
+    Object.preventExtensions(target);
+  }
+}
+
+/**
+ * @typedef {Object} FidelityPlugin
+ * @property {string} tag - Single character identifier ('F')
+ * @property {boolean} container - Indicates properties are encoded by the encoder
+ * @property {function} check - Type detection function
+ * @property {function} encode - Serialization function
+ * @property {function} decode - Deserialization function
+ * @property {function} create - Creates the object with its prototype
+ * @property {function} fill - Sets decoded properties and the integrity level
+ */
+
+/**
+ * Fidelity plugin configuration
+ * @type {FidelityPlugin}
+ */
+module.exports = {
+  /**
+   * Single character tag identifier
+   *
+   * 'F' stands for "Fidelity".
+   *
+   * @type {string}
+   */
+  tag: "F",
+
+  /**
+   * Indicates the encoded value is walked by the encoder
+   *
+   * The copy in the `[flags, copy]` pair is walked like any object or
+   * array, so pointer paths into the object go through the pair, e.g.
+   * `['config', 1, 'db']` for `config.db`.
+   *
+   * @type {boolean}
+   */
+  container: true,
+
+  /**
+   * Determines if this plugin should handle the given value
+   *
+   * Has no `toStringType`: the encoder only asks it, with the `fidelity`
+   * option, about objects and arrays no other plugin handles, and about
+   * sparse arrays.
+   *
+   * @param {string|number} key - The property key or array index
+   * @param {*} value - The value to check
+   * @returns {boolean} True if value has a null prototype or is not extensible
+   *
+   * @example
+   * check('dict', Object.create(null))    // true
+   * check('config', Object.seal({}))      // true
+   * check('config', {})                   // false
+   */
+  check: (key, value) =>
+    null !== value &&
+    "object" === typeof value &&
+    (null === Object.getPrototypeOf(value) || !Object.isExtensible(value)),
+
+  /**
+   * Encodes an object as its flags and a copy of its properties
+   *
+   * @param {Array<string|number>} path - Path to this value in the object tree
+   * @param {string|number} key - The property key or array index
+   * @param {Object|Array} value - The object to encode
+   * @param {Object} context - Encoding context (unused for fidelity)
+   * @returns {Array} Pair of [flags, copy]
+   *
+   * @example
+   * encode(['data'], 'dict', Object.create(null), {})
+   * // Returns: ['n', {}]
+   *
+   * @example
+   * encode(['data'], 'list', Object.seal([1, 2]), {})
+   * // Returns: ['s', [1, 2]]
+   */
+  encode: (path, key, value, context) => {
+    const prototype = null === Object.getPrototypeOf(value) ? "n" : "";
+    const integrity = Object.isFrozen(value)
+      ? "f"
+      : Object.isSealed(value)
+        ? "s"
+        : Object.isExtensible(value)
+          ? ""
+          : "x";
+    const copy = Array.isArray(value) ? value.slice() : { ...value };
+    return [prototype + integrity, copy];
+  },
+
+  /**
+   * Decodes a [flags, data] pair back to an object with that state
+   *
+   * @param {Array} value - Pair of [flags, data]
+   * @param {Array<string|number>} path - Path to this value in the object tree
+   * @param {Object} context - Decoding context (unused for fidelity)
+   * @returns {Object|Array} The object, with its prototype and integrity level
+   * @throws {TypeError} If the flags or the data are invalid
+   *
+   * @example
+   * decode(['nf', { a: 1 }], ['dict'], {})
+   * // Returns: frozen [Object: null prototype] { a: 1 }
+   */
+  decode: (value, path, context) => {
+    const target = createObject(value);
+    fillObject(target, value);
+    return target;
+  },
+
+  /**
+   * Creates the object with its prototype, without its properties
+   *
+   * @param {Array} value - Decoded pair of [flags, data]
+   * @returns {Object|Array} The object, filled by `fill` once pointers are resolved
+   * @throws {TypeError} If the flags or the data are invalid
+   *
+   * @example
+   * create(['n', {}])
+   * // Returns: [Object: null prototype] {}
+   */
+  create: (value) => createObject(value),
+
+  /**
+   * Sets the decoded properties, then freezes, seals or prevents extensions
+   *
+   * @param {Object|Array} target - Object returned by `create`
+   * @param {Array} value - Decoded pair of [flags, data]
+   * @returns {void} Modifies the object in place
+   *
+   * @example
+   * fill(target, ['s', { a: 1 }])
+   * // target is { a: 1 }, sealed
+   */
+  fill: (target, value) => fillObject(target, value),
+};
@@ -9,14 +9,24 @@
  *
  * | Tag | Type      | Description                              |
  * |-----|-----------|------------------------------------------|
- * | D   | Date      | Unix timestamp (milliseconds)            |
+ * | D   | Date      | Unix timestamp (ms) or ISO with offset   |
  * | R   | RegExp    | String pattern (/pattern/flags)          |
- * | E   | Error     | Array [name, message, stack]             |
+ * | E   | Error     | Array [name, message, stack, extras?]    |
  * | U   | undefined | null (with tag to distinguish from null) |
  * | M   | Map       | Plain object from entries                |
  * | S   | Set       | Array of values                          |
  * | P   | Pointer   | Path array for circular references       |
- * | I   | Binary    | Base64 string (decode-only)              |
+ * | I   | Binary    | [kind, base64] (or bare base64 string)   |
+ * | B   | BigInt    | Decimal string                           |
+ * | N   | Number    | 'NaN', 'Infinity', '-Infinity' or '-0'   |
+ * | H   | Sparse    | Present elements by index, plus length   |
+ * | Y   | Symbol    | ['for', key] or ['wellKnown', name]      |
+ * | C   | Class     | [name, data] of a registered class       |
+ * | F   | Fidelity  | [flags, copy] of a null-prototype or     |
+ * |     |           | non-extensible object (opt-in)           |
+ * | T   | Temporal  | [kind, isoString]                        |
+ * | W   | Web       | URL/URLSearchParams string, Headers list |
+ * | O   | Wrapper   | [kind, primitive]                        |
  *
  * @module utils/defaults
  * @see {@link module:utils/defaults/date} Date plugin
@@ -27,6 +37,15 @@
  * @see {@link module:utils/defaults/set} Set plugin
  * @see {@link module:utils/defaults/pointer} Pointer plugin
  * @see {@link module:utils/defaults/binary} Binary plugin
+ * @see {@link module:utils/defaults/bigint} BigInt plugin
+ * @see {@link module:utils/defaults/number} Special number plugin
+ * @see {@link module:utils/defaults/sparse} Sparse array plugin
+ * @see {@link module:utils/defaults/symbol} Symbol plugin
+ * @see {@link module:utils/defaults/class} Class instance plugin
+ * @see {@link module:utils/defaults/fidelity} Object state plugin
+ * @see {@link module:utils/defaults/temporal} Temporal plugin
+ * @see {@link module:utils/defaults/url} URL, URLSearchParams and Headers plugin
+ * @see {@link module:utils/defaults/boxed} Boxed primitive plugin
  *
  * @example
  * const { getBuiltIn, getTagByToString } = require('./defaults');
@@ -47,6 +66,15 @@ const map = require("./map");
 const set = require("./set");
 const pointer = require("./pointer");
 const binary = require("./binary");
+const bigint = require("./bigint");
+const number = require("./number");
+const sparse = require("./sparse");
+const symbol = require("./symbol");
+const classPlugin = require("./class");
+const fidelity = require("./fidelity");
+const temporal = require("./temporal");
+const url = require("./url");
+const boxed = require("./boxed");
 
 /**
  * All built-in plugins indexed by their single-character tag
@@ -65,13 +93,42 @@ const builtInPlugins = new Map([
   ["S", set],
   ["P", pointer],
   ["I", binary],
+  ["B", bigint],
+  ["N", number],
+  ["H", sparse],
+  ["Y", symbol],
+  ["C", classPlugin],
+  ["F", fidelity],
+  ["T", temporal],
+  ["W", url],
+  ["O", boxed],
 ]);
 
+/**
+ * Get the toString types a plugin handles
+ *
+ * `toStringType` is a single string for most plugins, a list for plugins
+ * covering several types (e.g. binary), or absent.
+ *
+ * @param {Object} plugin - Built-in plugin
+ * @returns {string[]} The plugin's toString types
+ * @private
+ *
+ * @example
+ * toStringTypesOf(getBuiltIn('D'))  // ['[object Date]']
+ * toStringTypesOf(getBuiltIn('P'))  // []
+ */
+function toStringTypesOf(plugin) {
+  return [].concat(plugin.toStringType || []);
+}
+
 /**
  * Lookup table mapping Object.prototype.toString results to tags
  *
  * Used for fast type detection during encoding. Only types with
- * a toStringType property are included.
+ * a toStringType property are included. When several plugins share a
+ * toString result, the first registered one is listed here; see
+ * `toStringTagsLookup` for all of them.
  *
  * @type {Object.<string, string>}
  * @example
@@ -80,11 +137,31 @@ const builtInPlugins = new Map([
  * toStringTagLookup['[object Map]']    // 'M'
  */
 const toStringTagLookup = {};
-for (const [tag, plugin] of builtInPlugins) {
-  if (plugin.toStringType) {
-    toStringTagLookup[plugin.toStringType] = tag;
+
+/**
+ * Lookup table mapping Object.prototype.toString results to every tag
+ * registered for them, in registration order
+ *
+ * A plugin may handle only some values of its toString type (e.g. the
+ * special number plugin), so the encoder asks each candidate's `check`.
+ *
+ * @type {Object.<string, string[]>}
+ * @example
+ * toStringTagsLookup['[object Number]'] // ['N', 'O']
+ */
+const toStringTagsLookup = {};
+
+for (const [, plugin] of builtInPlugins) {
+  const toStringTypes = toStringTypesOf(plugin);
+  for (const toStringType of toStringTypes) {
+    toStringTagsLookup[toStringType] = Array.from(builtInPlugins.keys()).filter(
+      (tag) => toStringTypesOf(getBuiltIn(tag)).includes(toStringType),
+    );
   }
 }
+for (const [toStringType, tags] of Object.entries(toStringTagsLookup)) {
+  toStringTagLookup[toStringType] = tags[0];
+}
 
 /**
  * Array of all built-in tag characters
@@ -93,7 +170,7 @@ for (const [tag, plugin] of builtInPlugins) {
  *
  * @type {string[]}
  * @example
- * builtInTags // ['D', 'R', 'E', 'U', 'M', 'S', 'P', 'I']
+ * builtInTags // ['D', 'R', 'E', 'U', 'M', 'S', 'P', 'I', 'B', 'N', 'H', 'Y', 'C', 'F', 'T', 'W', 'O']
  */
 const builtInTags = Array.from(builtInPlugins.keys());
 
@@ -128,12 +205,28 @@ function getBuiltIn(tag) {
  * const tag = getTagByToString('[object Date]'); // 'D'
  *
  * @example
- * const tag = getTagByToString('[object Array]'); // undefined (not a special type)
+ * const tag = getTagByToString('[object Object]'); // undefined (not a special type)
  */
 function getTagByToString(toStringResult) {
   return toStringTagLookup[toStringResult];
 }
 
+/**
+ * Get every tag registered for an Object.prototype.toString result
+ *
+ * @param {string} toStringResult - Result of Object.prototype.toString.call(value)
+ * @returns {string[]} Candidate tags in registration order (empty if none)
+ *
+ * @example
+ * getTagsByToString('[object Number]'); // ['N', 'O']
+ *
+ * @example
+ * getTagsByToString('[object Object]'); // []
+ */
+function getTagsByToString(toStringResult) {
+  return toStringTagsLookup[toStringResult] || [];
+}
+
 module.exports = {
   /**
    * Map of all built-in plugins indexed by tag
@@ -159,9 +252,21 @@ module.exports = {
    */
   getTagByToString,
 
+  /**
+   * Get all candidate tags by Object.prototype.toString result
+   * @type {function(string): string[]}
+   */
+  getTagsByToString,
+
   /**
    * Lookup table of toString results to tags
    * @type {Object.<string, string>}
    */
   toStringTagLookup,
+
+  /**
+   * Lookup table of toString results to all candidate tags
+   * @type {Object.<string, string[]>}
+   */
+  toStringTagsLookup,
 };
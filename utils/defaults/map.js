@@ -1,12 +1,14 @@
 /**
- * @fileoverview Map Plugin - Converts Map objects to/from plain objects
+ * @fileoverview Map Plugin - Converts Map objects to/from plain objects or entry lists
  *
  * This plugin handles serialization and deserialization of JavaScript Map objects.
- * Maps are converted to plain objects using Object.fromEntries() for JSON-safe
- * transmission and restored to Map instances using Object.entries() on decode.
- *
- * Note: This encoding only supports string keys. Maps with non-string keys
- * will have their keys converted to strings.
+ * Maps whose keys are all strings are converted to plain objects using
+ * Object.fromEntries() for compact transmission. Maps with any other key
+ * (numbers, booleans, null, Dates, objects) are converted to a list of
+ * `[key, value]` entries instead, so keys keep their type and identity:
+ * the encoder tags them and turns shared key objects into pointers. So are
+ * Maps with an integer-like string key (`'1'`), which an object would move
+ * ahead of the other keys, losing the Map's insertion order.
  *
  * @module utils/defaults/map
  * @see {@link module:utils/defaults} for the plugin registry
@@ -21,15 +23,73 @@
  * // Decoding
  * const decoded = plugin.decode({ name: 'Alice', age: 30 }, [], {});
  * // decoded = Map { 'name' => 'Alice', 'age' => 30 }
+ *
+ * @example
+ * // Non-string keys use an entry list
+ * const encoded = plugin.encode([], 'data', new Map([[1, 'one']]), {});
+ * // encoded = [[1, 'one']]
+ */
+
+/**
+ * Get the entries of an encoded Map, in either encoding
+ *
+ * @param {Object|Array} value - Plain object or list of `[key, value]` entries
+ * @returns {Array<[any, any]>} The Map entries
+ * @throws {TypeError} If value is neither an object nor a list of pairs
+ * @private
+ *
+ * @example
+ * entriesOf({ a: 1 })    // [['a', 1]]
+ * entriesOf([[1, 'a']])  // [[1, 'a']]
+ */
+function entriesOf(value) {
+  const isValid = Array.isArray(value)
+    ? value.every((entry) => Array.isArray(entry) && 2 === entry.length)
+    : null !== value && "object" === typeof value;
+  if (!isValid) {
+    throw new TypeError(
+      "Map entries must be an object or a list of [key, value] pairs",
+    );
+  }
+  return Array.isArray(value) ? value : Object.entries(value);
+}
+
+/**
+ * Check whether a Map key would be reordered as an object property
+ *
+ * Objects list canonical array index keys (`'0'` to `'4294967294'`) first,
+ * in ascending order, before other string keys in insertion order.
+ *
+ * @param {any} mapKey - Map key
+ * @returns {boolean} True if mapKey is a string holding an array index
+ * @private
+ *
+ * @example
+ * isIndexKey('1')   // true
+ * isIndexKey('01')  // false
+ * isIndexKey(1)     // false
  */
+function isIndexKey(mapKey) {
+  const index = Number(mapKey);
+  return (
+    "string" === typeof mapKey &&
+    String(index) === mapKey &&
+    Number.isInteger(index) &&
+    0 <= index &&
+    index < 2 ** 32 - 1
+  );
+}
 
 /**
  * @typedef {Object} MapPlugin
  * @property {string} tag - Single character identifier ('M')
  * @property {string} toStringType - Object.prototype.toString result for Map
+ * @property {boolean} container - Indicates members are encoded by the encoder
  * @property {function} check - Type detection function
  * @property {function} encode - Serialization function
  * @property {function} decode - Deserialization function
+ * @property {function} create - Creates an empty collection
+ * @property {function} fill - Adds decoded members to a collection
  */
 
 /**
@@ -50,6 +110,20 @@ module.exports = {
    */
   toStringType: "[object Map]",
 
+  /**
+   * Indicates the encoded value is walked by the encoder
+   *
+   * The object returned by `encode` is not final: the encoder processes
+   * its values like object properties, so they are tagged, turned into
+   * pointers or handled by plugins (e.g. `{ "at<!D>": 1704067200000 }`),
+   * and the decoder restores the values before calling `fill`. Entry
+   * lists are walked like arrays, so keys are tagged too and the array
+   * tag follows the Map tag (e.g. `M[*[D,]]` for Date keys).
+   *
+   * @type {boolean}
+   */
+  container: true,
+
   /**
    * Determines if this plugin should handle the given value
    *
@@ -66,38 +140,97 @@ module.exports = {
     Object.prototype.toString.call(value) === "[object Map]",
 
   /**
-   * Encodes a Map object to a plain object
+   * Encodes a Map object to a plain object or an entry list
    *
-   * Uses Object.fromEntries() to convert Map entries to object properties.
-   * Note that Map keys will be converted to strings in this process.
+   * Uses Object.fromEntries() to convert Map entries to object properties
+   * when every key is a string. Otherwise returns the `[key, value]`
+   * entries, since object properties would turn the keys into strings. A
+   * string key holding an array index also uses the entries, since object
+   * properties would move it ahead of the other keys.
    *
    * @param {Array<string|number>} path - Path to this value in the object tree
    * @param {string|number} key - The property key or array index
    * @param {Map} value - The Map object to encode
    * @param {Object} context - Encoding context (unused for Map)
-   * @returns {Object} Plain object representation of the Map
+   * @returns {Object|Array} Plain object or entry list representing the Map
    *
    * @example
    * const map = new Map([['a', 1], ['b', 2]]);
    * encode(['user'], 'settings', map, {})
    * // Returns: { a: 1, b: 2 }
+   *
+   * @example
+   * encode(['cache'], 'byId', new Map([[42, 'x'], [true, 'y']]), {})
+   * // Returns: [[42, 'x'], [true, 'y']]
+   *
+   * @example
+   * encode(['cache'], 'byId', new Map([['b', 1], ['1', 2]]), {})
+   * // Returns: [['b', 1], ['1', 2]]
    */
-  encode: (path, key, value, context) => Object.fromEntries(value),
+  encode: (path, key, value, context) => {
+    const isListed = Array.from(value.keys()).some(
+      (mapKey) => "string" !== typeof mapKey || isIndexKey(mapKey),
+    );
+    return isListed ? Array.from(value) : Object.fromEntries(value);
+  },
 
   /**
-   * Decodes a plain object back to a Map
+   * Decodes a plain object or entry list back to a Map
    *
-   * Uses Object.entries() to extract key-value pairs from the object
-   * and constructs a new Map from them.
+   * Uses Object.entries() to extract key-value pairs from an object, or
+   * takes the entries as-is from an entry list, and constructs a new Map.
    *
-   * @param {Object} value - Plain object to convert to Map
+   * @param {Object|Array} value - Plain object or entry list to convert to Map
    * @param {Array<string|number>} path - Path to this value in the object tree
    * @param {Object} context - Decoding context (unused for Map)
    * @returns {Map} Reconstructed Map object
+   * @throws {TypeError} If value is neither an object nor a list of pairs
    *
    * @example
    * decode({ a: 1, b: 2 }, ['user', 'settings'], {})
    * // Returns: Map { 'a' => 1, 'b' => 2 }
+   *
+   * @example
+   * decode([[1, 'a']], ['cache'], {})
+   * // Returns: Map { 1 => 'a' }
+   */
+  decode: (value, path, context) => new Map(entriesOf(value)),
+
+  /**
+   * Creates an empty Map
+   *
+   * Used by the decoder, which fills the Map once circular reference
+   * pointers among its members are resolved.
+   *
+   * @param {Object|Array} value - Decoded contents, checked to be an object
+   *        or a list of pairs
+   * @returns {Map} New empty Map
+   * @throws {TypeError} If value is neither an object nor a list of pairs
+   *
+   * @example
+   * create({ a: 1 })
+   * // Returns: Map {}
+   */
+  create: (value) => {
+    entriesOf(value);
+    return new Map();
+  },
+
+  /**
+   * Adds decoded members to a Map
+   *
+   * @param {Map} map - The Map to fill
+   * @param {Object|Array} value - Decoded contents, as returned by `encode`
+   * @returns {void} Modifies the Map in place
+   *
+   * @example
+   * fill(map, { a: 1, b: 2 })
+   * // map is now Map { 'a' => 1, 'b' => 2 }
    */
-  decode: (value, path, context) => new Map(Object.entries(value)),
+  fill: (map, value) => {
+    const entries = entriesOf(value);
+    for (const [k, v] of entries) {
+      map.set(k, v);
+    }
+  },
 };
@@ -0,0 +1,97 @@
+/**
+ * @fileoverview Special Number Plugin - Preserves NaN, Infinity, -Infinity and -0
+ *
+ * This plugin handles serialization and deserialization of the number values
+ * JSON cannot represent. `JSON.stringify` writes `NaN` and `±Infinity` as
+ * `null`, and `-0` as `0`. These values are encoded as strings instead
+ * and restored with `Number()` on decode. Finite numbers other than `-0`
+ * are left to plain JSON.
+ *
+ * @module utils/defaults/number
+ * @see {@link module:utils/defaults} for the plugin registry
+ *
+ * @example
+ * // Encoding
+ * const encoded = plugin.encode([], 'ratio', NaN, {});
+ * // encoded = 'NaN'
+ *
+ * @example
+ * // Decoding
+ * const decoded = plugin.decode('-0', [], {});
+ * // Object.is(decoded, -0) === true
+ */
+
+/**
+ * @typedef {Object} NumberPlugin
+ * @property {string} tag - Single character identifier ('N')
+ * @property {string} toStringType - Object.prototype.toString result for numbers
+ * @property {function} check - Type detection function
+ * @property {function} encode - Serialization function
+ * @property {function} decode - Deserialization function
+ */
+
+/**
+ * Special number plugin configuration
+ * @type {NumberPlugin}
+ */
+module.exports = {
+  /**
+   * Single character tag identifier
+   * @type {string}
+   */
+  tag: "N",
+
+  /**
+   * Result of Object.prototype.toString.call() for numbers
+   * Shared by every number, so `check` narrows it to the special values
+   * @type {string}
+   */
+  toStringType: "[object Number]",
+
+  /**
+   * Determines if this plugin should handle the given value
+   *
+   * @param {string|number} key - The property key or array index
+   * @param {*} value - The value to check
+   * @returns {boolean} True if value is NaN, Infinity, -Infinity or -0
+   *
+   * @example
+   * check('n', NaN)        // true
+   * check('n', -0)         // true
+   * check('n', 0)          // false
+   * check('n', 1.5)        // false
+   */
+  check: (key, value) =>
+    "number" === typeof value &&
+    (!Number.isFinite(value) || Object.is(value, -0)),
+
+  /**
+   * Encodes a special number as a string
+   *
+   * @param {Array<string|number>} path - Path to this value in the object tree
+   * @param {string|number} key - The property key or array index
+   * @param {number} value - NaN, Infinity, -Infinity or -0
+   * @param {Object} context - Encoding context (unused for numbers)
+   * @returns {string} 'NaN', 'Infinity', '-Infinity' or '-0'
+   *
+   * @example
+   * encode(['stats'], 'min', -Infinity, {})
+   * // Returns: '-Infinity'
+   */
+  encode: (path, key, value, context) =>
+    Object.is(value, -0) ? "-0" : String(value),
+
+  /**
+   * Decodes a special number from its string form
+   *
+   * @param {string} value - 'NaN', 'Infinity', '-Infinity' or '-0'
+   * @param {Array<string|number>} path - Path to this value in the object tree
+   * @param {Object} context - Decoding context (unused for numbers)
+   * @returns {number} The restored number
+   *
+   * @example
+   * decode('Infinity', ['stats', 'max'], {})
+   * // Returns: Infinity
+   */
+  decode: (value, path, context) => Number(value),
+};
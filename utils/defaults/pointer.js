@@ -121,6 +121,7 @@ module.exports = {
    * @param {Array<string|number>} path - Path where the reference should be placed
    * @param {DecodeContext} context - Must contain pointers2Res array
    * @returns {null} Placeholder value (replaced during resolution)
+   * @throws {TypeError} If the value is not an array of keys, or is the root
    *
    * @example
    * // Decoding { 'self<!P>': [] }
@@ -129,6 +130,12 @@ module.exports = {
    * // Registers [[], ['self']] in pointers2Res for later resolution
    */
   decode: (value, path, context) => {
+    if (!Array.isArray(value)) {
+      throw new TypeError("Pointer path must be an array");
+    }
+    if (0 === path.length) {
+      throw new TypeError("Pointer cannot be the root value");
+    }
     // Register for later resolution
     context.pointers2Res.push([value, path]);
     return null; // Placeholder, will be replaced during resolution
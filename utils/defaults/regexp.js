@@ -3,7 +3,24 @@
  *
  * This plugin handles serialization and deserialization of JavaScript RegExp objects.
  * Regular expressions are converted to their string representation (/pattern/flags)
- * and parsed back to RegExp instances on decode.
+ * and parsed back to RegExp instances on decode. Every flag (`dgimsuvy`) is
+ * kept. A stateful regex whose `lastIndex` is not zero is sent as a
+ * `[pattern, lastIndex]` pair; a bare string, as sent by older versions,
+ * still decodes with `lastIndex` 0.
+ *
+ * ## Untrusted Patterns
+ *
+ * A received pattern is compiled and may later run on server data, so a
+ * pattern prone to catastrophic backtracking (ReDoS) is a risk. The
+ * `regexp` decode options, read from the decode state, control this per
+ * call:
+ *
+ * - `maxLength` - Reject patterns longer than this
+ * - `safe` - Reject nested quantifiers (`(a+)+`) and backreferences (`\1`)
+ * - `inert` - Decode to a plain `{ source, flags }` descriptor instead of
+ *   compiling a RegExp
+ *
+ * Rejected patterns throw a `RegExpError` naming the path.
  *
  * @module utils/defaults/regexp
  * @see {@link module:utils/defaults} for the plugin registry
@@ -20,6 +37,86 @@
  * // decoded = /hello\s+world/gi
  */
 
+const { RegExpError } = require("../errors");
+
+/**
+ * Check whether a repeating quantifier follows a position of a pattern
+ *
+ * `*`, `+`, `{n}`, `{n,}` and `{n,m}` repeat; `?`, `{0}` and `{1}` do not.
+ *
+ * @param {string} source - RegExp source
+ * @param {number} index - Position right after an atom
+ * @returns {boolean} True if a repeating quantifier starts at index
+ * @private
+ *
+ * @example
+ * isRepeated('a+b', 1)    // true
+ * isRepeated('a{2,}b', 1) // true
+ * isRepeated('a{12}b', 1) // true
+ * isRepeated('a?b', 1)    // false
+ */
+function isRepeated(source, index) {
+  return /^(?:[*+]|\{(?!0*[01]\})\d+(?:,\d*)?\})/.test(source.slice(index));
+}
+
+/**
+ * Find a construct prone to catastrophic backtracking in a pattern
+ *
+ * Flags a repeated group that already contains a repeated atom (a star
+ * height above one, e.g. `(a+)+` or `(?:x|[a-z]*)*`), and backreferences
+ * (`\1`, `\k<name>`). Escapes and character classes are read as single
+ * atoms. Alternations of overlapping branches (`(a|a)+`) are not detected.
+ *
+ * @param {string} source - RegExp source
+ * @returns {string|null} 'nested quantifier', 'backreference', or null if none is found
+ * @private
+ *
+ * @example
+ * unsafeConstructOf('(a+)+$')        // 'nested quantifier'
+ * unsafeConstructOf('(a)\\1')        // 'backreference'
+ * unsafeConstructOf('^[a-z]+\\d*$')  // null
+ */
+function unsafeConstructOf(source) {
+  // One entry per open group: whether it holds a repeated atom
+  const groups = [false];
+  let inClass = false;
+
+  for (let i = 0; i < source.length; i++) {
+    const char = source[i];
+    let atomEnd = true;
+
+    if ("\\" === char) {
+      if (!inClass && /[1-9k]/.test(source[i + 1])) {
+        return "backreference";
+      }
+      i++;
+      atomEnd = !inClass;
+    } else if (inClass) {
+      inClass = "]" !== char;
+      atomEnd = !inClass;
+    } else if ("[" === char) {
+      inClass = true;
+      atomEnd = false;
+    } else if ("(" === char) {
+      groups.push(false);
+      atomEnd = false;
+    } else if (")" === char) {
+      const inner = groups.pop();
+      const nested = inner && isRepeated(source, i + 1);
+      if (nested) {
+        return "nested quantifier";
+      }
+      groups[groups.length - 1] = groups[groups.length - 1] || inner;
+    }
+
+    const repeated = atomEnd && isRepeated(source, i + 1);
+    if (repeated) {
+      groups[groups.length - 1] = true;
+    }
+  }
+  return null;
+}
+
 /**
  * @typedef {Object} RegExpPlugin
  * @property {string} tag - Single character identifier ('R')
@@ -68,40 +165,93 @@ module.exports = {
    * @param {string|number} key - The property key or array index
    * @param {RegExp} value - The RegExp object to encode
    * @param {Object} context - Encoding context (unused for RegExp)
-   * @returns {string} String representation (e.g., '/pattern/flags')
+   * @returns {string|[string, number]} String representation (e.g.,
+   *          '/pattern/flags'), paired with `lastIndex` when it is not zero
    *
    * @example
    * encode(['config'], 'pattern', /test/gi, {})
    * // Returns: '/test/gi'
+   *
+   * @example
+   * const sticky = /a/y;
+   * sticky.lastIndex = 3;
+   * encode(['config'], 'pattern', sticky, {})
+   * // Returns: ['/a/y', 3]
    */
-  encode: (path, key, value, context) => value.toString(),
+  encode: (path, key, value, context) =>
+    0 === value.lastIndex
+      ? value.toString()
+      : [value.toString(), value.lastIndex],
 
   /**
    * Decodes a string pattern back to a RegExp object
    *
    * Parses the /pattern/flags format to extract the pattern and flags,
    * then constructs a new RegExp. Falls back to treating the entire
-   * string as a pattern if parsing fails.
+   * string as a pattern if parsing fails. The `regexp` options of the
+   * decode call (`context.regexp`) may reject the pattern or ask for an
+   * inert descriptor.
    *
-   * @param {string} value - String representation of the RegExp
+   * @param {string|[string, number]} value - String representation of the
+   *        RegExp, or a [pattern, lastIndex] pair
    * @param {Array<string|number>} path - Path to this value in the object tree
-   * @param {Object} context - Decoding context (unused for RegExp)
-   * @returns {RegExp} Reconstructed RegExp object
+   * @param {Object} context - Decode state; `context.regexp` holds the
+   *        `maxLength`, `safe` and `inert` options
+   * @returns {RegExp|{source: string, flags: string}} Reconstructed RegExp
+   *          object, or its descriptor when `inert` is set
+   * @throws {TypeError} If `lastIndex` is not a non-negative integer
+   * @throws {RegExpError} If the pattern is longer than `maxLength`, or
+   *         `safe` is set and the pattern is unsafe
    *
    * @example
    * decode('/test/gi', ['config', 'pattern'], {})
    * // Returns: /test/gi
    *
    * @example
+   * decode(['/a/y', 3], ['config', 'pattern'], {}).lastIndex
+   * // Returns: 3
+   *
+   * @example
    * // Fallback for patterns without delimiters
    * decode('test', ['config', 'pattern'], {})
    * // Returns: /test/
+   *
+   * @example
+   * decode('/(a+)+$/', ['re'], { regexp: { safe: true } })
+   * // Throws: RegExpError: Unsafe RegExp at 're': nested quantifier
+   *
+   * @example
+   * decode('/test/gi', ['re'], { regexp: { inert: true } })
+   * // Returns: { source: 'test', flags: 'gi' }
    */
   decode: (value, path, context) => {
-    const match = value.match(/^\/(.*)\/([gimsuy]*)$/);
-    if (match) {
-      return new RegExp(match[1], match[2]);
+    const [pattern, lastIndex = 0] = Array.isArray(value) ? value : [value];
+    const isIndex = Number.isInteger(lastIndex) && 0 <= lastIndex;
+    if (!isIndex) {
+      throw new TypeError(
+        `RegExp lastIndex must be a non-negative integer, got: ${lastIndex}`,
+      );
+    }
+
+    if ("string" !== typeof pattern) {
+      throw new TypeError(`Invalid RegExp at '${path.join(".")}'`);
+    }
+    const match = pattern.match(/^\/(.*)\/([dgimsuvy]*)$/);
+    const [source, flags] = match ? [match[1], match[2]] : [pattern, ""];
+    const { maxLength = Infinity, safe, inert } = context.regexp || {};
+
+    if (source.length > maxLength) {
+      throw new RegExpError("maxLength", path);
+    }
+    const unsafe = safe ? unsafeConstructOf(source) : null;
+    if (unsafe) {
+      throw new RegExpError(unsafe, path);
+    }
+    if (inert) {
+      return { source, flags };
     }
-    return new RegExp(value);
+    const regex = new RegExp(source, flags);
+    regex.lastIndex = lastIndex;
+    return regex;
   },
 };
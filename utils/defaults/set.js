@@ -20,13 +20,35 @@
  * // decoded = Set { 1, 2, 3 }
  */
 
+/**
+ * Check that decoded Set contents are a list of members
+ *
+ * @param {any} value - Decoded contents
+ * @returns {Array} The members
+ * @throws {TypeError} If value is not an array
+ * @private
+ *
+ * @example
+ * membersOf([1, 2])  // [1, 2]
+ * membersOf({})      // Throws: TypeError: Set members must be an array
+ */
+function membersOf(value) {
+  if (!Array.isArray(value)) {
+    throw new TypeError("Set members must be an array");
+  }
+  return value;
+}
+
 /**
  * @typedef {Object} SetPlugin
  * @property {string} tag - Single character identifier ('S')
  * @property {string} toStringType - Object.prototype.toString result for Set
+ * @property {boolean} container - Indicates members are encoded by the encoder
  * @property {function} check - Type detection function
  * @property {function} encode - Serialization function
  * @property {function} decode - Deserialization function
+ * @property {function} create - Creates an empty collection
+ * @property {function} fill - Adds decoded members to a collection
  */
 
 /**
@@ -47,6 +69,19 @@ module.exports = {
    */
   toStringType: "[object Set]",
 
+  /**
+   * Indicates the encoded value is walked by the encoder
+   *
+   * The array returned by `encode` is not final: the encoder processes
+   * its members like array elements, so they are tagged, turned into
+   * pointers or handled by plugins. The array tag of the members follows
+   * the Set tag (e.g. `S[*D]` for a Set of Dates), and the decoder
+   * restores the members before calling `fill`.
+   *
+   * @type {boolean}
+   */
+  container: true,
+
   /**
    * Determines if this plugin should handle the given value
    *
@@ -91,10 +126,47 @@ module.exports = {
    * @param {Array<string|number>} path - Path to this value in the object tree
    * @param {Object} context - Decoding context (unused for Set)
    * @returns {Set} Reconstructed Set object
+   * @throws {TypeError} If value is not an array
    *
    * @example
    * decode(['admin', 'user'], ['user', 'roles'], {})
    * // Returns: Set { 'admin', 'user' }
    */
-  decode: (value, path, context) => new Set(value),
+  decode: (value, path, context) => new Set(membersOf(value)),
+
+  /**
+   * Creates an empty Set
+   *
+   * Used by the decoder, which fills the Set once circular reference
+   * pointers among its members are resolved.
+   *
+   * @param {Array} value - Decoded contents, checked to be an array
+   * @returns {Set} New empty Set
+   * @throws {TypeError} If value is not an array
+   *
+   * @example
+   * create([1, 2])
+   * // Returns: Set {}
+   */
+  create: (value) => {
+    membersOf(value);
+    return new Set();
+  },
+
+  /**
+   * Adds decoded members to a Set
+   *
+   * @param {Set} set - The Set to fill
+   * @param {Array} value - Decoded contents, as returned by `encode`
+   * @returns {void} Modifies the Set in place
+   *
+   * @example
+   * fill(set, ['admin', 'user'])
+   * // set is now Set { 'admin', 'user' }
+   */
+  fill: (set, value) => {
+    for (const item of value) {
+      set.add(item);
+    }
+  },
 };
@@ -0,0 +1,247 @@
+/**
+ * @fileoverview Sparse Array Plugin - Encodes arrays with holes compactly
+ *
+ * This plugin handles arrays that have holes (missing indices), such as
+ * `[1, , 3]` or an array grown with `a[1e6] = 1`. Walking them element by
+ * element would turn every hole into `undefined` and send one entry per
+ * index. Instead, only the present elements are sent, keyed by index,
+ * alongside the length:
+ *
+ * ```javascript
+ * const a = []; a[1000000] = 1
+ * // { "a<!H>": { "1000000": 1, "length": 1000001 } }
+ * ```
+ *
+ * An element explicitly set to `undefined` is present and kept (`U` tag),
+ * so `i in array` matches after a round trip. Dense arrays are not
+ * handled here and stay plain JSON arrays.
+ *
+ * Shares `[object Array]` with every other array, so its `check` decides.
+ *
+ * @module utils/defaults/sparse
+ * @see {@link module:utils/defaults} for the plugin registry
+ *
+ * @example
+ * // Encoding
+ * const encoded = plugin.encode([], 'list', [1, , 3], {});
+ * // encoded = { 0: 1, 2: 3, length: 3 }
+ *
+ * @example
+ * // Decoding
+ * const decoded = plugin.decode({ 0: 1, 2: 3, length: 3 }, [], {});
+ * // decoded = [1, <1 empty item>, 3]
+ */
+
+/**
+ * Largest valid array length (2^32 - 1)
+ * @type {number}
+ * @private
+ */
+const MAX_LENGTH = 4294967295;
+
+/**
+ * Check whether a key is a canonical array index below a length
+ *
+ * @param {string} key - Property key
+ * @param {number} length - Array length
+ * @returns {boolean} True if key is an index such as '0' or '42' below length
+ * @private
+ *
+ * @example
+ * isIndex('2', 3)   // true
+ * isIndex('02', 3)  // false
+ * isIndex('3', 3)   // false
+ */
+function isIndex(key, length) {
+  return /^(?:0|[1-9]\d*)$/.test(key) && Number(key) < length;
+}
+
+/**
+ * Create an array of the encoded length, checking the encoded indices
+ *
+ * @param {Object} value - Decoded contents, as returned by `encode`
+ * @returns {Array} New array with only holes
+ * @throws {TypeError} If `length` is not a valid array length, or a key is
+ *         not an index below it
+ * @private
+ *
+ * @example
+ * createArray({ 0: 1, length: 3 })  // [<3 empty items>]
+ */
+function createArray(value) {
+  const { length } = Object(value);
+  const isLength =
+    Number.isInteger(length) && 0 <= length && MAX_LENGTH >= length;
+  if (!isLength) {
+    throw new TypeError(`Invalid sparse array length: ${length}`);
+  }
+  for (const key of Object.keys(value)) {
+    const isValid = "length" === key || isIndex(key, length);
+    if (!isValid) {
+      throw new TypeError(`Invalid sparse array index '${key}'`);
+    }
+  }
+  return new Array(length);
+}
+
+/**
+ * Place the encoded elements at their indices
+ *
+ * @param {Array} array - Array from `createArray`
+ * @param {Object} value - Decoded contents, as returned by `encode`
+ * @returns {void} Modifies the array in place
+ * @private
+ *
+ * @example
+ * fillArray(array, { 2: 3, length: 3 })  // array is [<2 empty items>, 3]
+ */
+function fillArray(array, value) {
+  for (const key of Object.keys(value)) {
+    if ("length" !== key) {
+      array[key] = value[key];
+    }
+  }
+}
+
+/**
+ * @typedef {Object} SparsePlugin
+ * @property {string} tag - Single character identifier ('H')
+ * @property {string} toStringType - Object.prototype.toString result for arrays
+ * @property {boolean} container - Indicates members are encoded by the encoder
+ * @property {function} check - Type detection function
+ * @property {function} encode - Serialization function
+ * @property {function} decode - Deserialization function
+ * @property {function} create - Creates an empty array of the encoded length
+ * @property {function} fill - Places decoded elements at their indices
+ */
+
+/**
+ * Sparse array plugin configuration
+ * @type {SparsePlugin}
+ */
+module.exports = {
+  /**
+   * Single character tag identifier
+   *
+   * 'H' stands for "Holes".
+   *
+   * @type {string}
+   */
+  tag: "H",
+
+  /**
+   * Result of Object.prototype.toString.call() for arrays
+   * @type {string}
+   */
+  toStringType: "[object Array]",
+
+  /**
+   * Indicates the encoded value is walked by the encoder
+   *
+   * The object returned by `encode` is walked like object properties, so
+   * elements are tagged, turned into pointers or handled by plugins. Their
+   * keys are the element indices, so pointer paths into a sparse array are
+   * the same as into a dense one.
+   *
+   * @type {boolean}
+   */
+  container: true,
+
+  /**
+   * Determines if this plugin should handle the given value
+   *
+   * @param {string|number} key - The property key or array index
+   * @param {*} value - The value to check
+   * @returns {boolean} True if value is an array with at least one hole
+   *
+   * @example
+   * check('list', [1, , 3])          // true
+   * check('list', [1, undefined, 3]) // false
+   * check('list', [])                // false
+   */
+  check: (key, value) => {
+    if (!Array.isArray(value)) {
+      return false;
+    }
+    for (let i = 0; i < value.length; i++) {
+      if (!(i in value)) {
+        return true;
+      }
+    }
+    return false;
+  },
+
+  /**
+   * Encodes a sparse array as its present elements keyed by index
+   *
+   * @param {Array<string|number>} path - Path to this value in the object tree
+   * @param {string|number} key - The property key or array index
+   * @param {Array} value - The sparse array to encode
+   * @param {Object} context - Encoding context (unused for sparse arrays)
+   * @returns {Object} Present elements by index, plus `length`
+   *
+   * @example
+   * encode(['data'], 'list', [1, , 3], {})
+   * // Returns: { 0: 1, 2: 3, length: 3 }
+   */
+  encode: (path, key, value, context) => {
+    const contents = {};
+    // Object.keys lists only the present elements, and any extra properties
+    const indices = Object.keys(value).filter((key) =>
+      isIndex(key, value.length),
+    );
+    for (const index of indices) {
+      contents[index] = value[index];
+    }
+    contents.length = value.length;
+    return contents;
+  },
+
+  /**
+   * Decodes present elements keyed by index back to a sparse array
+   *
+   * @param {Object} value - Present elements by index, plus `length`
+   * @param {Array<string|number>} path - Path to this value in the object tree
+   * @param {Object} context - Decoding context (unused for sparse arrays)
+   * @returns {Array} Reconstructed sparse array
+   * @throws {TypeError} If the length or an index is invalid
+   *
+   * @example
+   * decode({ 0: 1, 2: 3, length: 3 }, ['data', 'list'], {})
+   * // Returns: [1, <1 empty item>, 3]
+   */
+  decode: (value, path, context) => {
+    const array = createArray(value);
+    fillArray(array, value);
+    return array;
+  },
+
+  /**
+   * Creates an array of the encoded length with no elements
+   *
+   * Used by the decoder, which fills the array once circular reference
+   * pointers among its elements are resolved.
+   *
+   * @param {Object} value - Decoded contents, as returned by `encode`
+   * @returns {Array} New array with only holes
+   * @throws {TypeError} If the length or an index is invalid
+   *
+   * @example
+   * create({ 0: 1, length: 3 })
+   * // Returns: [<3 empty items>]
+   */
+  create: (value) => createArray(value),
+
+  /**
+   * Places decoded elements at their indices
+   *
+   * @param {Array} array - The array to fill, from `create`
+   * @param {Object} value - Decoded contents, as returned by `encode`
+   * @returns {void} Modifies the array in place
+   *
+   * @example
+   * fill(array, { 2: 3, length: 3 })
+   * // array is now [<2 empty items>, 3]
+   */
+  fill: (array, value) => fillArray(array, value),
+};
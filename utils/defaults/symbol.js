@@ -0,0 +1,141 @@
+/**
+ * @fileoverview Symbol Plugin - Converts rebuildable Symbols to/from a descriptor
+ *
+ * This plugin handles serialization and deserialization of Symbol values.
+ * Only Symbols that exist by name on the receiving side can be rebuilt:
+ *
+ * - Global registry symbols (`Symbol.for('app.token')`) as `['for', key]`
+ * - Well-known symbols (`Symbol.iterator`) as `['wellKnown', name]`
+ *
+ * A unique local symbol (`Symbol('x')`) has no such name, so encoding one
+ * throws a TypeError naming its path rather than sending something that
+ * would decode to a different symbol.
+ *
+ * The encoder also writes the same descriptor for symbol property keys when
+ * called with `symbolKeys: true` (see utils/encode.js).
+ *
+ * @module utils/defaults/symbol
+ * @see {@link module:utils/defaults} for the plugin registry
+ *
+ * @example
+ * // Encoding
+ * const encoded = plugin.encode([], 'token', Symbol.for('app.token'), {});
+ * // encoded = ['for', 'app.token']
+ *
+ * @example
+ * // Decoding
+ * const decoded = plugin.decode(['wellKnown', 'iterator'], [], {});
+ * // decoded = Symbol.iterator
+ */
+
+/**
+ * Names of the well-known symbols of the runtime (e.g. 'iterator')
+ * @type {string[]}
+ * @private
+ */
+const WELL_KNOWN = Object.getOwnPropertyNames(Symbol).filter(
+  (name) => "symbol" === typeof Symbol[name],
+);
+
+/**
+ * @typedef {Object} SymbolPlugin
+ * @property {string} tag - Single character identifier ('Y')
+ * @property {string} toStringType - Object.prototype.toString result for Symbol
+ * @property {function} check - Type detection function
+ * @property {function} encode - Serialization function
+ * @property {function} decode - Deserialization function
+ */
+
+/**
+ * Symbol plugin configuration
+ * @type {SymbolPlugin}
+ */
+module.exports = {
+  /**
+   * Single character tag identifier
+   *
+   * 'Y' stands for "sYmbol", since 'S' is taken by Set.
+   *
+   * @type {string}
+   */
+  tag: "Y",
+
+  /**
+   * Result of Object.prototype.toString.call() for Symbol values
+   * @type {string}
+   */
+  toStringType: "[object Symbol]",
+
+  /**
+   * Determines if this plugin should handle the given value
+   *
+   * Boxed symbols (`Object(sym)`) share the toString result but are objects,
+   * so they are not handled here.
+   *
+   * @param {string|number} key - The property key or array index
+   * @param {*} value - The value to check
+   * @returns {boolean} True if value is a symbol
+   *
+   * @example
+   * check('token', Symbol.for('a'))  // true
+   * check('token', 'a')              // false
+   */
+  check: (key, value) => "symbol" === typeof value,
+
+  /**
+   * Encodes a Symbol as a [kind, name] descriptor
+   *
+   * @param {Array<string|number>} path - Path to this value in the object tree
+   * @param {string|number} key - The property key or array index
+   * @param {symbol} value - The symbol to encode
+   * @param {Object} context - Encoding context (unused for Symbol)
+   * @returns {[string, string]} `['for', key]` or `['wellKnown', name]`
+   * @throws {TypeError} If the symbol is neither registered nor well-known
+   *
+   * @example
+   * encode(['state'], 'token', Symbol.for('app.token'), {})
+   * // Returns: ['for', 'app.token']
+   *
+   * @example
+   * encode(['state'], 'iter', Symbol.asyncIterator, {})
+   * // Returns: ['wellKnown', 'asyncIterator']
+   */
+  encode: (path, key, value, context) => {
+    const registered = Symbol.keyFor(value);
+    if (undefined !== registered) {
+      return ["for", registered];
+    }
+    const name = WELL_KNOWN.find((known) => Symbol[known] === value);
+    if (name) {
+      return ["wellKnown", name];
+    }
+    const description = String(value);
+    throw new TypeError(
+      `Cannot encode ${description} at '${path.join(".")}': only Symbol.for() and well-known symbols can be rebuilt`,
+    );
+  },
+
+  /**
+   * Decodes a [kind, name] descriptor back to its Symbol
+   *
+   * @param {[string, string]} value - `['for', key]` or `['wellKnown', name]`
+   * @param {Array<string|number>} path - Path to this value in the object tree
+   * @param {Object} context - Decoding context (unused for Symbol)
+   * @returns {symbol} The registered or well-known symbol
+   * @throws {TypeError} If the descriptor is invalid or names no well-known symbol
+   *
+   * @example
+   * decode(['for', 'app.token'], ['state', 'token'], {})
+   * // Returns: Symbol.for('app.token')
+   */
+  decode: (value, path, context) => {
+    const [kind, name] = Array.isArray(value) ? value : [];
+    if ("for" === kind && "string" === typeof name) {
+      return Symbol.for(name);
+    }
+    if ("wellKnown" === kind && WELL_KNOWN.includes(name)) {
+      return Symbol[name];
+    }
+    throw new TypeError(`Invalid symbol at '${path.join(".")}'`);
+  },
+};
@@ -0,0 +1,145 @@
+/**
+ * @fileoverview Temporal Plugin - Converts Temporal objects to/from ISO strings
+ *
+ * This plugin handles the Temporal API types: Instant, ZonedDateTime,
+ * PlainDate, PlainTime, PlainDateTime, PlainYearMonth, PlainMonthDay and
+ * Duration. Values are encoded as a `[kind, string]` pair, the string
+ * being the value's ISO 8601 form (`toString()`), so a ZonedDateTime keeps
+ * its offset and time zone and non-ISO calendars keep their annotation:
+ *
+ * ```javascript
+ * // ['ZonedDateTime', '2024-01-01T09:00:00+01:00[Europe/Paris]']
+ * ```
+ *
+ * ## Environment Detection
+ *
+ * Values are recognised by their `Symbol.toStringTag` (`Temporal.Instant`,
+ * ...), which native Temporal and spec-compliant polyfills share, so
+ * encoding needs no Temporal object. Decoding calls `Temporal[kind].from`
+ * on the implementation of the registry (`getTemporal`: the one passed to
+ * `createJSS({ temporal })`, else `globalThis.Temporal`). Without one the
+ * ISO string is returned.
+ *
+ * @module utils/defaults/temporal
+ * @see {@link module:utils/defaults} for the plugin registry
+ *
+ * @example
+ * // Encoding
+ * const encoded = plugin.encode([], 'due', Temporal.PlainDate.from('2024-01-01'), {});
+ * // encoded = ['PlainDate', '2024-01-01']
+ *
+ * @example
+ * // Decoding
+ * const decoded = plugin.decode(['Duration', 'PT1H30M'], [], {});
+ * // decoded = Temporal.Duration.from('PT1H30M')
+ */
+
+/**
+ * Temporal types, by name within the Temporal namespace
+ * @type {string[]}
+ * @private
+ */
+const KINDS = [
+  "Instant",
+  "ZonedDateTime",
+  "PlainDate",
+  "PlainTime",
+  "PlainDateTime",
+  "PlainYearMonth",
+  "PlainMonthDay",
+  "Duration",
+];
+
+/**
+ * Object.prototype.toString results of the Temporal types
+ * @type {string[]}
+ * @private
+ */
+const TO_STRING_TYPES = KINDS.map((kind) => `[object Temporal.${kind}]`);
+
+/**
+ * @typedef {Object} TemporalPlugin
+ * @property {string} tag - Single character identifier ('T')
+ * @property {string[]} toStringType - Object.prototype.toString results for Temporal types
+ * @property {function} check - Type detection function
+ * @property {function} encode - Serialization function
+ * @property {function} decode - Deserialization function
+ */
+
+/**
+ * Temporal plugin configuration
+ * @type {TemporalPlugin}
+ */
+module.exports = {
+  /**
+   * Single character tag identifier
+   * @type {string}
+   */
+  tag: "T",
+
+  /**
+   * Results of Object.prototype.toString.call() for Temporal objects
+   * @type {string[]}
+   */
+  toStringType: TO_STRING_TYPES,
+
+  /**
+   * Determines if this plugin should handle the given value
+   *
+   * @param {string|number} key - The property key or array index
+   * @param {*} value - The value to check
+   * @returns {boolean} True if value is a Temporal object
+   *
+   * @example
+   * check('due', Temporal.Now.instant())  // true
+   * check('due', new Date())              // false
+   */
+  check: (key, value) =>
+    TO_STRING_TYPES.includes(Object.prototype.toString.call(value)),
+
+  /**
+   * Encodes a Temporal object as its kind and ISO string
+   *
+   * @param {Array<string|number>} path - Path to this value in the object tree
+   * @param {string|number} key - The property key or array index
+   * @param {Object} value - The Temporal object to encode
+   * @param {Object} context - Encoding context (unused for Temporal)
+   * @returns {[string, string]} Pair of [kind, isoString]
+   *
+   * @example
+   * encode(['task'], 'due', Temporal.PlainDate.from('2024-01-01'), {})
+   * // Returns: ['PlainDate', '2024-01-01']
+   */
+  encode: (path, key, value, context) => {
+    // '[object Temporal.PlainDate]' -> 'PlainDate'
+    const kind = Object.prototype.toString.call(value).slice(17, -1);
+    return [kind, value.toString()];
+  },
+
+  /**
+   * Decodes a [kind, isoString] pair back to a Temporal object
+   *
+   * @param {[string, string]} value - Pair of [kind, isoString]
+   * @param {Array<string|number>} path - Path to this value in the object tree
+   * @param {Object} context - Decode state; `context.registry` supplies the
+   *        Temporal implementation (`globalThis.Temporal` when absent)
+   * @returns {Object|string} The Temporal object, or the ISO string when no
+   *          Temporal implementation is available
+   * @throws {TypeError} If the pair is not a known kind and a string
+   * @throws {RangeError} If Temporal rejects the string
+   *
+   * @example
+   * decode(['Instant', '2024-01-01T00:00:00Z'], ['at'], state)
+   * // Returns: Temporal.Instant
+   */
+  decode: (value, path, context) => {
+    const [kind, iso] = Array.isArray(value) ? value : [];
+    if (!KINDS.includes(kind) || "string" !== typeof iso) {
+      throw new TypeError(`Invalid Temporal value at '${path.join(".")}'`);
+    }
+    const Temporal = context.registry
+      ? context.registry.getTemporal()
+      : globalThis.Temporal;
+    return Temporal ? Temporal[kind].from(iso) : iso;
+  },
+};
@@ -0,0 +1,142 @@
+/**
+ * @fileoverview URL Plugin - Converts URL, URLSearchParams and Headers
+ *
+ * These web types keep their state in internal slots, so they have no
+ * enumerable own properties and would otherwise encode as `{}`. Values are
+ * encoded as a `[kind, data]` pair:
+ *
+ * - `URL` - `['URL', href]`
+ * - `URLSearchParams` - `['URLSearchParams', 'a=1&a=2']`, keeping repeated
+ *   names and their order
+ * - `Headers` - `['Headers', [[name, value], ...]]`, names lower-cased and
+ *   each `set-cookie` header as its own entry
+ *
+ * ## Environment Detection
+ *
+ * The constructors are taken from the global object, which has all three
+ * in browsers and in Node.js 18+. A kind the runtime lacks decodes to its
+ * data (the string or entry list).
+ *
+ * @module utils/defaults/url
+ * @see {@link module:utils/defaults} for the plugin registry
+ *
+ * @example
+ * // Encoding
+ * const encoded = plugin.encode([], 'link', new URL('https://example.com/a?b=1'), {});
+ * // encoded = ['URL', 'https://example.com/a?b=1']
+ *
+ * @example
+ * // Decoding
+ * const decoded = plugin.decode(['Headers', [['accept', 'text/html']]], [], {});
+ * // decoded = Headers { accept: 'text/html' }
+ */
+
+/**
+ * Kinds handled by this plugin, by constructor name
+ * @type {string[]}
+ * @private
+ */
+const KINDS = ["URL", "URLSearchParams", "Headers"];
+
+/**
+ * Object.prototype.toString results of the handled kinds
+ * @type {string[]}
+ * @private
+ */
+const TO_STRING_TYPES = KINDS.map((kind) => `[object ${kind}]`);
+
+/**
+ * @typedef {Object} UrlPlugin
+ * @property {string} tag - Single character identifier ('W')
+ * @property {string[]} toStringType - Object.prototype.toString results for the kinds
+ * @property {function} check - Type detection function
+ * @property {function} encode - Serialization function
+ * @property {function} decode - Deserialization function
+ */
+
+/**
+ * URL plugin configuration
+ * @type {UrlPlugin}
+ */
+module.exports = {
+  /**
+   * Single character tag identifier
+   *
+   * 'W' stands for "Web", the platform these types come from.
+   *
+   * @type {string}
+   */
+  tag: "W",
+
+  /**
+   * Results of Object.prototype.toString.call() for URL, URLSearchParams
+   * and Headers
+   * @type {string[]}
+   */
+  toStringType: TO_STRING_TYPES,
+
+  /**
+   * Determines if this plugin should handle the given value
+   *
+   * @param {string|number} key - The property key or array index
+   * @param {*} value - The value to check
+   * @returns {boolean} True if value is a URL, URLSearchParams or Headers
+   *
+   * @example
+   * check('link', new URL('https://example.com'))  // true
+   * check('link', 'https://example.com')           // false
+   */
+  check: (key, value) =>
+    TO_STRING_TYPES.includes(Object.prototype.toString.call(value)),
+
+  /**
+   * Encodes a URL, URLSearchParams or Headers as [kind, data]
+   *
+   * @param {Array<string|number>} path - Path to this value in the object tree
+   * @param {string|number} key - The property key or array index
+   * @param {URL|URLSearchParams|Headers} value - The value to encode
+   * @param {Object} context - Encoding context (unused for URL)
+   * @returns {Array} Pair of the kind and its string or entry list
+   *
+   * @example
+   * encode(['req'], 'query', new URLSearchParams('a=1&a=2'), {})
+   * // Returns: ['URLSearchParams', 'a=1&a=2']
+   *
+   * @example
+   * encode(['req'], 'headers', new Headers({ Accept: 'text/html' }), {})
+   * // Returns: ['Headers', [['accept', 'text/html']]]
+   */
+  encode: (path, key, value, context) => {
+    // '[object Headers]' -> 'Headers'
+    const kind = Object.prototype.toString.call(value).slice(8, -1);
+    const data = "Headers" === kind ? Array.from(value) : value.toString();
+    return [kind, data];
+  },
+
+  /**
+   * Decodes a [kind, data] pair back to a URL, URLSearchParams or Headers
+   *
+   * @param {Array} value - Pair of [kind, data]
+   * @param {Array<string|number>} path - Path to this value in the object tree
+   * @param {Object} context - Decoding context (unused for URL)
+   * @returns {URL|URLSearchParams|Headers|string|Array} The rebuilt value, or
+   *          its data if the runtime lacks the kind
+   * @throws {TypeError} If the pair is not a known kind with valid data
+   *
+   * @example
+   * decode(['URL', 'https://example.com/'], ['link'], {})
+   * // Returns: URL { href: 'https://example.com/' }
+   */
+  decode: (value, path, context) => {
+    const [kind, data] = Array.isArray(value) ? value : [];
+    const isValid =
+      KINDS.includes(kind) &&
+      ("Headers" === kind ? Array.isArray(data) : "string" === typeof data);
+    if (!isValid) {
+      const at = path.join(".");
+      throw new TypeError(`Invalid URL, URLSearchParams or Headers at '${at}'`);
+    }
+    const Kind = globalThis[kind];
+    return "function" === typeof Kind ? new Kind(data) : data;
+  },
+};
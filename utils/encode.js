@@ -17,19 +17,73 @@
  *
  * | Type      | Tag | Encoded Value                          |
  * |-----------|-----|----------------------------------------|
- * | Date      | `D` | Unix timestamp (milliseconds)          |
+ * | Date      | `D` | Unix timestamp (ms), or ISO string with |
+ * |           |     | offset (`dateOffset` option)           |
  * | RegExp    | `R` | String representation (e.g., "/a/gi")  |
- * | Error     | `E` | Array: [name, message, stack]          |
+ * | Error     | `E` | [name, message, stack, extras?]        |
  * | undefined | `U` | null                                   |
  * | Map       | `M` | Object from entries                    |
  * | Set       | `S` | Array of values                        |
  * | Pointer   | `P` | Path array to referenced object        |
+ * | BigInt    | `B` | Decimal string (e.g., "9007199254740993") |
+ * | Number    | `N` | "NaN", "Infinity", "-Infinity" or "-0"  |
+ * | Binary    | `I` | [kind, base64] (e.g., ["Buffer", "aGk="]) |
+ * | Sparse    | `H` | Present elements by index, plus length  |
+ * | Symbol    | `Y` | ["for", key] or ["wellKnown", name]     |
+ * | Class     | `C` | [name, data] of a registered class      |
+ * | Fidelity  | `F` | [flags, copy] (with `fidelity` only)    |
+ * | Temporal  | `T` | [kind, isoString]                       |
+ * | Web       | `W` | [kind, string] or ["Headers", entries]  |
+ * | Wrapper   | `O` | [kind, primitive]                       |
  *
  * ## Array Type Tags
  *
  * For arrays containing extended types, the tag includes all element types:
  * ```javascript
- * [new Date(), new Date()]  →  { "[D,D]": [timestamp1, timestamp2] }
+ * { dates: [new Date(), new Date()] }  →  { "dates<![D,D]>": [timestamp1, timestamp2] }
+ * ```
+ *
+ * ## Root Values
+ *
+ * The root goes through the same tagging as nested values. A root that
+ * needs no tag (plain object, untagged array, JSON primitive) is returned
+ * as is; any other root is wrapped in an envelope whose only key is the
+ * tag with an empty name:
+ * ```javascript
+ * [1, 2]                    →  [1, 2]
+ * new Date(0)               →  { "<!D>": 0 }
+ * [new Date(0)]             →  { "<![*D]>": [0] }
+ * ```
+ * A root object that would itself read as an envelope is wrapped in the
+ * untagged envelope `{ "<!>": ... }`.
+ *
+ * ## Key Escaping
+ *
+ * The decoder reads a key's tag from its last `<!` to the closing `>` at
+ * the end. A key that contains `<!` therefore always gets a tag, empty if
+ * the value needs none, so the key is read back exactly:
+ * ```javascript
+ * { "note<!D>": 1 }  →  { "note<!D><!>": 1 }
+ * ```
+ *
+ * ## Symbol Keys
+ *
+ * With `symbolKeys: true`, enumerable symbol-keyed properties of objects
+ * are written too. The key is the JSON of the symbol's descriptor (see
+ * the Symbol plugin) and its tag is `*` followed by the value's tag:
+ * ```javascript
+ * { [Symbol.for('id')]: new Date(0) }  →  { '["for","id"]<!*D>': 0 }
+ * ```
+ * Pointer paths through such a property use the JSON key as segment.
+ *
+ * ## Fidelity
+ *
+ * With `fidelity: true`, plain objects and arrays (sparse ones included)
+ * that have a null prototype or are frozen, sealed or not extensible are
+ * tagged `F` and written as `[flags, copy]` (see the Fidelity plugin), so
+ * the decoder restores that state:
+ * ```javascript
+ * { dict: Object.create(null) }  →  { "dict<!F>": ["n", {}] }
  * ```
  *
  * @module utils/jss/encode
@@ -61,99 +115,122 @@
  */
 
 /**
- * Lookup table mapping Object.prototype.toString results to type tags
+ * Registry behind the top-level exports
  *
- * Used for fast type detection during encoding. Only types that require
- * special handling are included - standard JSON types (string, number,
- * boolean, null, array, object) are handled separately.
+ * Type detection goes through the registry: built-in types are found by
+ * their `Object.prototype.toString` result, custom plugins by `check()`.
+ * Standard JSON types (string, number, boolean, null, array, object) are
+ * handled separately.
  *
- * @constant {Object.<string, string>}
+ * @constant {Registry}
  * @private
- *
- * @example
- * Object.prototype.toString.call(new Date())  // '[object Date]'
- * tagLookup['[object Date]']                  // 'D'
  */
-const { getAllPlugins } = require("./plugins");
-const { getBuiltIn, getTagByToString } = require("./defaults");
+const { defaultRegistry } = require("./plugins");
 
 /**
- * Encode a JavaScript object to JSS format
- *
- * Recursively traverses the object tree, converting extended types to
- * their tagged representations. Handles circular references by tracking
- * visited objects and replacing subsequent references with path pointers.
+ * Append a tag to a property key
  *
- * ## Algorithm
+ * Keys holding `<!` are given an (empty) tag even for untagged values, so
+ * the decoder, which splits at the last `<!`, restores them unchanged.
  *
- * 1. Create a WeakMap to track visited objects and their paths
- * 2. For each value in the object:
- *    - If it's an extended type (Date, RegExp, etc.), encode it
- *    - If it's an object/array, recurse (checking for circularity)
- *    - If it's a primitive, pass through unchanged
- * 3. Return the encoded object structure
- *
- * ## Circular Reference Detection
- *
- * When an object is first encountered, its path is stored in `visitedEncode`.
- * If the same object is encountered again, a pointer (`P` tag) is created
- * with the stored path.
- *
- * @param {any} obj - The object to encode
- * @returns {Object} Encoded object with tagged keys for extended types
- *
- * @example
- * // Simple types
- * encode({ date: new Date('2024-01-01') })
- * // { "date<!D>": 1704067200000 }
+ * @param {string} key - Property key
+ * @param {string} tag - Tag of the value, or '' for none
+ * @returns {string} Key to write
+ * @private
  *
  * @example
- * // Nested structures
- * encode({
- *   user: {
- *     name: 'Alice',
- *     createdAt: new Date(),
- *     roles: new Set(['admin', 'user'])
- *   }
- * })
- * // {
- * //   user: {
- * //     name: 'Alice',
- * //     "createdAt<!D>": 1704067200000,
- * //     "roles<!S>": ['admin', 'user']
- * //   }
- * // }
+ * tagKey('at', 'D')       // 'at<!D>'
+ * tagKey('name', '')      // 'name'
+ * tagKey('a<!b>', '')     // 'a<!b><!>'
+ */
+function tagKey(key, tag) {
+  const escape = key.includes("<!");
+  return tag || escape ? `${key}<!${tag}>` : key;
+}
+
+/**
+ * Set an own data property, even for the key `__proto__`
  *
- * @example
- * // Circular references
- * const a = { name: 'a' }
- * const b = { name: 'b', ref: a }
- * a.ref = b
+ * Plain assignment of `__proto__` would run the inherited setter: the
+ * property would be lost, or the prototype of the encoded object replaced.
+ * Defining it keeps it as a key, which `JSON.stringify` writes.
  *
- * encode({ a, b })
- * // {
- * //   a: { name: 'a', 'ref<!P>': ['b'] },
- * //   b: { name: 'b', 'ref<!P>': ['a'] }
- * // }
+ * @param {Object} target - Encoded object to modify
+ * @param {string} key - Property name, tag included
+ * @param {any} value - Encoded value
+ * @returns {void} Modifies target in place
+ * @private
  *
  * @example
- * // Error objects
- * encode({ error: new TypeError('Invalid input') })
- * // { "error<!E>": ['TypeError', 'Invalid input', 'TypeError: Invalid input\n    at ...'] }
+ * const result = {}
+ * setOwn(result, '__proto__', 1)
+ * JSON.stringify(result)  // '{"__proto__":1}'
+ */
+function setOwn(target, key, value) {
+  if ("__proto__" === key) {
+    Object.defineProperty(target, key, {
+      value,
+      writable: true,
+      enumerable: true,
+      configurable: true,
+    });
+  } else {
+    target[key] = value;
+  }
+}
+
+/**
+ * Check whether an encoded root would be read back as an envelope
+ *
+ * @param {any} value - Encoded root value
+ * @returns {boolean} True if value is an object whose only key is `<!...>`
+ * @private
  *
  * @example
- * // Mixed array with extended types
- * encode({ dates: [new Date(), new Date()] })
- * // { "dates<![D,D]>": [1704067200000, 1704067300000] }
+ * isEnvelope({ '<!D>': 0 })  // true
+ * isEnvelope({ 'a<!D>': 0 }) // false
+ */
+function isEnvelope(value) {
+  if (null === value || "object" !== typeof value || Array.isArray(value)) {
+    return false;
+  }
+  const keys = Object.keys(value);
+  return 1 === keys.length && /^<![^<>]*>$/.test(keys[0]);
+}
+
+/**
+ * Encode an object, optionally running plugin `onSend` hooks
+ *
+ * When `send` is provided, every value matched by a custom plugin that
+ * defines `onSend` has the hook invoked. The hook's result is recorded in
+ * `send.sends` and the encoded value is swapped for a marker object that
+ * `stringifyAsync()` later replaces with the resolved `replace` value.
+ *
+ * @param {any} obj - The value to encode
+ * @param {Registry} registry - Plugin registry supplying built-in and custom types
+ * @param {SendState|null} send - Send lifecycle state, or null for plain encoding
+ * @param {Object} options - Encode options
+ * @param {boolean} [options.keepUndefined=false] - Keep object properties holding undefined
+ * @param {boolean} [options.symbolKeys=false] - Encode enumerable symbol-keyed properties
+ * @param {boolean} [options.fidelity=false] - Tag null-prototype and non-extensible objects
+ * @param {boolean} [options.dateOffset=false] - Write Dates as ISO strings with the local offset
+ * @returns {any} Encoded value, in an envelope if the root needs a tag
+ * @throws {TypeError} If a symbol to encode is neither registered nor well-known
+ * @private
  */
-function encode(obj) {
+function encodeWithSend(obj, registry, send, options) {
+  const {
+    keepUndefined = false,
+    symbolKeys = false,
+    fidelity = false,
+  } = options;
+
   /**
    * WeakMap tracking visited objects to detect circular references
    * Maps each visited object to its path in the object tree
    * @type {WeakMap<Object, Array<string|number>>}
    */
   const visitedEncode = new WeakMap();
-  visitedEncode.set(obj, []);
 
   /**
    * Recursively encode a value with circular reference tracking
@@ -165,70 +242,63 @@ function encode(obj) {
    */
   function encodeValueWithVisited(value, path) {
     const type = typeof value;
-    const toStringType = Object.prototype.toString.call(value);
-    const tag = getTagByToString(toStringType);
+    const key = path[path.length - 1];
 
     // Handle built-in types with known tags
-    // All built-in types with a toStringType have encode functions
-    if (tag !== undefined) {
-      const plugin = getBuiltIn(tag);
-      const key = path[path.length - 1];
-      return [tag, plugin.encode(path, key, value, {})];
+    // All built-in types with a toStringType have encode functions; they
+    // get the encode options as context (e.g. `dateOffset` for Dates)
+    const tag = tagOf(key, value);
+    if (undefined !== tag) {
+      const plugin = registry.getBuiltIn(tag);
+      if (plugin.container) {
+        if (visitedEncode.has(value)) {
+          return encodePointer(value, path);
+        }
+        visitedEncode.set(value, path);
+
+        // Walk the members like object properties; their tag follows ours
+        const contents = plugin.encode(path, key, value, options, registry);
+        const [contentTag, encoded] = encodeEntries(contents, path, true);
+        return [tag + contentTag, encoded];
+      }
+      return [tag, plugin.encode(path, key, value, options, registry)];
     }
 
     // Check custom plugins
-    for (const [customTag, plugin] of getAllPlugins()) {
-      const key = path[path.length - 1];
+    for (const [customTag, plugin] of registry.getAllPlugins()) {
       if (plugin.check(key, value)) {
-        return [customTag, plugin.encode(path, key, value, {})];
+        const context = send ? send.context : {};
+        const encoded = plugin.encode(path, key, value, context);
+        if (send && plugin.onSend) {
+          // Defer the hook result; the marker is swapped out at stringify time
+          const marker = {};
+          const result = Promise.resolve(
+            plugin.onSend(path, key, value, context),
+          );
+          // Observed now: a later throw may end the encoding before the await
+          result.catch(() => {});
+          send.sends.push({ marker, encoded, path, result });
+          return [customTag, marker];
+        }
+        return [customTag, encoded];
       }
     }
 
     // Handle objects and arrays (potential circular references)
     if ("object" === type && null !== value) {
       // Check for circular reference
-      const pointerPlugin = getBuiltIn("P");
       if (visitedEncode.has(value)) {
-        return ["P", pointerPlugin.encode(path, null, value, { visitedEncode })];
+        return encodePointer(value, path);
       }
 
       // Mark as visited with current path
       visitedEncode.set(value, path);
 
-      const isArray = Array.isArray(value);
-      const objKeys = isArray
-        ? Array.from(Array(value.length).keys())
-        : Object.keys(value);
-      const result = isArray ? [] : {};
-      const typesFound = [];
-
-      // Process each property/element
-      for (let i = 0; i < objKeys.length; i++) {
-        const key = objKeys[i];
-        const [t, v] = encodeValueWithVisited(value[key], [...path, key]);
-
-        if (isArray) {
-          typesFound.push(t);
-          result.push(v);
-        } else if (undefined !== value[key]) {
-          // Add tag to key if value was special type
-          result[key + (t ? `<!${t}>` : "")] = v;
-        }
+      const [tag, encoded] = encodeEntries(value, path, keepUndefined);
+      if (symbolKeys && !Array.isArray(value)) {
+        encodeSymbolKeys(value, path, encoded);
       }
-
-      // For arrays with special types, create compound tag
-      if (isArray && typesFound.find((t) => !!t)) {
-        // Check if all elements have the same type (for [*D] shorthand)
-        const nonEmpty = typesFound.filter((t) => t);
-        const allSame =
-          nonEmpty.length === typesFound.length &&
-          nonEmpty.every((t) => t === nonEmpty[0]);
-        if (allSame && 0 < nonEmpty.length) {
-          return [`[*${nonEmpty[0]}]`, result];
-        }
-        return [`[${typesFound.join()}]`, result];
-      }
-      return ["", result];
+      return [tag, encoded];
     }
     // Primitive values pass through unchanged
     else {
@@ -236,57 +306,390 @@ function encode(obj) {
     }
   }
 
-  // Process root object properties
-  let keys = Array.isArray(obj)
-    ? Array.from(Array(obj.length).keys())
-    : Object.keys(obj);
-  const result = {};
-
-  for (let i = 0; i < keys.length; i++) {
-    const key = keys[i];
-    if (undefined !== obj[key]) {
-      const [t, v] = encodeValueWithVisited(obj[key], [key]);
-      result[key + (t ? `<!${t}>` : "")] = v;
+  /**
+   * Get the built-in tag handling a value
+   *
+   * With the `fidelity` option, objects and arrays that no other built-in
+   * handles get the `F` tag when its `check` accepts them. So do sparse
+   * arrays: the copy in the `[flags, copy]` pair keeps its holes and is
+   * tagged `H` in turn (`F[,H]`), so both the holes and the integrity
+   * level survive.
+   *
+   * @param {string|number} key - The property key or array index
+   * @param {any} value - The value being encoded
+   * @returns {string|undefined} The tag, or undefined if no built-in handles it
+   * @private
+   */
+  function tagOf(key, value) {
+    const tag = registry.getTagForValue(key, value);
+    const fidelityPlugin = fidelity ? registry.getBuiltIn("F") : undefined;
+    const isKept =
+      (undefined === tag || "H" === tag) &&
+      undefined !== fidelityPlugin &&
+      fidelityPlugin.check(key, value);
+    return isKept ? "F" : tag;
+  }
+
+  /**
+   * Encode the properties of an object or the elements of an array
+   *
+   * Shared by plain objects and arrays and by the contents of container
+   * built-ins (Map, Set), so their members go through the same tag,
+   * pointer and plugin pipeline.
+   *
+   * @param {Object|Array} value - Object or array whose members to encode
+   * @param {Array<string|number>} path - Path of the value in the object tree
+   * @param {boolean} keepUndefined - Keep properties whose value is undefined
+   * @returns {[string, any]} Tuple of [arrayTag, encodedValue]
+   * @private
+   */
+  function encodeEntries(value, path, keepUndefined) {
+    const isArray = Array.isArray(value);
+    const objKeys = isArray
+      ? Array.from(Array(value.length).keys())
+      : Object.keys(value);
+    const result = isArray ? [] : {};
+    const typesFound = [];
+
+    // Process each property/element
+    for (let i = 0; i < objKeys.length; i++) {
+      const key = objKeys[i];
+      const [t, v] = encodeValueWithVisited(value[key], [...path, key]);
+
+      if (isArray) {
+        typesFound.push(t);
+        result.push(v);
+      } else if (keepUndefined || undefined !== value[key]) {
+        // Add tag to key if value was special type
+        setOwn(result, tagKey(key, t), v);
+      }
+    }
+
+    // For arrays with special types, create compound tag
+    if (isArray && typesFound.find((t) => !!t)) {
+      // Check if all elements have the same type (for [*D] shorthand)
+      const nonEmpty = typesFound.filter((t) => t);
+      const allSame =
+        nonEmpty.length === typesFound.length &&
+        nonEmpty.every((t) => t === nonEmpty[0]);
+      if (allSame && 0 < nonEmpty.length) {
+        return [`[*${nonEmpty[0]}]`, result];
+      }
+      return [`[${typesFound.join()}]`, result];
     }
+    return ["", result];
   }
 
-  return result;
+  /**
+   * Encode the enumerable symbol-keyed properties of an object
+   *
+   * Each key is written as the JSON of its Symbol descriptor, tagged with
+   * `*` and the value's tag. In paths the key is the descriptor itself, an
+   * array, so a pointer through it cannot be read as a string key. Nothing
+   * is written if the registry does not inherit the Symbol built-in.
+   *
+   * @param {Object} value - Object whose symbol keys to encode
+   * @param {Array<string|number>} path - Path of the object in the object tree
+   * @param {Object} result - Encoded object to add the properties to
+   * @returns {void} Modifies result in place
+   * @throws {TypeError} If a key is neither registered nor well-known
+   * @private
+   */
+  function encodeSymbolKeys(value, path, result) {
+    const symbolPlugin = registry.getBuiltIn("Y");
+    const symbols = symbolPlugin ? Object.getOwnPropertySymbols(value) : [];
+
+    for (const symbol of symbols) {
+      const isSkipped =
+        !Object.prototype.propertyIsEnumerable.call(value, symbol) ||
+        (!keepUndefined && undefined === value[symbol]);
+      if (isSkipped) {
+        continue;
+      }
+      const descriptor = symbolPlugin.encode(path, null, symbol, {});
+      const name = JSON.stringify(descriptor);
+      const [t, v] = encodeValueWithVisited(value[symbol], [
+        ...path,
+        descriptor,
+      ]);
+      // '*' marks the key as a symbol; the value's tag follows it
+      result[`${name}<!*${t}>`] = v;
+    }
+  }
+
+  /**
+   * Encode a reference to an already visited object as a pointer
+   *
+   * @param {Object} value - The visited object
+   * @param {Array<string|number>} path - Current path in the object tree
+   * @returns {[string, Array<string|number>]} Tuple of ["P", pathOfFirstVisit]
+   * @private
+   */
+  function encodePointer(value, path) {
+    const pointerPlugin = registry.getBuiltIn("P");
+    return ["P", pointerPlugin.encode(path, null, value, { visitedEncode })];
+  }
+
+  // The root is tagged like any value
+  const [tag, result] = encodeValueWithVisited(obj, []);
+  const wrap = tag || isEnvelope(result);
+  // A tagged root, or an object that would read as an envelope, is wrapped
+  return wrap ? { [`<!${tag}>`]: result } : result;
 }
 
 /**
- * Stringify an object to JSS format
- *
- * Combines `encode()` with `JSON.stringify()` to produce a string
- * representation suitable for transmission over WebSocket or storage.
- *
- * This is the high-level API - use this for most cases.
- *
- * @param {any} obj - The object to stringify
- * @returns {string} JSS-encoded JSON string
+ * @typedef {Object} SendState
+ * @property {Object} context - Caller-supplied context passed to plugin hooks
+ * @property {Array<{marker: Object, encoded: any, path: Array, result: Promise}>} sends - Pending onSend results
+ * @private
+ */
+
+/**
+ * Create the encoding functions bound to a plugin registry
  *
- * @example
- * // Basic usage
- * const str = stringify({
- *   message: 'Hello',
- *   timestamp: new Date(),
- *   pattern: /world/i
- * })
- * // '{"message":"Hello","timestamp<!D>":1704067200000,"pattern<!R>":"/world/i"}'
+ * Every JSS instance gets its own encoder so that the custom plugins
+ * registered on one instance never affect another.
  *
- * @example
- * // With nested objects
- * const str = stringify({
- *   user: {
- *     settings: new Map([['theme', 'dark']])
- *   }
- * })
+ * @param {Registry} registry - Plugin registry from `createRegistry()`
+ * @returns {{encode: function, stringify: function, stringifyAsync: function}} Bound encoding functions
  *
  * @example
- * // Ready for WebSocket transmission
- * socket.send(stringify({ type: '/chat', data: { text: 'Hi!' } }))
+ * const { stringify } = createEncoder(createRegistry())
  */
-function stringify(obj) {
-  return JSON.stringify(encode(obj));
+function createEncoder(registry) {
+  /**
+   * Encode a JavaScript object to JSS format
+   *
+   * Recursively traverses the object tree, converting extended types to
+   * their tagged representations. Handles circular references by tracking
+   * visited objects and replacing subsequent references with path pointers.
+   *
+   * ## Algorithm
+   *
+   * 1. Create a WeakMap to track visited objects and their paths
+   * 2. For each value in the object:
+   *    - If it's an extended type (Date, RegExp, etc.), encode it
+   *    - If it's an object/array, recurse (checking for circularity)
+   *    - If it's a primitive, pass through unchanged
+   * 3. Return the encoded object structure
+   *
+   * ## Circular Reference Detection
+   *
+   * When an object is first encountered, its path is stored in `visitedEncode`.
+   * If the same object is encountered again, a pointer (`P` tag) is created
+   * with the stored path.
+   *
+   * ## Undefined Properties
+   *
+   * Object properties holding `undefined` are dropped, as with
+   * `JSON.stringify`. With `options.keepUndefined` they are written as
+   * `key<!U>` and decode back to own properties, so `'key' in result`
+   * still holds. Undefined array elements and Map/Set members are always
+   * kept.
+   *
+   * @param {any} obj - The value to encode
+   * @param {Object} [options={}] - Encode options
+   * @param {boolean} [options.keepUndefined=false] - Keep object properties holding undefined
+   * @param {boolean} [options.symbolKeys=false] - Also encode enumerable symbol-keyed
+   *        properties (registered and well-known symbols only)
+   * @param {boolean} [options.fidelity=false] - Keep null prototypes and the
+   *        frozen, sealed or non-extensible state of objects and arrays
+   * @param {boolean} [options.dateOffset=false] - Write Dates as ISO 8601
+   *        strings in local time with the UTC offset instead of timestamps
+   * @returns {any} Encoded value with tagged keys for extended types, in a
+   *          `{ "<!TAG>": value }` envelope if the root itself needs a tag
+   * @throws {TypeError} If a symbol is neither registered nor well-known
+   *
+   * @example
+   * // Simple types
+   * encode({ date: new Date('2024-01-01') })
+   * // { "date<!D>": 1704067200000 }
+   *
+   * @example
+   * // Nested structures
+   * encode({
+   *   user: {
+   *     name: 'Alice',
+   *     createdAt: new Date(),
+   *     roles: new Set(['admin', 'user'])
+   *   }
+   * })
+   * // {
+   * //   user: {
+   * //     name: 'Alice',
+   * //     "createdAt<!D>": 1704067200000,
+   * //     "roles<!S>": ['admin', 'user']
+   * //   }
+   * // }
+   *
+   * @example
+   * // Circular references
+   * const a = { name: 'a' }
+   * const b = { name: 'b', ref: a }
+   * a.ref = b
+   *
+   * encode({ a, b })
+   * // {
+   * //   a: { name: 'a', 'ref<!P>': ['b'] },
+   * //   b: { name: 'b', 'ref<!P>': ['a'] }
+   * // }
+   *
+   * @example
+   * // Error objects
+   * encode({ error: new TypeError('Invalid input') })
+   * // { "error<!E>": ['TypeError', 'Invalid input', 'TypeError: Invalid input\n    at ...'] }
+   *
+   * @example
+   * // Mixed array with extended types
+   * encode({ dates: [new Date(), new Date()] })
+   * // { "dates<![D,D]>": [1704067200000, 1704067300000] }
+   *
+   * @example
+   * // Tagged roots
+   * encode(new Set([1]))  // { "<!S>": [1] }
+   * encode([1, 2])        // [1, 2]
+   *
+   * @example
+   * // Explicitly cleared properties
+   * encode({ name: undefined }, { keepUndefined: true })
+   * // { "name<!U>": null }
+   */
+  function encode(obj, options = {}) {
+    return encodeWithSend(obj, registry, null, options);
+  }
+
+  /**
+   * Stringify an object to JSS format
+   *
+   * Combines `encode()` with `JSON.stringify()` to produce a string
+   * representation suitable for transmission over WebSocket or storage.
+   *
+   * This is the high-level API - use this for most cases.
+   *
+   * @param {any} obj - The value to stringify
+   * @param {Object} [options={}] - Encode options, as for `encode`
+   * @returns {string} JSS-encoded JSON string
+   * @throws {TypeError} If a symbol is neither registered nor well-known
+   *
+   * @example
+   * // Basic usage
+   * const str = stringify({
+   *   message: 'Hello',
+   *   timestamp: new Date(),
+   *   pattern: /world/i
+   * })
+   * // '{"message":"Hello","timestamp<!D>":1704067200000,"pattern<!R>":"/world/i"}'
+   *
+   * @example
+   * // With nested objects
+   * const str = stringify({
+   *   user: {
+   *     settings: new Map([['theme', 'dark']])
+   *   }
+   * })
+   *
+   * @example
+   * // Ready for WebSocket transmission
+   * socket.send(stringify({ type: '/chat', data: { text: 'Hi!' } }))
+   */
+  function stringify(obj, options) {
+    return JSON.stringify(encode(obj, options));
+  }
+
+  /**
+   * Stringify an object to JSS format, running plugin `onSend` hooks
+   *
+   * Async counterpart of `stringify()` for plugins that hand values off to
+   * an external channel (e.g. registering a file download) before the
+   * message is sent. For every value matched by a plugin with an `onSend`
+   * hook, the hook is called with `(path, key, value, context)` and may
+   * return (or resolve to) `{ replace, cleanup }`:
+   *
+   * - `replace` - Used as the encoded value instead of the plugin's `encode` output
+   * - `cleanup` - Collected and run when the returned `cleanup()` is called
+   *
+   * If any hook rejects or resolves to something other than an object,
+   * or the encoding throws, the hooks already started are awaited and the
+   * cleanups collected from those that succeeded are run before the error
+   * is rethrown.
+   *
+   * @param {any} obj - The object to stringify
+   * @param {Object} [context={}] - Context passed to `encode` and `onSend` of custom plugins
+   * @param {Object} [options={}] - Encode options, as for `encode`
+   * @returns {Promise<{data: string, cleanup: function(): void}>} JSS string and a cleanup runner
+   * @throws {TypeError} If an `onSend` hook resolves to a non-object value
+   *
+   * @example
+   * const { data, cleanup } = await stringifyAsync(
+   *   { file: buffer },
+   *   { queryId, clientId, fileTransfer }
+   * )
+   * socket.send(data)
+   * // Later, once the transfer is finished
+   * cleanup()
+   */
+  async function stringifyAsync(obj, context = {}, options = {}) {
+    const send = { context, sends: [] };
+    let encoded;
+    let failure;
+    try {
+      encoded = encodeWithSend(obj, registry, send, options);
+    } catch (err) {
+      // Still settle the hooks already started, so their cleanups run
+      failure = { reason: err };
+    }
+    const settled = await Promise.allSettled(send.sends.map((s) => s.result));
+
+    const cleanups = [];
+    const replacements = new Map();
+    settled.forEach((outcome, i) => {
+      const { marker, encoded: fallback, path } = send.sends[i];
+      const isObject =
+        "fulfilled" === outcome.status &&
+        (undefined === outcome.value || "object" === typeof outcome.value);
+      if (!isObject) {
+        const reason =
+          "rejected" === outcome.status
+            ? outcome.reason
+            : new TypeError(
+                `onSend at '${path.join(".")}' must return an object, got: ${typeof outcome.value}`,
+              );
+        failure = failure || { reason };
+        return;
+      }
+      const result = outcome.value || {};
+      replacements.set(marker, "replace" in result ? result.replace : fallback);
+      if ("function" === typeof result.cleanup) {
+        cleanups.push(result.cleanup);
+      }
+    });
+
+    /**
+     * Run every collected cleanup callback
+     *
+     * @returns {void}
+     * @private
+     */
+    const cleanup = () => cleanups.forEach((fn) => fn());
+
+    if (failure) {
+      cleanup();
+      throw failure.reason;
+    }
+
+    const data = JSON.stringify(encoded, (key, value) =>
+      replacements.has(value) ? replacements.get(value) : value,
+    );
+    return { data, cleanup };
+  }
+
+  return { encode, stringify, stringifyAsync };
 }
 
-module.exports = { encode, stringify };
+/**
+ * Encoder bound to the default registry used by the top-level exports
+ * @private
+ */
+const { encode, stringify, stringifyAsync } = createEncoder(defaultRegistry);
+
+module.exports = { encode, stringify, stringifyAsync, createEncoder };
@@ -0,0 +1,147 @@
+/**
+ * @fileoverview JSS Decode Errors
+ *
+ * Typed errors thrown while decoding untrusted input, so a server can tell
+ * an abusive or misconfigured message apart from a bug and reject it. Each
+ * carries the `path` of the offending value: property names without tags
+ * and array indexes, empty for the root.
+ *
+ * - `LimitError` - A resource limit (`maxDepth`, `maxKeys`, ...) was exceeded
+ * - `TagError` - A tag is unknown or not allowed (`onUnknownTag: 'throw'`)
+ * - `RegExpError` - A RegExp pattern was rejected by the `regexp` options
+ *
+ * @module utils/jss/errors
+ * @see {@link module:utils/jss/decode} for the options that raise them
+ */
+
+/**
+ * Describe a decode path for an error message
+ *
+ * @param {Array<string|number>} path - Path of a value
+ * @returns {string} The quoted dotted path, or 'the root'
+ * @private
+ *
+ * @example
+ * describePath(['a', 0])  // "'a.0'"
+ * describePath([])        // 'the root'
+ */
+function describePath(path) {
+  return 0 < path.length ? `'${path.join(".")}'` : "the root";
+}
+
+/**
+ * Error thrown when a payload goes over a resource limit while decoding
+ *
+ * Servers decoding untrusted input can catch it to reject the message.
+ * `limit` names the option that was exceeded, `max` its value and `path`
+ * the location of the offending value (property names without tags and
+ * array indexes; empty for the root).
+ *
+ * @extends RangeError
+ *
+ * @example
+ * try {
+ *   parse(message, { maxDepth: 32 })
+ * } catch (err) {
+ *   if (err instanceof LimitError) {
+ *     console.log(err.limit, err.path)  // 'maxDepth' ['a', 'b', ...]
+ *   }
+ * }
+ */
+class LimitError extends RangeError {
+  /**
+   * Create the error for a limit exceeded at a path
+   *
+   * @param {string} limit - Name of the limit option (e.g. 'maxKeys')
+   * @param {number} max - Value of the limit
+   * @param {Array<string|number>} path - Path of the offending value
+   *
+   * @example
+   * new LimitError('maxKeys', 100, ['user'])
+   * // LimitError: maxKeys of 100 exceeded at 'user'
+   */
+  constructor(limit, max, path) {
+    super(`${limit} of ${max} exceeded at ${describePath(path)}`);
+    this.name = "LimitError";
+    this.limit = limit;
+    this.max = max;
+    this.path = path;
+  }
+}
+
+/**
+ * Error thrown for a rejected tag when decoding with `onUnknownTag: 'throw'`
+ *
+ * A tag is rejected when no built-in or custom plugin decodes it, or when
+ * `allowTags` does not list it. `tag` is the tag as written on the wire
+ * and `path` the location of the tagged value.
+ *
+ * @extends TypeError
+ *
+ * @example
+ * try {
+ *   parse('{"err<!E>":["Error","x",""]}', { allowTags: ['D'], onUnknownTag: 'throw' })
+ * } catch (err) {
+ *   console.log(err.message)  // "Tag 'E' is not allowed at 'err'"
+ * }
+ */
+class TagError extends TypeError {
+  /**
+   * Create the error for a tag rejected at a path
+   *
+   * @param {string} tag - The rejected tag (e.g. 'X' or 'S[*D]')
+   * @param {Array<string|number>} path - Path of the tagged value
+   * @param {boolean} allowed - Whether allowTags lists the tag (so it is unknown)
+   *
+   * @example
+   * new TagError('X', ['price'], true)
+   * // TagError: Tag 'X' is unknown at 'price'
+   */
+  constructor(tag, path, allowed) {
+    const reason = allowed ? "unknown" : "not allowed";
+    super(`Tag '${tag}' is ${reason} at ${describePath(path)}`);
+    this.name = "TagError";
+    this.tag = tag;
+    this.path = path;
+  }
+}
+
+/**
+ * Error thrown when a RegExp pattern is rejected by the `regexp` decode options
+ *
+ * `reason` is 'maxLength' when the pattern is longer than
+ * `regexp.maxLength`, or 'nested quantifier' / 'backreference' when
+ * `regexp.safe` finds a construct prone to catastrophic backtracking.
+ *
+ * @extends TypeError
+ *
+ * @example
+ * try {
+ *   parse('{"re<!R>":"/(a+)+$/"}', { regexp: { safe: true } })
+ * } catch (err) {
+ *   console.log(err.message)  // "Unsafe RegExp at 're': nested quantifier"
+ * }
+ */
+class RegExpError extends TypeError {
+  /**
+   * Create the error for a pattern rejected at a path
+   *
+   * @param {string} reason - 'maxLength', 'nested quantifier' or 'backreference'
+   * @param {Array<string|number>} path - Path of the RegExp
+   *
+   * @example
+   * new RegExpError('backreference', ['re'])
+   * // RegExpError: Unsafe RegExp at 're': backreference
+   */
+  constructor(reason, path) {
+    const at = describePath(path);
+    const detail =
+      "maxLength" === reason ? "pattern longer than maxLength" : reason;
+    super(`Unsafe RegExp at ${at}: ${detail}`);
+    this.name = "RegExpError";
+    this.reason = reason;
+    this.path = path;
+  }
+}
+
+module.exports = { LimitError, TagError, RegExpError };
@@ -12,7 +12,9 @@
  * - `encode(path, key, value, context)` - Transforms value for serialization
  * - `decode(value, path, context)` - Restores value from serialization
  * - `onSend(path, key, value, context)` - Optional: handles external resources during send
+ *   (run by `stringifyAsync`)
  * - `onReceive(path, key, value, context)` - Optional: handles external resources during receive
+ *   (awaited by `parseAsync`)
  *
  * ## Usage
  *
@@ -26,180 +28,594 @@
  * })
  * ```
  *
+ * ## Error Classes
+ *
+ * Errors are decoded to the class registered under their name with
+ * `registerError`, or to a standard class from the built-in safe list
+ * (TypeError, RangeError, DOMException, ...). Other names give a plain
+ * Error carrying the name; the global scope is never consulted.
+ *
+ * ## Classes
+ *
+ * Instances of classes registered with `registerClass` are encoded with
+ * the `C` tag under the registered name and rebuilt with the class
+ * prototype. Only the exact class is matched: an instance of an
+ * unregistered subclass is encoded as a plain object.
+ *
+ * ## Registries
+ *
+ * Plugins live in a registry created by `createRegistry()`. Each JSS
+ * instance (see `createJSS()` in the main module) owns its own registry,
+ * so two libraries registering the same tag in one process do not
+ * collide. The module-level functions below operate on the default
+ * registry used by the top-level `jss` exports.
+ *
  * @module utils/jss/plugins
  * @see {@link module:utils/jss} for main JSS module
  */
 
 /**
- * Built-in type tags that cannot be overridden
+ * Built-in plugin lookups, shared by every registry
  * Imported from defaults module for consistency
- * @constant {string[]}
+ * @constant
+ */
+const defaults = require("./defaults");
+
+/**
+ * Error plugin, whose safe list of error classes every registry extends
+ * @constant
  */
-const { builtInTags } = require("./defaults");
+const errorPlugin = defaults.getBuiltIn("E");
 
 /**
- * Registry of custom plugins
- * Maps tag character to plugin configuration
- * @type {Map<string, PluginConfig>}
- * @private
+ * Characters used by the tag syntax of keys and array tags, which a
+ * custom tag cannot be
+ * @constant {string[]}
  */
-const plugins = new Map();
+const SYNTAX_CHARACTERS = ["<", ">", "[", "]", ",", "*"];
 
 /**
  * @typedef {Object} PluginConfig
  * @property {function(string|number, any): boolean} check - Determines if plugin handles value
  * @property {function(string[], string|number, any, Object): any} encode - Transforms for serialization
  * @property {function(any, string[], Object): any} decode - Restores from serialization
- * @property {function(string[], string|number, any, Object): {replace: any, cleanup?: function}=} onSend - Optional send hook
+ * @property {function(string[], string|number, any, Object): ({replace?: any, cleanup?: function}|Promise)=} onSend - Optional send hook
  * @property {function(string[], string|number, any, Object): Promise<any>=} onReceive - Optional receive hook
  */
 
 /**
- * Register a custom type handler plugin
- *
- * Plugins extend JSS to handle custom types beyond the built-in set.
- * Each plugin is identified by a single-character tag that appears in
- * the serialized format (e.g., `"key<!X>": value`).
- *
- * ## Behavior Rules
+ * @typedef {Object} ClassOptions
+ * @property {string=} name - Name written on the wire (defaults to the class name)
+ * @property {function(Object): any=} toJSON - Returns the data to encode for an instance
+ *           (defaults to its own enumerable fields)
+ * @property {function(any): Object=} fromJSON - Builds an instance from the decoded data
+ *           (defaults to setting the fields on an instance made from the prototype)
+ */
+
+/**
+ * @typedef {Object} ClassEntry
+ * @property {function} Class - The registered class
+ * @property {string} name - Name written on the wire
+ * @property {function(Object): any=} toJSON - Custom data for an instance
+ * @property {function(any): Object=} fromJSON - Custom instance builder
+ */
+
+/**
+ * @typedef {Object} Registry
+ * @property {function(string, PluginConfig): void} register - Register a custom plugin
+ * @property {function(string): (PluginConfig|undefined)} getPlugin - Get a custom plugin by tag
+ * @property {function(): Map<string, PluginConfig>} getAllPlugins - Get all custom plugins
+ * @property {function(string): boolean} hasPlugin - Check if a custom plugin is registered
+ * @property {function(): void} clearPlugins - Remove all custom plugins, error classes and classes
+ * @property {function(string, function): void} registerError - Register an Error subclass by name
+ * @property {function(string): (function|undefined)} getErrorClass - Get the error class for a name
+ * @property {function(function, ClassOptions=): void} registerClass - Register a class for instances
+ * @property {function(string): (ClassEntry|undefined)} getClass - Get a registered class by name
+ * @property {function(any): (ClassEntry|undefined)} getClassOf - Get the registered class of an instance
+ * @property {function(string): (Object|undefined)} getBuiltIn - Get an inherited built-in plugin by tag
+ * @property {function(string|number, any): (string|undefined)} getTagForValue - Get the inherited built-in tag handling a value
+ * @property {function(): (Object|undefined)} getTemporal - Get the Temporal implementation used to decode
+ * @property {string[]} builtInTags - Tags of the inherited built-in plugins
+ */
+
+/**
+ * Create an isolated plugin registry
  *
- * - **Check gates encode**: The `check` function determines if this plugin
- *   should handle a value. If it returns true, encode is called.
- * - **Error on conflict**: Throws if the tag conflicts with a built-in type
- *   or an already-registered custom plugin.
+ * Each registry keeps its own set of custom plugins and chooses which
+ * built-in types from utils/defaults it inherits. The pointer tag (`P`)
+ * is always inherited since circular reference handling depends on it.
  *
- * @param {string} tag - Single character tag identifier (e.g., 'X', 'Z')
- * @param {PluginConfig} config - Plugin configuration object
- * @throws {Error} If tag is not a single character
- * @throws {Error} If tag conflicts with built-in type
- * @throws {Error} If tag is already registered
- * @throws {Error} If required functions are missing
+ * @param {Object} [options={}] - Registry options
+ * @param {boolean|string[]} [options.builtIns=true] - `true` to inherit every
+ *        built-in type, `false` for none, or a list of built-in tags to inherit
+ * @param {Object} [options.temporal] - Temporal implementation (e.g. a
+ *        polyfill) for decoding; `globalThis.Temporal` when omitted
+ * @returns {Registry} A new registry
+ * @throws {Error} If builtIns lists a tag that is not a built-in type
  *
  * @example
- * // Register a plugin for a custom Point type
- * register('P', {
- *   check: (key, value) => value instanceof Point,
- *   encode: (path, key, value) => [value.x, value.y],
- *   decode: (value) => new Point(value[0], value[1])
- * })
+ * const registry = createRegistry()
+ * registry.register('X', { check, encode, decode })
  *
  * @example
- * // Register a plugin with lifecycle hooks for external resources
- * register('L', {
- *   check: (key, value) => Buffer.isBuffer(value),
- *   encode: (path, key, value) => '__pending__',
- *   decode: (value) => value, // Hash returned as-is
- *   onSend: (path, key, value, ctx) => {
- *     const hash = generateHash(ctx.queryId, path.join('.'))
- *     ctx.fileTransfer.registerDownload(hash, value, 'application/octet-stream', ctx.clientId)
- *     return { replace: hash }
- *   }
- * })
+ * // Only dates and circular references
+ * const registry = createRegistry({ builtIns: ['D'] })
  */
-function register(tag, config) {
-  // Validate tag format
-  if ("string" !== typeof tag || 1 !== tag.length) {
-    throw new Error(`Tag must be a single character, got: '${tag}'`);
+function createRegistry(options = {}) {
+  const { builtIns = true, temporal } = options;
+
+  let inherited;
+  if (true === builtIns) {
+    inherited = defaults.builtInTags;
+  } else {
+    inherited = ["P", ...(builtIns || [])];
+    for (const tag of inherited) {
+      if (!defaults.builtInTags.includes(tag)) {
+        throw new Error(`Tag '${tag}' is not a built-in type`);
+      }
+    }
   }
 
-  // Check for built-in tag conflict
-  if (builtInTags.includes(tag)) {
-    throw new Error(`Tag '${tag}' conflicts with built-in type`);
+  /**
+   * Built-in tags inherited by this registry, in registration order
+   * @type {string[]}
+   * @private
+   */
+  const builtInTags = defaults.builtInTags.filter((tag) =>
+    inherited.includes(tag),
+  );
+
+  /**
+   * Custom plugins of this registry
+   * Maps tag character to plugin configuration
+   * @type {Map<string, PluginConfig>}
+   * @private
+   */
+  const plugins = new Map();
+
+  /**
+   * Error classes registered with this registry, by name
+   * @type {Map<string, function>}
+   * @private
+   */
+  const errorClasses = new Map();
+
+  /**
+   * Classes registered with this registry, by wire name
+   * @type {Map<string, ClassEntry>}
+   * @private
+   */
+  const classes = new Map();
+
+  /**
+   * Classes registered with this registry, by prototype
+   * @type {Map<Object, ClassEntry>}
+   * @private
+   */
+  const classPrototypes = new Map();
+
+  /**
+   * Register a custom type handler plugin
+   *
+   * Plugins extend JSS to handle custom types beyond the built-in set.
+   * Each plugin is identified by a single-character tag that appears in
+   * the serialized format (e.g., `"key<!X>": value`).
+   *
+   * ## Behavior Rules
+   *
+   * - **Check gates encode**: The `check` function determines if this plugin
+   *   should handle a value. If it returns true, encode is called.
+   * - **Error on conflict**: Throws if the tag conflicts with a built-in type
+   *   inherited by this registry or an already-registered custom plugin.
+   *
+   * @param {string} tag - Single character tag identifier (e.g., 'X', 'Z')
+   * @param {PluginConfig} config - Plugin configuration object
+   * @returns {void}
+   * @throws {Error} If tag is not a single character
+   * @throws {Error} If tag is a character of the key syntax (`<>[],*`)
+   * @throws {Error} If tag conflicts with built-in type
+   * @throws {Error} If tag is already registered
+   * @throws {Error} If required functions are missing
+   *
+   * @example
+   * // Register a plugin for a custom Point type
+   * register('P', {
+   *   check: (key, value) => value instanceof Point,
+   *   encode: (path, key, value) => [value.x, value.y],
+   *   decode: (value) => new Point(value[0], value[1])
+   * })
+   *
+   * @example
+   * // Register a plugin with lifecycle hooks for external resources
+   * register('L', {
+   *   check: (key, value) => Buffer.isBuffer(value),
+   *   encode: (path, key, value) => '__pending__',
+   *   decode: (value) => value, // Hash returned as-is
+   *   onSend: (path, key, value, ctx) => {
+   *     const hash = generateHash(ctx.queryId, path.join('.'))
+   *     ctx.fileTransfer.registerDownload(hash, value, 'application/octet-stream', ctx.clientId)
+   *     return { replace: hash }
+   *   }
+   * })
+   */
+  function register(tag, config) {
+    // Validate tag format
+    if ("string" !== typeof tag || 1 !== tag.length) {
+      throw new Error(`Tag must be a single character, got: '${tag}'`);
+    }
+    if (SYNTAX_CHARACTERS.includes(tag)) {
+      throw new Error(`Tag '${tag}' is reserved by the key syntax`);
+    }
+
+    // Check for built-in tag conflict
+    if (builtInTags.includes(tag)) {
+      throw new Error(`Tag '${tag}' conflicts with built-in type`);
+    }
+
+    // Check for duplicate registration
+    if (plugins.has(tag)) {
+      throw new Error(`Tag '${tag}' is already registered`);
+    }
+
+    // Validate required functions
+    if ("function" !== typeof config.check) {
+      throw new Error("Plugin must provide a 'check' function");
+    }
+    if ("function" !== typeof config.encode) {
+      throw new Error("Plugin must provide an 'encode' function");
+    }
+    if ("function" !== typeof config.decode) {
+      throw new Error("Plugin must provide a 'decode' function");
+    }
+
+    // Validate optional functions if provided
+    if (undefined !== config.onSend && "function" !== typeof config.onSend) {
+      throw new Error("Plugin 'onSend' must be a function if provided");
+    }
+    if (
+      undefined !== config.onReceive &&
+      "function" !== typeof config.onReceive
+    ) {
+      throw new Error("Plugin 'onReceive' must be a function if provided");
+    }
+
+    plugins.set(tag, config);
   }
 
-  // Check for duplicate registration
-  if (plugins.has(tag)) {
-    throw new Error(`Tag '${tag}' is already registered`);
+  /**
+   * Get a plugin by its tag
+   *
+   * @param {string} tag - The tag character to look up
+   * @returns {PluginConfig|undefined} The plugin config or undefined if not found
+   *
+   * @example
+   * const plugin = getPlugin('X')
+   * if (plugin) {
+   *   const decoded = plugin.decode(value, path, context)
+   * }
+   */
+  function getPlugin(tag) {
+    return plugins.get(tag);
   }
 
-  // Validate required functions
-  if ("function" !== typeof config.check) {
-    throw new Error("Plugin must provide a 'check' function");
+  /**
+   * Get all registered plugins
+   *
+   * Returns the internal Map for iteration during encoding.
+   *
+   * @returns {Map<string, PluginConfig>} Map of tag -> plugin config
+   *
+   * @example
+   * for (const [tag, plugin] of getAllPlugins()) {
+   *   if (plugin.check(key, value)) {
+   *     return [tag, plugin.encode(path, key, value, context)]
+   *   }
+   * }
+   */
+  function getAllPlugins() {
+    return plugins;
   }
-  if ("function" !== typeof config.encode) {
-    throw new Error("Plugin must provide an 'encode' function");
+
+  /**
+   * Check if a tag has a registered plugin
+   *
+   * @param {string} tag - The tag to check
+   * @returns {boolean} True if a plugin is registered for this tag
+   *
+   * @example
+   * if (hasPlugin('X')) {
+   *   // Handle custom type
+   * }
+   */
+  function hasPlugin(tag) {
+    return plugins.has(tag);
   }
-  if ("function" !== typeof config.decode) {
-    throw new Error("Plugin must provide a 'decode' function");
+
+  /**
+   * Clear all registered plugins
+   *
+   * Used primarily for testing to reset the registry between tests.
+   * Also removes registered error classes and classes. Does not affect
+   * built-in types.
+   *
+   * @returns {void}
+   *
+   * @example
+   * beforeEach(() => {
+   *   clearPlugins()
+   * })
+   */
+  function clearPlugins() {
+    plugins.clear();
+    errorClasses.clear();
+    classes.clear();
+    classPrototypes.clear();
   }
 
-  // Validate optional functions if provided
-  if (undefined !== config.onSend && "function" !== typeof config.onSend) {
-    throw new Error("Plugin 'onSend' must be a function if provided");
+  /**
+   * Register an Error subclass so decoded errors of that name use it
+   *
+   * The name is the `name` the errors carry when encoded, usually the
+   * class name. Decoded errors are created with the class prototype
+   * without running its constructor, then given the encoded message,
+   * stack and extras.
+   *
+   * @param {string} name - Error name as it appears on the wire
+   * @param {function} ErrorClass - Class extending Error
+   * @returns {void}
+   * @throws {Error} If name is not a non-empty string
+   * @throws {Error} If ErrorClass does not extend Error
+   * @throws {Error} If name is a built-in error type
+   * @throws {Error} If name is already registered
+   *
+   * @example
+   * class ValidationError extends Error {
+   *   constructor(field) {
+   *     super(`Invalid ${field}`)
+   *     this.name = 'ValidationError'
+   *   }
+   * }
+   * registerError('ValidationError', ValidationError)
+   */
+  function registerError(name, ErrorClass) {
+    if ("string" !== typeof name || 0 === name.length) {
+      throw new Error(`Error name must be a non-empty string, got: '${name}'`);
+    }
+    if (
+      "function" !== typeof ErrorClass ||
+      !(ErrorClass.prototype instanceof Error)
+    ) {
+      throw new Error(`Error class for '${name}' must extend Error`);
+    }
+    if (errorPlugin.errorClasses.has(name)) {
+      throw new Error(
+        `Error class '${name}' conflicts with built-in error type`,
+      );
+    }
+    if (errorClasses.has(name)) {
+      throw new Error(`Error class '${name}' is already registered`);
+    }
+
+    errorClasses.set(name, ErrorClass);
   }
-  if (
-    undefined !== config.onReceive &&
-    "function" !== typeof config.onReceive
-  ) {
-    throw new Error("Plugin 'onReceive' must be a function if provided");
+
+  /**
+   * Get the class used to decode errors of a name
+   *
+   * Registered classes are looked up first, then the built-in safe list.
+   *
+   * @param {string} name - Error name from the encoded error
+   * @returns {function|undefined} The class, or undefined if the name is unknown
+   *
+   * @example
+   * getErrorClass('TypeError')       // TypeError
+   * getErrorClass('ValidationError') // ValidationError if registered
+   * getErrorClass('process')         // undefined
+   */
+  function getErrorClass(name) {
+    return errorClasses.get(name) || errorPlugin.errorClasses.get(name);
   }
 
-  plugins.set(tag, config);
-}
+  /**
+   * Register a class so its instances are encoded and rebuilt as such
+   *
+   * Instances are encoded with the `C` tag as `[name, data]`, where `data`
+   * is `toJSON(instance)` or the instance's own enumerable fields, walked
+   * like any other value. Decoded instances are built with `fromJSON`, or
+   * created with the class prototype without running its constructor and
+   * given the decoded fields. `fromJSON` runs before circular references
+   * are resolved, so its data cannot hold them. Both sides must register
+   * the class under the same name.
+   *
+   * @param {function} Class - The class to register
+   * @param {ClassOptions} [options={}] - Wire name and custom conversions
+   * @returns {void}
+   * @throws {Error} If Class is not a class or constructor function
+   * @throws {Error} If the name is not a non-empty string
+   * @throws {Error} If toJSON or fromJSON is given but not a function
+   * @throws {Error} If the name or the class is already registered
+   *
+   * @example
+   * class Money {
+   *   constructor(amount, currency) {
+   *     this.amount = amount
+   *     this.currency = currency
+   *   }
+   * }
+   * registerClass(Money)
+   *
+   * @example
+   * // Custom wire name and data
+   * registerClass(Money, {
+   *   name: 'shop.Money',
+   *   toJSON: (money) => [money.amount, money.currency],
+   *   fromJSON: ([amount, currency]) => new Money(amount, currency)
+   * })
+   */
+  function registerClass(Class, options = {}) {
+    if ("function" !== typeof Class || !Class.prototype) {
+      throw new Error("Class must be a class or constructor function");
+    }
+    // Anonymous classes have an empty name and need the option
+    const { name = Class.name, toJSON, fromJSON } = options;
+    if ("string" !== typeof name || 0 === name.length) {
+      throw new Error(`Class name must be a non-empty string, got: '${name}'`);
+    }
+    if (undefined !== toJSON && "function" !== typeof toJSON) {
+      throw new Error(
+        `Class '${name}' 'toJSON' must be a function if provided`,
+      );
+    }
+    if (undefined !== fromJSON && "function" !== typeof fromJSON) {
+      throw new Error(
+        `Class '${name}' 'fromJSON' must be a function if provided`,
+      );
+    }
+    if (classes.has(name)) {
+      throw new Error(`Class '${name}' is already registered`);
+    }
+    if (classPrototypes.has(Class.prototype)) {
+      const registered = classPrototypes.get(Class.prototype).name;
+      throw new Error(`Class is already registered as '${registered}'`);
+    }
 
-/**
- * Get a plugin by its tag
- *
- * @param {string} tag - The tag character to look up
- * @returns {PluginConfig|undefined} The plugin config or undefined if not found
- *
- * @example
- * const plugin = getPlugin('X')
- * if (plugin) {
- *   const decoded = plugin.decode(value, path, context)
- * }
- */
-function getPlugin(tag) {
-  return plugins.get(tag);
-}
+    const entry = { Class, name, toJSON, fromJSON };
+    classes.set(name, entry);
+    classPrototypes.set(Class.prototype, entry);
+  }
 
-/**
- * Get all registered plugins
- *
- * Returns the internal Map for iteration during encoding.
- *
- * @returns {Map<string, PluginConfig>} Map of tag -> plugin config
- *
- * @example
- * for (const [tag, plugin] of getAllPlugins()) {
- *   if (plugin.check(key, value)) {
- *     return [tag, plugin.encode(path, key, value, context)]
- *   }
- * }
- */
-function getAllPlugins() {
-  return plugins;
-}
+  /**
+   * Get a registered class by the name it is encoded under
+   *
+   * @param {string} name - Class name from the encoded instance
+   * @returns {ClassEntry|undefined} The class entry, or undefined if unknown
+   *
+   * @example
+   * getClass('Money')  // { Class: Money, name: 'Money', ... }
+   * getClass('Object') // undefined
+   */
+  function getClass(name) {
+    return classes.get(name);
+  }
 
-/**
- * Check if a tag has a registered plugin
- *
- * @param {string} tag - The tag to check
- * @returns {boolean} True if a plugin is registered for this tag
- *
- * @example
- * if (hasPlugin('X')) {
- *   // Handle custom type
- * }
- */
-function hasPlugin(tag) {
-  return plugins.has(tag);
+  /**
+   * Get the registered class an instance was made from
+   *
+   * The prototype of the value must be the prototype of a registered
+   * class, so instances of subclasses are not matched.
+   *
+   * @param {any} value - The value being encoded
+   * @returns {ClassEntry|undefined} The class entry, or undefined if the
+   *          value is not an instance of a registered class
+   *
+   * @example
+   * getClassOf(new Money(5, 'EUR'))  // { Class: Money, name: 'Money', ... }
+   * getClassOf({ amount: 5 })        // undefined
+   */
+  function getClassOf(value) {
+    if (null === value || "object" !== typeof value) {
+      return undefined;
+    }
+    return classPrototypes.get(Object.getPrototypeOf(value));
+  }
+
+  /**
+   * Get a built-in plugin inherited by this registry
+   *
+   * @param {string} tag - Single character tag (e.g., 'D', 'R', 'E')
+   * @returns {Object|undefined} The plugin, or undefined if not inherited
+   *
+   * @example
+   * getBuiltIn('D') // Date plugin
+   */
+  function getBuiltIn(tag) {
+    return builtInTags.includes(tag) ? defaults.getBuiltIn(tag) : undefined;
+  }
+
+  /**
+   * Get the inherited built-in tag that handles a value
+   *
+   * Candidates are looked up by Object.prototype.toString result, then
+   * the first whose `check` accepts the value wins. This lets a built-in
+   * handle only some values of a type (e.g. `N` for NaN among numbers).
+   * Instances of registered classes are tagged `C` before any of them.
+   *
+   * @param {string|number} key - The property key or array index
+   * @param {any} value - The value being encoded
+   * @returns {string|undefined} The tag, or undefined if no inherited built-in handles it
+   *
+   * @example
+   * getTagForValue('created', new Date()) // 'D'
+   * getTagForValue('count', 1)            // undefined
+   * getTagForValue('price', new Money())  // 'C' if Money is registered
+   */
+  function getTagForValue(key, value) {
+    // Registered classes are matched by prototype, whatever their toString
+    const isInstance =
+      builtInTags.includes("C") && undefined !== getClassOf(value);
+    if (isInstance) {
+      return "C";
+    }
+    const toStringResult = Object.prototype.toString.call(value);
+    return defaults
+      .getTagsByToString(toStringResult)
+      .find(
+        (tag) =>
+          builtInTags.includes(tag) &&
+          defaults.getBuiltIn(tag).check(key, value),
+      );
+  }
+
+  /**
+   * Get the Temporal implementation that decodes Temporal values
+   *
+   * Looked up on every call, so a polyfill installed on the global object
+   * after the registry was created is still found.
+   *
+   * @returns {Object|undefined} The `temporal` option, else `globalThis.Temporal`
+   *
+   * @example
+   * getTemporal().Instant.from('2024-01-01T00:00:00Z')
+   */
+  function getTemporal() {
+    return temporal || globalThis.Temporal;
+  }
+
+  return {
+    register,
+    getPlugin,
+    getAllPlugins,
+    hasPlugin,
+    clearPlugins,
+    registerError,
+    getErrorClass,
+    registerClass,
+    getClass,
+    getClassOf,
+    getBuiltIn,
+    getTagForValue,
+    getTemporal,
+    builtInTags,
+  };
 }
 
 /**
- * Clear all registered plugins
- *
- * Used primarily for testing to reset the registry between tests.
- * Does not affect built-in types.
- *
- * @example
- * beforeEach(() => {
- *   clearPlugins()
- * })
+ * Registry behind the top-level `jss` exports
+ * @type {Registry}
  */
-function clearPlugins() {
-  plugins.clear();
-}
+const defaultRegistry = createRegistry();
+
+const {
+  register,
+  getPlugin,
+  getAllPlugins,
+  hasPlugin,
+  clearPlugins,
+  registerError,
+  getErrorClass,
+  registerClass,
+  getClass,
+} = defaultRegistry;
 
 module.exports = {
   register,
@@ -207,5 +623,11 @@ module.exports = {
   getAllPlugins,
   hasPlugin,
   clearPlugins,
-  builtInTags,
+  registerError,
+  getErrorClass,
+  registerClass,
+  getClass,
+  builtInTags: defaults.builtInTags,
+  createRegistry,
+  defaultRegistry,
 };
@@ -19,14 +19,14 @@ describe("JSS Custom Plugins", () => {
     });
 
     test("throws on duplicate tag registration", () => {
-      jss.custom("Y", {
+      jss.custom("Z", {
         check: () => true,
         encode: () => {},
         decode: () => {},
       });
 
       expect(() =>
-        jss.custom("Y", {
+        jss.custom("Z", {
           check: () => true,
           encode: () => {},
           decode: () => {},
@@ -67,6 +67,18 @@ describe("JSS Custom Plugins", () => {
       ).toThrow("single character");
     });
 
+    test("throws on tags reserved by the key syntax", () => {
+      for (const tag of ["<", ">", "[", "]", ",", "*"]) {
+        expect(() =>
+          jss.custom(tag, {
+            check: () => true,
+            encode: () => {},
+            decode: () => {},
+          }),
+        ).toThrow(`Tag '${tag}' is reserved by the key syntax`);
+      }
+    });
+
     test("throws if check function is missing", () => {
       expect(() =>
         jss.custom("Z", {
@@ -114,8 +126,19 @@ describe("JSS Custom Plugins", () => {
       expect(result.data.customValue).toBe(10);
     });
 
+    test("built-in types are matched before custom plugins", () => {
+      jss.custom("L", {
+        check: (key, val) => "d" === key || "m" === key,
+        encode: () => 1,
+        decode: (val) => val,
+      });
+
+      const encoded = jss.encode({ d: new Date(0), m: new Map([["a", 1]]) });
+      expect(encoded).toEqual({ "d<!D>": 0, "m<!M>": { a: 1 } });
+    });
+
     test("handles nested custom types", () => {
-      jss.custom("N", {
+      jss.custom("Q", {
         check: (key, val) => val && val.isNested === true,
         encode: (path, key, val) => ({ wrapped: val.value }),
         decode: (val) => ({ isNested: true, value: val.wrapped }),
@@ -184,7 +207,7 @@ describe("JSS Custom Plugins", () => {
     test("check receives key and value", () => {
       const checkCalls = [];
 
-      jss.custom("T", {
+      jss.custom("K", {
         check: (key, val) => {
           checkCalls.push({ key, val });
           return val && val.track === true;
@@ -204,9 +227,9 @@ describe("JSS Custom Plugins", () => {
     });
 
     test("first matching plugin wins", () => {
-      jss.custom("F", {
+      jss.custom("A", {
         check: (key, val) => typeof val === "number" && val > 100,
-        encode: (path, key, val) => `F:${val}`,
+        encode: (path, key, val) => `A:${val}`,
         decode: (val) => parseInt(val.slice(2)),
       });
 
@@ -219,8 +242,8 @@ describe("JSS Custom Plugins", () => {
       const input = { big: 200, small: 50 };
       const encoded = jss.encode(input);
 
-      // 200 should match F (first registered, specific condition)
-      expect(encoded["big<!F>"]).toBe("F:200");
+      // 200 should match A (first registered, specific condition)
+      expect(encoded["big<!A>"]).toBe("A:200");
       // 50 should match G (second registered, general condition)
       expect(encoded["small<!G>"]).toBe("G:50");
     });
@@ -254,6 +277,353 @@ describe("JSS Custom Plugins", () => {
     });
   });
 
+  describe("Lifecycle Hooks", () => {
+    class Upload {}
+    class Draft {}
+
+    test("stringifyAsync applies onSend replace and collects cleanup", async () => {
+      const cleaned = [];
+      jss.custom("L", {
+        check: (key, val) => val instanceof Upload,
+        encode: () => "__pending__",
+        decode: (val) => val,
+        onSend: (path, key, val, ctx) => ({
+          replace: `${ctx.prefix}:${path.join(".")}`,
+          cleanup: () => cleaned.push(key),
+        }),
+      });
+
+      const { data, cleanup } = await jss.stringifyAsync(
+        { files: { avatar: new Upload() } },
+        { prefix: "upload" },
+      );
+
+      expect(JSON.parse(data)).toEqual({
+        files: { "avatar<!L>": "upload:files.avatar" },
+      });
+      expect(cleaned).toEqual([]);
+      cleanup();
+      expect(cleaned).toEqual(["avatar"]);
+    });
+
+    test("stringifyAsync awaits async onSend hooks", async () => {
+      jss.custom("L", {
+        check: (key, val) => val instanceof Upload,
+        encode: () => "__pending__",
+        decode: (val) => val,
+        onSend: async (path) => ({ replace: path.length }),
+      });
+
+      const { data } = await jss.stringifyAsync({
+        list: [new Upload(), "text"],
+      });
+
+      expect(JSON.parse(data)).toEqual({ "list<![L,]>": [2, "text"] });
+    });
+
+    test("stringifyAsync keeps encoded value when onSend gives no replace", async () => {
+      jss.custom("L", {
+        check: (key, val) => val instanceof Upload,
+        encode: () => "encoded",
+        decode: (val) => val,
+        onSend: () => undefined,
+      });
+      jss.custom("K", {
+        check: (key, val) => val instanceof Draft,
+        encode: () => "plain",
+        decode: (val) => val,
+      });
+
+      const { data, cleanup } = await jss.stringifyAsync({
+        a: new Upload(),
+        b: new Draft(),
+      });
+
+      expect(JSON.parse(data)).toEqual({ "a<!L>": "encoded", "b<!K>": "plain" });
+      expect(() => cleanup()).not.toThrow();
+    });
+
+    test("stringifyAsync runs collected cleanups when a hook rejects", async () => {
+      const cleaned = [];
+      jss.custom("L", {
+        check: (key, val) => val instanceof Upload,
+        encode: () => null,
+        decode: (val) => val,
+        onSend: async (path, key) => {
+          if ("good" !== key) {
+            throw new Error(`upload failed: ${key}`);
+          }
+          return { replace: key, cleanup: () => cleaned.push(key) };
+        },
+      });
+
+      await expect(
+        jss.stringifyAsync({
+          good: new Upload(),
+          bad: new Upload(),
+          worse: new Upload(),
+        }),
+      ).rejects.toThrow("upload failed: bad");
+      expect(cleaned).toEqual(["good"]);
+    });
+
+    test("stringifyAsync settles started hooks when encoding throws", async () => {
+      const onUnhandled = jest.fn();
+      process.on("unhandledRejection", onUnhandled);
+      const cleaned = [];
+      jss.custom("L", {
+        check: (key, val) => val instanceof Upload,
+        encode: () => null,
+        decode: (val) => val,
+        onSend: async (path, key) => {
+          if ("good" !== key) {
+            throw new Error(`upload failed: ${key}`);
+          }
+          return { replace: key, cleanup: () => cleaned.push(key) };
+        },
+      });
+
+      try {
+        await expect(
+          jss.stringifyAsync({
+            good: new Upload(),
+            bad: new Upload(),
+            tag: Symbol("unique"),
+          }),
+        ).rejects.toThrow("Cannot encode Symbol(unique) at 'tag'");
+        await new Promise((resolve) => setImmediate(resolve));
+        expect(onUnhandled).not.toHaveBeenCalled();
+        expect(cleaned).toEqual(["good"]);
+      } finally {
+        process.off("unhandledRejection", onUnhandled);
+      }
+    });
+
+    test("stringifyAsync rejects onSend results that are not objects", async () => {
+      const cleaned = [];
+      jss.custom("L", {
+        check: (key, val) => val instanceof Upload,
+        encode: () => null,
+        decode: (val) => val,
+        onSend: (path, key) =>
+          "good" === key
+            ? { cleanup: () => cleaned.push(key) }
+            : { text: "id", flag: true }[key],
+      });
+
+      await expect(
+        jss.stringifyAsync({
+          good: new Upload(),
+          list: { text: new Upload() },
+        }),
+      ).rejects.toThrow(
+        "onSend at 'list.text' must return an object, got: string",
+      );
+      await expect(jss.stringifyAsync({ flag: new Upload() })).rejects.toThrow(
+        TypeError,
+      );
+      expect(cleaned).toEqual(["good"]);
+
+      const { data } = await jss.stringifyAsync({ none: new Upload() });
+      expect(JSON.parse(data)).toEqual({ "none<!L>": null });
+    });
+
+    test("stringify does not call onSend", () => {
+      const onSend = jest.fn(() => ({ replace: "hook" }));
+      jss.custom("L", {
+        check: (key, val) => val instanceof Upload,
+        encode: () => "sync",
+        decode: (val) => val,
+        onSend,
+      });
+
+      expect(jss.encode({ a: new Upload() })).toEqual({ "a<!L>": "sync" });
+      expect(onSend).not.toHaveBeenCalled();
+    });
+
+    test("parseAsync replaces values with resolved onReceive results", async () => {
+      const store = { "id-1": Buffer.from("hello") };
+      jss.custom("L", {
+        check: () => false,
+        encode: () => null,
+        decode: (val) => `decoded:${val}`,
+        onReceive: async (path, key, val, ctx) => {
+          expect(key).toBe("file");
+          return ctx.store[val.slice("decoded:".length)];
+        },
+      });
+
+      const result = await jss.parseAsync(
+        '{"msg":{"file<!L>":"id-1"},"date<!D>":0}',
+        { store },
+      );
+
+      expect(result.msg.file.toString()).toBe("hello");
+      expect(result.date).toBeInstanceOf(Date);
+    });
+
+    test("parseAsync handles started hooks when decoding throws", async () => {
+      const onUnhandled = jest.fn();
+      process.on("unhandledRejection", onUnhandled);
+      jss.custom("L", {
+        check: () => false,
+        encode: () => null,
+        decode: (val) => val,
+        onReceive: async (path, key, val) => {
+          throw new Error(`no file ${val}`);
+        },
+      });
+
+      try {
+        await expect(
+          jss.parseAsync('{"a<!L>":"hash:bad","b<!E>":5}'),
+        ).rejects.toThrow();
+        await new Promise((resolve) => setImmediate(resolve));
+        expect(onUnhandled).not.toHaveBeenCalled();
+      } finally {
+        process.off("unhandledRejection", onUnhandled);
+      }
+    });
+
+    test("parseAsync passes context to decode and works without onReceive", async () => {
+      jss.custom("K", {
+        check: () => false,
+        encode: () => null,
+        decode: (val, path, ctx) => `${ctx.tag || "none"}:${val}`,
+      });
+
+      expect(await jss.parseAsync('{"a<!K>":1}', { tag: "ctx" })).toEqual({
+        a: "ctx:1",
+      });
+      expect(await jss.parseAsync('{"a<!K>":1}')).toEqual({ a: "none:1" });
+      expect(jss.parse('{"a<!K>":1}')).toEqual({ a: "none:1" });
+    });
+
+    test("parseAsync resolves pointers after onReceive", async () => {
+      jss.custom("L", {
+        check: () => false,
+        encode: () => null,
+        decode: () => null,
+        onReceive: async () => "resolved",
+      });
+
+      const pending = jss.parseAsync(
+        '{"box":{"file<!L>":"x"},"again<!P>":["box"]}',
+      );
+      // A synchronous parse while hooks are pending must not disturb them
+      expect(jss.parse('{"a":{},"b<!P>":["a"]}').b).toEqual({});
+
+      const result = await pending;
+      expect(result.box.file).toBe("resolved");
+      expect(result.again).toBe(result.box);
+    });
+
+    test("parseAsync places onReceive results inside Map and Set", async () => {
+      jss.custom("L", {
+        check: (key, val) => val instanceof Upload,
+        encode: (path) => path.join("."),
+        decode: (val) => val,
+        onReceive: async (path, key, val) => `file:${val}`,
+      });
+
+      const encoded = jss.stringify({
+        byName: new Map([["a", new Upload()]]),
+        list: new Set([new Upload()]),
+      });
+      const result = await jss.parseAsync(encoded);
+
+      expect(result.byName.get("a")).toBe("file:byName.a");
+      expect([...result.list]).toEqual(["file:list.0"]);
+    });
+  });
+
+  describe("Collection Members", () => {
+    test("custom plugin values inside Map and Set round-trip", () => {
+      jss.custom("X", {
+        check: (key, val) => val && typeof val.customValue === "number",
+        encode: (path, key, val) => val.customValue * 2,
+        decode: (val) => ({ customValue: val / 2 }),
+      });
+
+      const encoded = jss.encode({
+        list: new Set([{ customValue: 1 }]),
+        byName: new Map([["a", { customValue: 2 }]]),
+      });
+      expect(encoded["list<!S[*X]>"]).toEqual([2]);
+      expect(encoded["byName<!M>"]).toEqual({ "a<!X>": 4 });
+
+      const result = jss.parse(JSON.stringify(encoded));
+      expect([...result.list]).toEqual([{ customValue: 1 }]);
+      expect(result.byName.get("a")).toEqual({ customValue: 2 });
+    });
+  });
+
+  describe("Nested Decoding", () => {
+    test("plugin decode can call jss.parse on embedded JSS", () => {
+      jss.custom("J", {
+        check: (key, val) => val && true === val.embedded,
+        encode: (path, key, val) => jss.stringify(val.payload),
+        decode: (val) => ({ embedded: true, payload: jss.parse(val) }),
+      });
+
+      const inner = { name: "inner" };
+      inner.self = inner;
+      const shared = { id: 1 };
+      const outer = {
+        first: shared,
+        box: { embedded: true, payload: inner },
+        again: shared,
+      };
+      outer.self = outer;
+
+      const result = jss.parse(jss.stringify(outer));
+
+      expect(result.self).toBe(result);
+      expect(result.again).toBe(result.first);
+      expect(result.box.payload.name).toBe("inner");
+      expect(result.box.payload.self).toBe(result.box.payload);
+    });
+
+    test("plugin decode can call jss.decode after outer pointers", () => {
+      jss.custom("J", {
+        check: () => false,
+        encode: () => null,
+        decode: (val) => jss.decode(val),
+      });
+
+      const result = jss.decode({
+        first: { id: 1 },
+        "ref<!P>": ["first"],
+        "nested<!J>": { list: [], "alias<!P>": ["list"] },
+        "late<!P>": ["first"],
+      });
+
+      expect(result.ref).toBe(result.first);
+      expect(result.late).toBe(result.first);
+      expect(result.nested.alias).toBe(result.nested.list);
+    });
+
+    test("nested decode inside parseAsync keeps both pointer sets", async () => {
+      jss.custom("J", {
+        check: () => false,
+        encode: () => null,
+        decode: (val) => jss.parse(val),
+        onReceive: async (path, key, val) => val,
+      });
+
+      const result = await jss.parseAsync(
+        JSON.stringify({
+          a: {},
+          "b<!P>": ["a"],
+          "c<!J>": '{"x":[],"y<!P>":["x"]}',
+        }),
+      );
+
+      expect(result.b).toBe(result.a);
+      expect(result.c.y).toBe(result.c.x);
+    });
+  });
+
   describe("clearPlugins", () => {
     test("removes all custom plugins", () => {
       jss.custom("A", {
@@ -261,19 +631,19 @@ describe("JSS Custom Plugins", () => {
         encode: () => {},
         decode: () => {},
       });
-      jss.custom("B", {
+      jss.custom("V", {
         check: () => false,
         encode: () => {},
         decode: () => {},
       });
 
       expect(hasPlugin("A")).toBe(true);
-      expect(hasPlugin("B")).toBe(true);
+      expect(hasPlugin("V")).toBe(true);
 
       clearPlugins();
 
       expect(hasPlugin("A")).toBe(false);
-      expect(hasPlugin("B")).toBe(false);
+      expect(hasPlugin("V")).toBe(false);
     });
 
     test("allows re-registration after clear", () => {